@@ -1,3 +1,20 @@
+-- The whole schema, applied by re-initializing the database: there are no incremental migrations,
+-- so every deploy that changes the schema drops and recreates all tables, and their data with them.
+-- wrangler d1 execute d1-aoxin-childrenchatapp --remote --file=./schema-init.sql
+
+-- Drop dependent tables first so user_account can be recreated
+DROP TABLE IF EXISTS conversation_message;
+DROP TABLE IF EXISTS interactive_story;
+DROP TABLE IF EXISTS conversation;
+DROP TABLE IF EXISTS moderation_event;
+DROP TABLE IF EXISTS story_memory;
+DROP TABLE IF EXISTS parental_control;
+DROP TABLE IF EXISTS daily_story_count;
+DROP TABLE IF EXISTS usage_record;
+DROP TABLE IF EXISTS chat_activity;
+DROP TABLE IF EXISTS discovery_card;
+DROP TABLE IF EXISTS child_profile;
+
 DROP TABLE IF EXISTS user_account;
 CREATE TABLE IF NOT EXISTS user_account (
     id INTEGER PRIMARY KEY AUTOINCREMENT,
@@ -10,6 +27,10 @@ CREATE TABLE IF NOT EXISTS user_account (
     created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
     updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
     preferred_voice TEXT DEFAULT 'nova' NOT NULL,
+    preferred_language TEXT DEFAULT 'en' NOT NULL,
+    reading_level INTEGER CHECK (reading_level BETWEEN 0 AND 12), -- US school grade; NULL follows the age
+    timezone TEXT, -- IANA timezone, e.g. Asia/Shanghai
+    tts_provider TEXT CHECK (tts_provider IN ('openai', 'elevenlabs')), -- NULL follows env.TTS_PROVIDER
     cached_story_count INTEGER CHECK (cached_story_count >= 0) NOT NULL
 );
 DROP INDEX IF EXISTS idx_user_account_email;
@@ -34,3 +55,170 @@ INSERT INTO user_account (
     'echo',
     5
 );
+
+CREATE TABLE IF NOT EXISTS conversation (
+    id TEXT PRIMARY KEY,
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    title TEXT,
+    query_type TEXT DEFAULT 'qna' NOT NULL,
+    is_visual BOOLEAN DEFAULT 0 NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_conversation_user_updated;
+CREATE INDEX IF NOT EXISTS idx_conversation_user_updated ON conversation(user_id, updated_at);
+
+CREATE TABLE IF NOT EXISTS conversation_message (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    conversation_id TEXT NOT NULL REFERENCES conversation(id) ON DELETE CASCADE,
+    role TEXT CHECK (role IN ('user', 'assistant')) NOT NULL,
+    content TEXT NOT NULL, -- JSON-encoded message content (string or content array)
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_conversation_message_conversation;
+CREATE INDEX IF NOT EXISTS idx_conversation_message_conversation ON conversation_message(conversation_id, id);
+
+CREATE TABLE IF NOT EXISTS moderation_event (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    conversation_id TEXT,
+    direction TEXT CHECK (direction IN ('input', 'output')) NOT NULL,
+    categories TEXT NOT NULL, -- JSON array of flagged categories
+    content TEXT NOT NULL, -- excerpt of the flagged text
+    provider TEXT NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_moderation_event_user_created;
+CREATE INDEX IF NOT EXISTS idx_moderation_event_user_created ON moderation_event(user_id, created_at);
+
+DROP TABLE IF EXISTS theme;
+CREATE TABLE IF NOT EXISTS theme (
+    key TEXT PRIMARY KEY,
+    keywords TEXT NOT NULL, -- JSON array of lowercase keywords
+    localized_keywords TEXT DEFAULT '{}' NOT NULL, -- JSON object of keyword arrays by language code
+    story_prompt TEXT NOT NULL,
+    qna_prompt TEXT NOT NULL,
+    enabled BOOLEAN DEFAULT 1 NOT NULL,
+    min_age INTEGER CHECK (min_age >= 0),
+    max_age INTEGER CHECK (max_age >= 0),
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+INSERT INTO theme (key, keywords, story_prompt, qna_prompt, localized_keywords) VALUES
+    ('ADVENTURE', '["adventure", "explore", "quest", "journey", "discover", "mission", "expedition", "treasure", "map"]', 'Create an exciting adventure with thrilling discoveries and challenges that can be overcome through wit, courage, and determination. Keep the excitement high while ensuring all challenges and resolutions are age-appropriate.', 'Address questions about exploration, discovery, and adventure with enthusiasm, while emphasizing safety, preparation, and responsible decision-making.', '{"zh": ["冒险", "探险", "寻宝", "旅程", "地图"], "es": ["aventura", "explorar", "tesoro", "viaje", "mapa"], "fr": ["aventure", "explorer", "trésor", "voyage", "carte"], "de": ["abenteuer", "erkunden", "schatz", "reise", "karte"], "pt": ["aventura", "explorar", "tesouro", "viagem", "mapa"], "ja": ["冒険", "探検", "宝物", "旅", "地図"], "ko": ["모험", "탐험", "보물", "여행", "지도"]}'),
+    ('FAMILY', '["family", "parents", "siblings", "home", "relatives"]', 'Focus on warm family relationships, understanding between generations, and the value of family bonds.', 'Address family-related questions with sensitivity, emphasizing positive family dynamics and healthy relationships.', '{"zh": ["家人", "家庭", "爸爸", "妈妈", "兄弟姐妹"], "es": ["familia", "padres", "hermanos", "casa"], "fr": ["famille", "parents", "frères", "maison"], "de": ["familie", "eltern", "geschwister", "zuhause"], "pt": ["família", "pais", "irmãos", "casa"], "ja": ["家族", "お父さん", "お母さん", "兄弟"], "ko": ["가족", "엄마", "아빠", "형제"]}'),
+    ('FRIENDSHIP', '["friends", "friendship", "teamwork", "loyalty"]', 'Emphasize the power of friendship, loyalty, and working together to overcome challenges.', 'Focus on developing and maintaining healthy friendships, resolving conflicts, and being a good friend.', '{"zh": ["朋友", "友谊", "团队", "合作"], "es": ["amigos", "amistad", "equipo"], "fr": ["amis", "amitié", "équipe"], "de": ["freunde", "freundschaft", "team"], "pt": ["amigos", "amizade", "equipe"], "ja": ["友達", "友情", "仲間"], "ko": ["친구", "우정", "팀"]}'),
+    ('MAGIC', '["magic", "wizard", "witch", "spell", "magical", "enchanted"]', 'Weave magical elements naturally into the story while maintaining believability and wonder.', 'Discuss magical concepts in relation to imagination, creativity, and wonder, while distinguishing fantasy from reality.', '{"zh": ["魔法", "巫师", "女巫", "咒语"], "es": ["magia", "mago", "bruja", "hechizo"], "fr": ["magie", "sorcier", "sorcière", "sort"], "de": ["magie", "zauberer", "hexe", "zauber"], "pt": ["magia", "mago", "bruxa", "feitiço"], "ja": ["魔法", "魔法使い", "魔女", "呪文"], "ko": ["마법", "마법사", "마녀", "주문"]}'),
+    ('SCIFI', '["space", "future", "robot", "technology", "science"]', 'Incorporate age-appropriate science fiction concepts that spark curiosity about science and technology.', 'Explain scientific and technological concepts in an engaging, age-appropriate way while encouraging curiosity.', '{"zh": ["太空", "未来", "机器人", "科技", "科学"], "es": ["espacio", "futuro", "robot", "ciencia"], "fr": ["espace", "futur", "robot", "science"], "de": ["weltraum", "zukunft", "roboter", "wissenschaft"], "pt": ["espaço", "futuro", "robô", "ciência"], "ja": ["宇宙", "未来", "ロボット", "科学"], "ko": ["우주", "미래", "로봇", "과학"]}'),
+    ('COMEDY', '["funny", "humor", "laugh", "joke", "silly"]', 'Include light humor and fun situations while avoiding sarcasm or mean-spirited jokes.', 'Address questions with a touch of humor when appropriate, while maintaining educational value.', '{"zh": ["好笑", "搞笑", "笑话", "有趣"], "es": ["gracioso", "chiste", "risa", "divertido"], "fr": ["drôle", "blague", "rire", "rigolo"], "de": ["lustig", "witz", "lachen", "albern"], "pt": ["engraçado", "piada", "rir", "divertido"], "ja": ["おもしろい", "笑い", "ジョーク"], "ko": ["웃긴", "농담", "웃음", "재미있는"]}'),
+    ('GROWTH', '["learn", "grow", "change", "understand", "realize"]', 'Focus on personal growth, self-discovery, and overcoming internal challenges.', 'Guide learning and personal development with encouraging, constructive responses.', '{"zh": ["学习", "成长", "改变", "明白"], "es": ["aprender", "crecer", "cambiar", "entender"], "fr": ["apprendre", "grandir", "changer", "comprendre"], "de": ["lernen", "wachsen", "verändern", "verstehen"], "pt": ["aprender", "crescer", "mudar", "entender"], "ja": ["学ぶ", "成長", "変わる", "わかる"], "ko": ["배우다", "성장", "변화", "이해"]}');
+
+CREATE TABLE IF NOT EXISTS story_memory (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    child_id INTEGER REFERENCES child_profile(id) ON DELETE CASCADE, -- NULL for the account itself
+    kind TEXT CHECK (kind IN ('character', 'pet', 'place', 'hero')) NOT NULL,
+    name TEXT NOT NULL COLLATE NOCASE,
+    description TEXT DEFAULT '' NOT NULL,
+    source TEXT CHECK (source IN ('conversation', 'parent')) NOT NULL, -- parent edits are never overwritten by extraction
+    mention_count INTEGER DEFAULT 1 NOT NULL,
+    last_mentioned_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_story_memory_owner_name;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_story_memory_owner_name ON story_memory(user_id, IFNULL(child_id, 0), kind, name);
+DROP INDEX IF EXISTS idx_story_memory_user_mentioned;
+CREATE INDEX IF NOT EXISTS idx_story_memory_user_mentioned ON story_memory(user_id, last_mentioned_at);
+
+CREATE TABLE IF NOT EXISTS interactive_story (
+    conversation_id TEXT PRIMARY KEY REFERENCES conversation(id) ON DELETE CASCADE,
+    step INTEGER DEFAULT 0 NOT NULL, -- number of segments told so far
+    choices TEXT DEFAULT '[]' NOT NULL, -- JSON array of the choices offered after the last segment
+    path TEXT DEFAULT '[]' NOT NULL, -- JSON array of {step, choice}, the choices the child made
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS child_profile (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    yob INTEGER CHECK (yob >= 1900) NOT NULL,
+    preferred_voice TEXT DEFAULT 'nova' NOT NULL,
+    interests TEXT DEFAULT '[]' NOT NULL, -- JSON array of short interest phrases
+    reading_level INTEGER CHECK (reading_level BETWEEN 0 AND 12), -- US school grade; NULL follows the age
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_child_profile_user;
+CREATE INDEX IF NOT EXISTS idx_child_profile_user ON child_profile(user_id);
+
+CREATE TABLE IF NOT EXISTS parental_control (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    child_id INTEGER REFERENCES child_profile(id) ON DELETE CASCADE, -- NULL applies to the whole account
+    blocked_topics TEXT DEFAULT '[]' NOT NULL, -- JSON array of words or theme types the child may not ask about
+    allowed_visual_tasks TEXT, -- JSON array of visual_task values; NULL allows every task
+    quiet_hours_start INTEGER CHECK (quiet_hours_start BETWEEN 0 AND 23), -- local hour, NULL for no quiet hours
+    quiet_hours_end INTEGER CHECK (quiet_hours_end BETWEEN 0 AND 23),
+    daily_story_limit INTEGER CHECK (daily_story_limit >= 0), -- NULL for no limit
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL,
+    updated_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_parental_control_scope;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_parental_control_scope ON parental_control(user_id, IFNULL(child_id, 0));
+
+CREATE TABLE IF NOT EXISTS daily_story_count (
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    child_id INTEGER DEFAULT 0 NOT NULL, -- 0 counts the stories of the account itself
+    day TEXT NOT NULL, -- local date, YYYY-MM-DD
+    count INTEGER DEFAULT 0 NOT NULL,
+    PRIMARY KEY (user_id, child_id, day)
+);
+
+CREATE TABLE IF NOT EXISTS usage_record (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    child_id INTEGER, -- the child profile that made the request, NULL for the account itself
+    endpoint TEXT CHECK (endpoint IN ('chat', 'transcription')) NOT NULL,
+    prompt_tokens INTEGER DEFAULT 0 NOT NULL,
+    completion_tokens INTEGER DEFAULT 0 NOT NULL,
+    tts_characters INTEGER DEFAULT 0 NOT NULL, -- characters sent to TTS; cached audio costs nothing
+    transcription_seconds REAL DEFAULT 0 NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_usage_record_user_created;
+CREATE INDEX IF NOT EXISTS idx_usage_record_user_created ON usage_record(user_id, created_at);
+
+CREATE TABLE IF NOT EXISTS chat_activity (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    child_id INTEGER, -- the child profile that chatted, NULL for the account itself
+    day TEXT NOT NULL, -- the child's local date, YYYY-MM-DD
+    query_type TEXT CHECK (query_type IN ('story', 'interactive', 'qna')) NOT NULL,
+    new_story BOOLEAN DEFAULT 0 NOT NULL, -- a story started, not the next segment of an interactive one
+    visual_task TEXT,
+    themes TEXT DEFAULT '[]' NOT NULL, -- JSON array of detected theme types
+    message TEXT NOT NULL, -- the child's message, shortened
+    listening_seconds REAL DEFAULT 0 NOT NULL,
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_chat_activity_user_day;
+CREATE INDEX IF NOT EXISTS idx_chat_activity_user_day ON chat_activity(user_id, day);
+
+CREATE TABLE IF NOT EXISTS discovery_card (
+    id INTEGER PRIMARY KEY AUTOINCREMENT,
+    user_id INTEGER NOT NULL REFERENCES user_account(id) ON DELETE CASCADE,
+    child_id INTEGER REFERENCES child_profile(id) ON DELETE CASCADE, -- NULL for the account itself
+    visual_task TEXT CHECK (visual_task IN ('Plants', 'Animals', 'Insects')) NOT NULL,
+    common_name TEXT NOT NULL,
+    scientific_name TEXT,
+    confidence REAL NOT NULL,
+    fun_facts TEXT DEFAULT '[]' NOT NULL, -- JSON array of strings
+    safety_warnings TEXT DEFAULT '[]' NOT NULL, -- JSON array of {type, message}
+    image_id TEXT, -- the uploaded photo, when it was sent as an image_ref
+    created_at DATETIME DEFAULT CURRENT_TIMESTAMP NOT NULL
+);
+DROP INDEX IF EXISTS idx_discovery_card_user_created;
+CREATE INDEX IF NOT EXISTS idx_discovery_card_user_created ON discovery_card(user_id, created_at);
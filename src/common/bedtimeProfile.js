@@ -0,0 +1,103 @@
+/**
+ * Bedtime narration profile: between BEDTIME_START_HOUR and BEDTIME_END_HOUR in the child's own
+ * timezone, stories are voiced slower and softer, winding down from paragraph to paragraph.
+ */
+
+const BEDTIME_START_HOUR = 19;
+const BEDTIME_END_HOUR = 6;
+// The first bedtime paragraph is voiced at this speed, each next one a step slower, down to the minimum
+const BEDTIME_SPEED_START = 0.82;
+const BEDTIME_SPEED_STEP = 0.02;
+const BEDTIME_SPEED_MIN = 0.7;
+// Speech model used at bedtime when env.BEDTIME_TTS_MODEL is not set; it follows voice instructions
+const BEDTIME_TTS_MODEL_DEFAULT = 'gpt-4o-mini-tts';
+export const MAX_PAUSE_SECONDS = 10;
+
+// Voice instructions by paragraph, the last one repeating for the rest of the story
+const BEDTIME_INSTRUCTIONS = [
+  'Speak softly and slowly, in a warm, calm bedtime voice.',
+  'Speak softly and a little slower, in a quiet, soothing bedtime voice with gentle pauses.',
+  'Speak very softly and slowly, close to a whisper, in a sleepy, soothing voice with long gentle pauses.',
+];
+const PARAGRAPHS_PER_INSTRUCTION = 2;
+
+/**
+ * Checks whether a timezone name is an IANA timezone the runtime knows, such as `Asia/Shanghai`.
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export function isValidTimeZone(timeZone) {
+  if (typeof timeZone !== 'string' || !timeZone) {
+    return false;
+  }
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+/**
+ * Returns the hour of day where the child is.
+ * With a timezone, the hour is that of the given time (or now) in the timezone. Without one, it is
+ * read from the local clock digits of the client's ISO 8601 time, which are already the child's own.
+ * @param {string|null} currentLocalTime - ISO 8601 time sent by the client, e.g. 2022-02-22T22:22:22+08:00.
+ * @param {string|null} timeZone - The user's IANA timezone.
+ * @returns {number|null} 0 to 23, or null when neither is known.
+ */
+export function getLocalHour(currentLocalTime, timeZone) {
+  if (isValidTimeZone(timeZone)) {
+    const instant = currentLocalTime ? new Date(currentLocalTime) : new Date();
+    const hour = new Intl.DateTimeFormat('en-US', { timeZone, hour: 'numeric', hourCycle: 'h23' }).format(instant);
+    return Number(hour);
+  }
+  const clock = currentLocalTime?.match(/T(\d{2}):/);
+  return clock ? Number(clock[1]) : null;
+}
+
+/**
+ * Returns the date where the child is, worked out like getLocalHour.
+ * @param {string|null} currentLocalTime - ISO 8601 time sent by the client.
+ * @param {string|null} timeZone - The user's IANA timezone.
+ * @returns {string} YYYY-MM-DD; the UTC date when neither is known.
+ */
+export function getLocalDate(currentLocalTime, timeZone) {
+  if (isValidTimeZone(timeZone)) {
+    const instant = currentLocalTime ? new Date(currentLocalTime) : new Date();
+    return new Intl.DateTimeFormat('en-CA', { timeZone, year: 'numeric', month: '2-digit', day: '2-digit' }).format(instant);
+  }
+  const date = currentLocalTime?.match(/^(\d{4}-\d{2}-\d{2})T/);
+  return date ? date[1] : new Date().toISOString().slice(0, 10);
+}
+
+/**
+ * @param {number|null} hour - As returned by getLocalHour.
+ * @returns {boolean}
+ */
+export function isBedtime(hour) {
+  return hour !== null && (hour >= BEDTIME_START_HOUR || hour < BEDTIME_END_HOUR);
+}
+
+/**
+ * Returns the speech settings of a paragraph.
+ * @param {Object} env - The environment variables.
+ * @param {number} paragraphIndex - 0 for the first paragraph of the reply.
+ * @param {boolean} bedtime
+ * @param {{model: string, speed: number}} daytime - The usual speech settings.
+ * @returns {{model: string, speed: number, instructions?: string}}
+ */
+export function getNarrationSettings(env, paragraphIndex, bedtime, daytime) {
+  if (!bedtime) {
+    return daytime;
+  }
+  const model = env.BEDTIME_TTS_MODEL || BEDTIME_TTS_MODEL_DEFAULT;
+  const speed = Math.max(BEDTIME_SPEED_MIN, BEDTIME_SPEED_START - paragraphIndex * BEDTIME_SPEED_STEP);
+  const settings = { model, speed: Math.round(speed * 100) / 100 };
+  // The tts-1 models take no voice instructions, so they are only slowed down
+  if (!model.startsWith('tts-1')) {
+    const stage = Math.min(BEDTIME_INSTRUCTIONS.length - 1, Math.floor(paragraphIndex / PARAGRAPHS_PER_INSTRUCTION));
+    settings.instructions = BEDTIME_INSTRUCTIONS[stage];
+  }
+  return settings;
+}
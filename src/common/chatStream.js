@@ -0,0 +1,124 @@
+/**
+ * Chat response streams: typed chat events written either as Server-Sent Events or as the
+ * original newline-delimited JSON chunks.
+ */
+
+const encoder = new TextEncoder();
+
+// Comment lines keep idle SSE connections from being closed by proxies while TTS is running
+const SSE_HEARTBEAT_INTERVAL_MS = 15_000;
+
+export const STREAM_FORMATS = {
+  NDJSON: 'ndjson',
+  SSE: 'sse',
+};
+
+/**
+ * Picks the stream format of a chat request: SSE when asked for by `?stream=sse` or an
+ * `Accept: text/event-stream` header, NDJSON otherwise. The query parameter wins over the header.
+ * @param {Request} request
+ * @returns {string} One of STREAM_FORMATS.
+ */
+export function getStreamFormat(request) {
+  const requested = new URL(request.url).searchParams.get('stream');
+  if (requested) {
+    return requested === STREAM_FORMATS.SSE ? STREAM_FORMATS.SSE : STREAM_FORMATS.NDJSON;
+  }
+  const accept = request.headers.get('Accept') || '';
+  return accept.includes('text/event-stream') ? STREAM_FORMATS.SSE : STREAM_FORMATS.NDJSON;
+}
+
+/**
+ * Creates a chat event stream.
+ *
+ * Event types and their data:
+ * - `text`: `{ delta }`, the next piece of the assistant reply, sent segment by segment once it passed moderation
+ * - `audio`: `{ index, segment, segmentCount, text, audioUrl, provider, ... }`, one voiced segment of a paragraph,
+ *   with the TTS provider that voiced it
+ * - `paragraph_done`: `{ index, segmentCount }`, every segment of the paragraph has been sent
+ * - `pause`: `{ beforeIndex, duration, audioUrl }`, a silent clip to play before a bedtime paragraph
+ * - `choices`: `{ step, choices: [{ id, text }] }`, what the child can pick next in an interactive story
+ * - `discovery_card`: `{ id, visualTask, commonName, scientificName, confidence, funFacts, safetyWarnings }`,
+ *   what the photo of a Plants, Animals or Insects chat shows
+ * - `translation`: `{ sourceLanguage, targetLanguage, sentences: [{ index, original, translation, originalAudioUrl, ... }] }`,
+ *   the text in the photo of a Translation chat, with speech in both languages
+ * - `error`: `{ message, fatal, ... }`, a failed paragraph segment, or a fatal error ending the stream
+ *   (with a child-facing `displayMessage` in the conversation language)
+ * - `done`: `{ dialogHistory, ... }`, the reply is complete
+ *
+ * Any other type is sent as-is over SSE and as `{ <camelCasedType>: data }` over NDJSON.
+ * Events are written in the order `emit` is called, whatever order their producers finish in.
+ * @param {string} format - One of STREAM_FORMATS.
+ * @returns {{response: (init?: ResponseInit) => Response, emit: (type: string, data: Object) => Promise<void>, close: () => Promise<void>}}
+ */
+export function createChatStream(format) {
+  const { readable, writable } = new TransformStream();
+  const writer = writable.getWriter();
+  const isSSE = format === STREAM_FORMATS.SSE;
+
+  let eventId = 0;
+  let writeChain = Promise.resolve();
+  const write = (text) => {
+    writeChain = writeChain.then(() => writer.write(encoder.encode(text)));
+    writeChain.catch(() => {});
+    return writeChain;
+  };
+
+  const heartbeat = isSSE
+    ? setInterval(() => write(': heartbeat\n\n'), SSE_HEARTBEAT_INTERVAL_MS)
+    : null;
+
+  return {
+    response(init = {}) {
+      const contentType = isSSE ? 'text/event-stream; charset=utf-8' : 'application/json';
+      return new Response(readable, {
+        ...init,
+        headers: {
+          'Content-Type': contentType,
+          ...(isSSE ? { 'Cache-Control': 'no-cache' } : {}),
+          ...init.headers,
+        },
+      });
+    },
+    emit(type, data) {
+      if (isSSE) {
+        eventId++;
+        return write(`id: ${eventId}\nevent: ${type}\ndata: ${JSON.stringify(data)}\n\n`);
+      }
+      const chunk = toNdjsonChunk(type, data);
+      return chunk ? write(JSON.stringify(chunk) + '\n') : writeChain;
+    },
+    async close() {
+      clearInterval(heartbeat);
+      await writeChain.catch(() => {});
+      await writer.close();
+    },
+  };
+}
+
+/**
+ * Maps a chat event onto the NDJSON chunk shape clients have always received.
+ * @returns {Object|null} The chunk, or null for events the NDJSON format does not carry.
+ */
+function toNdjsonChunk(type, data) {
+  switch (type) {
+    case 'text':
+      return { textDelta: data.delta };
+    case 'audio':
+      return { currentParagraph: data };
+    case 'paragraph_done':
+      return null;
+    case 'error': {
+      const { message, fatal, dialogHistory, displayMessage, ...paragraph } = data;
+      return fatal
+        ? { dialogHistory, currentParagraph: null, error: message, displayMessage }
+        : { currentParagraph: { ...paragraph, audioUrl: null, error: message } };
+    }
+    case 'done': {
+      const { dialogHistory, ...rest } = data;
+      return { dialogHistory, currentParagraph: null, done: true, ...rest };
+    }
+    default:
+      return { [type.replace(/_([a-z])/g, (_, letter) => letter.toUpperCase())]: data };
+  }
+}
@@ -1,3 +1,4 @@
+import { SUPPORTED_LANGUAGES } from "./i18n";
 
 export const VOICE_MAPPING = {
     male: 'echo',
@@ -9,13 +10,82 @@ export const VOICE_INVERTED_MAPPING = {
     'nova': 'female'
 };
 
-// If you need to add more voice options in the future, you can easily extend these mappings:
-// export const EXTENDED_VOICE_MAPPING = {
-//     ...VOICE_MAPPING,
-//     neutral: 'sam',
-// };
+// The voice each TTS provider speaks with for each user-facing voice
+export const TTS_PROVIDER_VOICES = {
+    openai: VOICE_MAPPING,
+    elevenlabs: {
+        male: 'TX3LPaxmHKxFdv7VOQHJ', // Liam
+        female: 'XB0fDUnXU5powFXDhCwa', // Charlotte
+    },
+};
+
+// Ages each age group of the catalog is suitable for, inclusive
+export const VOICE_AGE_GROUPS = {
+    preschool: [3, 5],
+    child: [6, 9],
+    teen: [10, 17],
+};
+
+/**
+ * Returns the age group of a child's age; younger children count as preschool and older ones as teens.
+ * @param {number} age
+ * @returns {string} One of the keys of VOICE_AGE_GROUPS.
+ */
+export function getVoiceAgeGroup(age) {
+    const groups = Object.entries(VOICE_AGE_GROUPS);
+    const [group] = groups.find(([, [min, max]]) => age >= min && age <= max)
+        || (age < groups[0][1][0] ? groups[0] : groups[groups.length - 1]);
+    return group;
+}
+
+// Both providers' models are multilingual: every voice speaks every language, with the accent it is tagged with
+const ALL_LANGUAGES = Object.keys(SUPPORTED_LANGUAGES);
+
+/**
+ * Every voice of every TTS provider. `id` is what users choose and what is stored as their preferred voice;
+ * `providerVoiceId` is what the provider's API takes.
+ */
+export const VOICE_CATALOG = [
+    // OpenAI voices of the tts-1 models
+    { id: 'alloy', provider: 'openai', providerVoiceId: 'alloy', name: 'Alloy', gender: 'neutral', style: 'balanced', accent: 'American', ageGroups: ['child', 'teen'] },
+    { id: 'ash', provider: 'openai', providerVoiceId: 'ash', name: 'Ash', gender: 'male', style: 'clear', accent: 'American', ageGroups: ['child', 'teen'] },
+    { id: 'coral', provider: 'openai', providerVoiceId: 'coral', name: 'Coral', gender: 'female', style: 'warm', accent: 'American', ageGroups: ['preschool', 'child', 'teen'] },
+    { id: 'echo', provider: 'openai', providerVoiceId: 'echo', name: 'Echo', gender: 'male', style: 'calm', accent: 'American', ageGroups: ['preschool', 'child', 'teen'] },
+    { id: 'fable', provider: 'openai', providerVoiceId: 'fable', name: 'Fable', gender: 'male', style: 'storyteller', accent: 'British', ageGroups: ['preschool', 'child', 'teen'] },
+    { id: 'onyx', provider: 'openai', providerVoiceId: 'onyx', name: 'Onyx', gender: 'male', style: 'deep', accent: 'American', ageGroups: ['teen'] },
+    { id: 'nova', provider: 'openai', providerVoiceId: 'nova', name: 'Nova', gender: 'female', style: 'bright', accent: 'American', ageGroups: ['preschool', 'child', 'teen'] },
+    { id: 'sage', provider: 'openai', providerVoiceId: 'sage', name: 'Sage', gender: 'female', style: 'calm', accent: 'American', ageGroups: ['child', 'teen'] },
+    { id: 'shimmer', provider: 'openai', providerVoiceId: 'shimmer', name: 'Shimmer', gender: 'female', style: 'soft', accent: 'American', ageGroups: ['preschool', 'child'] },
+    // ElevenLabs premade voices
+    { id: 'rachel', provider: 'elevenlabs', providerVoiceId: '21m00Tcm4TlvDq8ikWAM', name: 'Rachel', gender: 'female', style: 'calm', accent: 'American', ageGroups: ['child', 'teen'] },
+    { id: 'sarah', provider: 'elevenlabs', providerVoiceId: 'EXAVITQu4vr4xnSDxMaL', name: 'Sarah', gender: 'female', style: 'soft', accent: 'American', ageGroups: ['preschool', 'child', 'teen'] },
+    { id: 'matilda', provider: 'elevenlabs', providerVoiceId: 'XrExE9yKIg1WjnnlVkGX', name: 'Matilda', gender: 'female', style: 'warm', accent: 'American', ageGroups: ['preschool', 'child'] },
+    { id: 'lily', provider: 'elevenlabs', providerVoiceId: 'pFZP5JQG7iQjIQuC4Bku', name: 'Lily', gender: 'female', style: 'warm', accent: 'British', ageGroups: ['preschool', 'child'] },
+    { id: 'charlotte', provider: 'elevenlabs', providerVoiceId: 'XB0fDUnXU5powFXDhCwa', name: 'Charlotte', gender: 'female', style: 'gentle', accent: 'Swedish', ageGroups: ['child', 'teen'] },
+    { id: 'liam', provider: 'elevenlabs', providerVoiceId: 'TX3LPaxmHKxFdv7VOQHJ', name: 'Liam', gender: 'male', style: 'bright', accent: 'American', ageGroups: ['child', 'teen'] },
+    { id: 'charlie', provider: 'elevenlabs', providerVoiceId: 'IKne3meq5aSn9XLyUdCD', name: 'Charlie', gender: 'male', style: 'playful', accent: 'Australian', ageGroups: ['child', 'teen'] },
+    { id: 'george', provider: 'elevenlabs', providerVoiceId: 'JBFqnCBsd6RMkjVDRZzb', name: 'George', gender: 'male', style: 'storyteller', accent: 'British', ageGroups: ['preschool', 'child', 'teen'] },
+    { id: 'adam', provider: 'elevenlabs', providerVoiceId: 'pNInz6obpgDQGcFmaJgB', name: 'Adam', gender: 'male', style: 'deep', accent: 'American', ageGroups: ['teen'] },
+].map(voice => ({ ...voice, languages: ALL_LANGUAGES }));
+
+/**
+ * Finds a catalog voice by its id, or by the id its provider knows it by.
+ * @param {string} voice
+ * @returns {Object|null}
+ */
+export function getCatalogVoice(voice) {
+    return VOICE_CATALOG.find(entry => entry.id === voice || entry.providerVoiceId === voice) || null;
+}
 
-// export const EXTENDED_VOICE_INVERTED_MAPPING = {
-//     ...VOICE_INVERTED_MAPPING,
-//     'sam': 'neutral',
-// };
\ No newline at end of file
+/**
+ * Returns the voice to store for a user's choice: `male` and `female`, as the app has always sent,
+ * or the id of any catalog voice.
+ * @param {string} voice
+ * @returns {string|null} Null if the choice is not a voice.
+ */
+export function toStoredVoice(voice) {
+    if (Object.hasOwn(VOICE_MAPPING, voice)) {
+        return VOICE_MAPPING[voice];
+    }
+    return VOICE_CATALOG.find(entry => entry.id === voice)?.id || null;
+}
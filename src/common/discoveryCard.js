@@ -0,0 +1,130 @@
+/**
+ * Discovery cards: what a child photographed for the Plants, Animals and Insects visual tasks,
+ * identified as structured data the app collects into a book for each child.
+ */
+
+import { getLanguageName } from "./i18n";
+import { findLatestPhotoMessage } from "./messageContent";
+
+// What the child is looking for in each visual task that gets a card
+const TASK_SUBJECTS = { Plants: 'plant', Animals: 'animal', Insects: 'insect' };
+export const DISCOVERY_CARD_TASKS = Object.keys(TASK_SUBJECTS);
+export const SAFETY_WARNING_TYPES = ['poisonous', 'stinging', 'biting', 'thorny', 'allergen', 'other'];
+
+const NAME_MAX_LENGTH = 100;
+const FACT_MAX_LENGTH = 300;
+const MAX_FUN_FACTS = 3;
+const MAX_SAFETY_WARNINGS = 3;
+// Cards the model is less sure of than this are not shown
+const MIN_CONFIDENCE = 0.3;
+
+export const DISCOVERY_CARD_SCHEMA = {
+  type: 'object',
+  properties: {
+    identified: { type: 'boolean' },
+    common_name: { type: 'string' },
+    scientific_name: { type: ['string', 'null'] },
+    confidence: { type: 'number' },
+    fun_facts: { type: 'array', items: { type: 'string' } },
+    safety_warnings: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          type: { type: 'string', enum: SAFETY_WARNING_TYPES },
+          message: { type: 'string' },
+        },
+        required: ['type', 'message'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['identified', 'common_name', 'scientific_name', 'confidence', 'fun_facts', 'safety_warnings'],
+  additionalProperties: false,
+};
+
+const getCardPrompt = (visualTask, language, userAge) => `You help a ${userAge}-year-old child identify ${visualTask.toLowerCase()} in photos.
+Look at the latest photo the child sent and identify the main ${TASK_SUBJECTS[visualTask]} in it.
+- identified: false if there is none, or you cannot tell what it is
+- common_name: its everyday name in ${getLanguageName(language)}
+- scientific_name: its Latin binomial name, or null if you only know it roughly
+- confidence: how sure you are of the identification, from 0 to 1
+- fun_facts: up to ${MAX_FUN_FACTS} short, true, child-friendly facts in ${getLanguageName(language)}
+- safety_warnings: if it is poisonous, stings, bites, has thorns or commonly causes allergies, say so plainly
+  in ${getLanguageName(language)} and tell the child not to touch or eat it; otherwise an empty list`;
+
+/**
+ * Identifies the subject of the latest photo in a visual chat as a discovery card.
+ * @param {Object} llm - The LLM router, see createLLMRouter; the 'discovery' route needs a vision model that follows JSON schemas strictly.
+ * @param {Array<{role: string, content: string|Object[]}>} dialogHistory - The conversation, with image links the model can fetch.
+ * @param {string} visualTask - One of DISCOVERY_CARD_TASKS.
+ * @param {string} language - The language of the names and facts.
+ * @param {number} userAge
+ * @returns {Promise<Object|null>} The validated card, or null if nothing was identified.
+ */
+export async function generateDiscoveryCard(llm, dialogHistory, visualTask, language, userAge) {
+  const latestPhoto = findLatestPhotoMessage(dialogHistory);
+  if (!latestPhoto) {
+    return null;
+  }
+
+  const completion = await llm.complete('discovery', [
+    { role: 'system', content: getCardPrompt(visualTask, language, userAge) },
+    latestPhoto,
+  ], {
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'discovery_card', strict: true, schema: DISCOVERY_CARD_SCHEMA },
+    },
+    temperature: 0,
+    max_tokens: 800,
+  });
+
+  const card = validateDiscoveryCard(JSON.parse(completion.content));
+  return card && card.confidence >= MIN_CONFIDENCE ? card : null;
+}
+
+/**
+ * Checks a card against DISCOVERY_CARD_SCHEMA and trims it to the stored limits.
+ * @param {*} card - A card as returned by the model.
+ * @returns {Object|null} The card, or null if it is malformed or nothing was identified.
+ */
+export function validateDiscoveryCard(card) {
+  if (!card || typeof card !== 'object' || card.identified !== true) {
+    return null;
+  }
+  if (typeof card.common_name !== 'string' || !card.common_name.trim()) {
+    return null;
+  }
+  if (card.scientific_name !== null && typeof card.scientific_name !== 'string') {
+    return null;
+  }
+  if (typeof card.confidence !== 'number' || Number.isNaN(card.confidence)) {
+    return null;
+  }
+  if (!Array.isArray(card.fun_facts) || !Array.isArray(card.safety_warnings)) {
+    return null;
+  }
+  return {
+    common_name: card.common_name.trim().slice(0, NAME_MAX_LENGTH),
+    scientific_name: card.scientific_name?.trim().slice(0, NAME_MAX_LENGTH) || null,
+    confidence: Math.round(Math.min(1, Math.max(0, card.confidence)) * 100) / 100,
+    fun_facts: card.fun_facts
+      .filter(fact => typeof fact === 'string' && fact.trim())
+      .map(fact => fact.trim().slice(0, FACT_MAX_LENGTH))
+      .slice(0, MAX_FUN_FACTS),
+    safety_warnings: card.safety_warnings
+      .filter(warning => warning && SAFETY_WARNING_TYPES.includes(warning.type) && typeof warning.message === 'string' && warning.message.trim())
+      .map(warning => ({ type: warning.type, message: warning.message.trim().slice(0, FACT_MAX_LENGTH) }))
+      .slice(0, MAX_SAFETY_WARNINGS),
+  };
+}
+
+/**
+ * Returns the child-facing text of a card, for moderation.
+ * @param {Object} card - A validated card.
+ * @returns {string}
+ */
+export function getDiscoveryCardText(card) {
+  return [card.common_name, ...card.fun_facts, ...card.safety_warnings.map(warning => warning.message)].join('\n');
+}
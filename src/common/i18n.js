@@ -0,0 +1,153 @@
+/**
+ * Languages POPO speaks, and the child-facing strings the worker says itself in each of them.
+ */
+
+export const DEFAULT_LANGUAGE = 'en';
+
+// ISO 639-1 codes, as Whisper expects them
+export const SUPPORTED_LANGUAGES = {
+    en: { name: 'English', cjk: false },
+    zh: { name: 'Simplified Chinese', cjk: true },
+    es: { name: 'Spanish', cjk: false },
+    fr: { name: 'French', cjk: false },
+    de: { name: 'German', cjk: false },
+    pt: { name: 'Portuguese', cjk: false },
+    ja: { name: 'Japanese', cjk: true },
+    ko: { name: 'Korean', cjk: true },
+};
+
+const MESSAGES = {
+    storyRedirect: {
+        en: "Hmm, let's choose a different kind of story! How about a tale about a curious little fox who finds a glowing map in the forest? Or you can tell me about your favourite animal, and I'll make up a story about it.",
+        zh: '嗯，我们换一种故事吧！讲一只好奇的小狐狸在森林里发现一张会发光的地图，好不好？或者告诉我你最喜欢的动物，我来为它编一个故事。',
+        es: '¡Mmm, elijamos otro tipo de cuento! ¿Qué tal la historia de un zorrito curioso que encuentra un mapa brillante en el bosque? O cuéntame cuál es tu animal favorito y me invento un cuento sobre él.',
+        fr: "Hmm, choisissons une autre sorte d'histoire ! Que dirais-tu de l'histoire d'un petit renard curieux qui trouve une carte lumineuse dans la forêt ? Ou dis-moi quel est ton animal préféré, et j'inventerai une histoire sur lui.",
+        de: 'Hmm, lass uns eine andere Geschichte aussuchen! Wie wäre es mit einem neugierigen kleinen Fuchs, der im Wald eine leuchtende Karte findet? Oder erzähl mir von deinem Lieblingstier, und ich denke mir eine Geschichte darüber aus.',
+        pt: 'Hmm, vamos escolher outro tipo de história! Que tal a história de uma raposinha curiosa que encontra um mapa brilhante na floresta? Ou me conte qual é o seu animal favorito, e eu invento uma história sobre ele.',
+        ja: 'うーん、ちがうお話にしようか！森でひかる地図を見つけた、好奇心いっぱいの子ギツネのお話はどうかな？それとも、好きな動物を教えてくれたら、その子のお話を作るよ。',
+        ko: '음, 다른 이야기를 골라 볼까? 숲에서 반짝이는 지도를 찾은 호기심 많은 아기 여우 이야기는 어때? 아니면 좋아하는 동물을 알려 주면 그 동물 이야기를 만들어 줄게.',
+    },
+    qnaRedirect: {
+        en: "That's something best talked about with a grown-up you trust, like a parent or a teacher. Is there something else you're curious about? I love questions about animals, space and how things work!",
+        zh: '这个问题最好和你信任的大人聊一聊，比如爸爸妈妈或者老师。你还对什么感到好奇吗？我最喜欢关于动物、太空和东西怎么运转的问题啦！',
+        es: 'De eso es mejor hablar con un adulto de confianza, como tu mamá, tu papá o tu maestra. ¿Hay otra cosa que te dé curiosidad? ¡Me encantan las preguntas sobre animales, el espacio y cómo funcionan las cosas!',
+        fr: "C'est un sujet dont il vaut mieux parler avec un adulte de confiance, comme un parent ou un enseignant. Y a-t-il autre chose qui te rend curieux ? J'adore les questions sur les animaux, l'espace et le fonctionnement des choses !",
+        de: 'Darüber sprichst du am besten mit einem Erwachsenen, dem du vertraust, zum Beispiel mit deinen Eltern oder deiner Lehrerin. Gibt es etwas anderes, das dich neugierig macht? Ich liebe Fragen über Tiere, den Weltraum und wie Dinge funktionieren!',
+        pt: 'Isso é algo para conversar com um adulto de confiança, como seus pais ou um professor. Tem outra coisa que te deixa curioso? Eu adoro perguntas sobre animais, o espaço e como as coisas funcionam!',
+        ja: 'それは、おうちの人や先生など、信頼できる大人と話すのがいちばんだよ。ほかに気になることはあるかな？動物や宇宙、ものの仕組みについての質問が大好きなんだ！',
+        ko: '그건 부모님이나 선생님처럼 믿을 수 있는 어른과 이야기하는 게 가장 좋아. 또 궁금한 게 있니? 나는 동물, 우주, 그리고 물건이 어떻게 움직이는지에 대한 질문을 정말 좋아해!',
+    },
+    chatError: {
+        en: "Oops, POPO got a little tangled up. Can you ask me again?",
+        zh: '哎呀，POPO 有点糊涂了。你能再问我一次吗？',
+        es: '¡Uy, POPO se enredó un poquito! ¿Me lo puedes volver a preguntar?',
+        fr: "Oups, POPO s'est un peu emmêlé. Tu peux me redemander ?",
+        de: 'Hoppla, POPO ist ein bisschen durcheinandergekommen. Kannst du mich noch einmal fragen?',
+        pt: 'Opa, o POPO se enrolou um pouquinho. Pode me perguntar de novo?',
+        ja: 'あれれ、POPOがちょっとこんがらがっちゃった。もう一度きいてくれる？',
+        ko: '앗, POPO가 조금 헷갈렸어. 다시 한 번 물어봐 줄래?',
+    },
+    quietHoursRefusal: {
+        en: "It's quiet time now, so POPO is resting too. Let's talk again a little later!",
+        zh: '现在是安静时间，POPO 也在休息哦。我们过一会儿再聊吧！',
+        es: 'Ahora es la hora de descansar, así que POPO también está descansando. ¡Hablamos un poquito más tarde!',
+        fr: "C'est l'heure calme, alors POPO se repose aussi. On se reparle un peu plus tard !",
+        de: 'Jetzt ist Ruhezeit, deshalb ruht sich POPO auch aus. Lass uns später wieder reden!',
+        pt: 'Agora é hora do descanso, então o POPO também está descansando. Vamos conversar mais tarde!',
+        ja: 'いまは しずかな じかんだから、POPOも おやすみ中だよ。また あとで お話ししようね！',
+        ko: '지금은 조용한 시간이라 POPO도 쉬고 있어. 조금 있다가 다시 이야기하자!',
+    },
+    blockedTopicRefusal: {
+        en: "That's a topic your grown-ups would like us to skip. Let's pick something else! What's your favourite animal?",
+        zh: '这个话题你的家人希望我们先不聊哦。我们换个话题吧！你最喜欢什么动物？',
+        es: 'Ese es un tema que tus papás prefieren que dejemos. ¡Elijamos otra cosa! ¿Cuál es tu animal favorito?',
+        fr: "C'est un sujet que tes parents préfèrent qu'on laisse de côté. Choisissons autre chose ! Quel est ton animal préféré ?",
+        de: 'Über dieses Thema möchten deine Eltern lieber nicht, dass wir reden. Lass uns etwas anderes aussuchen! Was ist dein Lieblingstier?',
+        pt: 'Esse é um assunto que seus pais preferem que a gente deixe de lado. Vamos escolher outra coisa! Qual é o seu animal favorito?',
+        ja: 'そのお話は、おうちの人が お休みにしてほしいって。ほかのことにしよう！いちばん好きな動物はなあに？',
+        ko: '그 이야기는 부모님이 잠시 쉬자고 하셨어. 다른 걸 골라 보자! 가장 좋아하는 동물은 뭐야?',
+    },
+    visualTaskRefusal: {
+        en: "Your grown-ups haven't turned that on yet. Ask them to help, or let's try something else together!",
+        zh: '你的家人还没有打开这个功能哦。请他们帮帮忙，或者我们一起试试别的吧！',
+        es: 'Tus papás todavía no han activado eso. ¡Pídeles ayuda o probemos otra cosa juntos!',
+        fr: "Tes parents n'ont pas encore activé ça. Demande-leur de t'aider, ou essayons autre chose ensemble !",
+        de: 'Deine Eltern haben das noch nicht eingeschaltet. Frag sie um Hilfe, oder lass uns zusammen etwas anderes ausprobieren!',
+        pt: 'Seus pais ainda não ligaram isso. Peça ajuda a eles, ou vamos tentar outra coisa juntos!',
+        ja: 'それは まだ おうちの人が オンにしていないよ。おうちの人に きいてみるか、ほかのことを いっしょに やってみよう！',
+        ko: '그 기능은 아직 부모님이 켜 두지 않으셨어. 부모님께 도와 달라고 하거나, 다른 걸 같이 해 보자!',
+    },
+    dailyStoryLimitRefusal: {
+        en: "That's all the stories for today! POPO can't wait to tell you a new one tomorrow.",
+        zh: '今天的故事讲完啦！POPO 已经等不及明天给你讲新故事了。',
+        es: '¡Esos son todos los cuentos de hoy! POPO tiene muchas ganas de contarte uno nuevo mañana.',
+        fr: "C'est fini pour les histoires d'aujourd'hui ! POPO a hâte de t'en raconter une nouvelle demain.",
+        de: 'Das waren alle Geschichten für heute! POPO freut sich schon darauf, dir morgen eine neue zu erzählen.',
+        pt: 'Essas foram todas as histórias de hoje! O POPO mal pode esperar para te contar uma nova amanhã.',
+        ja: 'きょうの お話は これで おしまい！あした また あたらしい お話を するのを POPOは たのしみにしているよ。',
+        ko: '오늘 이야기는 여기까지야! 내일 새로운 이야기를 들려줄 생각에 POPO는 벌써 신나.',
+    },
+    voicePreview: {
+        en: "Hi there! I'm POPO. Shall we go on a story adventure together tonight?",
+        zh: '你好呀！我是 POPO。今晚我们一起去故事里探险好不好？',
+        es: '¡Hola! Soy POPO. ¿Nos vamos juntos de aventura en un cuento esta noche?',
+        fr: "Coucou ! Je suis POPO. On part ensemble à l'aventure dans une histoire ce soir ?",
+        de: 'Hallo! Ich bin POPO. Wollen wir heute Abend zusammen ein Geschichtenabenteuer erleben?',
+        pt: 'Oi! Eu sou o POPO. Vamos viver juntos uma aventura numa história hoje à noite?',
+        ja: 'こんにちは！POPOだよ。こんや いっしょに お話の ぼうけんに でかけよう！',
+        ko: '안녕! 나는 POPO야. 오늘 밤 같이 이야기 모험을 떠나 볼까?',
+    },
+};
+
+/**
+ * Checks whether a language code is supported.
+ * @param {string} language
+ * @returns {boolean}
+ */
+export function isSupportedLanguage(language) {
+    return Object.prototype.hasOwnProperty.call(SUPPORTED_LANGUAGES, language);
+}
+
+/**
+ * Reduces a language tag to a supported language code, ignoring region subtags so `zh-CN` becomes `zh`.
+ * @param {string|null|undefined} tag
+ * @returns {string|null} The language code, or null if the language is not supported.
+ */
+export function normalizeLanguage(tag) {
+    const language = typeof tag === 'string' ? tag.toLowerCase().split(/[-_]/)[0] : null;
+    return language && isSupportedLanguage(language) ? language : null;
+}
+
+/**
+ * Returns the first supported language among the candidates, most specific first.
+ * @param {...(string|null|undefined)} candidates - e.g. the request's language, then the user's.
+ * @returns {string}
+ */
+export function resolveLanguage(...candidates) {
+    for (const candidate of candidates) {
+        const language = normalizeLanguage(candidate);
+        if (language) {
+            return language;
+        }
+    }
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Returns the English name of a language, for use in prompts.
+ * @param {string} language
+ * @returns {string}
+ */
+export function getLanguageName(language) {
+    return (SUPPORTED_LANGUAGES[language] || SUPPORTED_LANGUAGES[DEFAULT_LANGUAGE]).name;
+}
+
+/**
+ * Returns a child-facing message in the given language, falling back to English.
+ * @param {string} key - One of the MESSAGES keys.
+ * @param {string} language
+ * @returns {string}
+ */
+export function translate(key, language) {
+    return MESSAGES[key][language] || MESSAGES[key][DEFAULT_LANGUAGE];
+}
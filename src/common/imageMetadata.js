@@ -0,0 +1,211 @@
+/**
+ * Image files: their type, read from the file signature, and removal of the location data cameras embed.
+ */
+
+const JPEG_SIGNATURE = [0xff, 0xd8, 0xff];
+const PNG_SIGNATURE = [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a];
+const GIF_SIGNATURE = [0x47, 0x49, 0x46, 0x38];
+
+const EXIF_HEADER = 'Exif\0\0';
+const XMP_HEADER = 'http://ns.adobe.com/xap/1.0/\0';
+// Tag in IFD0 that points to the GPS IFD
+const GPS_IFD_POINTER_TAG = 0x8825;
+// Bytes per value of each TIFF field type; types not listed are one byte
+const TIFF_TYPE_SIZES = { 3: 2, 4: 4, 5: 8, 8: 2, 9: 4, 10: 8, 11: 4, 12: 8 };
+// PNG chunks that carry metadata only, free text included
+const PNG_METADATA_CHUNKS = ['eXIf', 'tEXt', 'zTXt', 'iTXt'];
+
+/**
+ * Returns the type of an image from its first bytes, whatever the uploader claims it is.
+ * @param {Uint8Array} bytes
+ * @returns {'image/jpeg'|'image/png'|'image/webp'|'image/gif'|null}
+ */
+export function detectImageType(bytes) {
+    if (startsWith(bytes, JPEG_SIGNATURE)) {
+        return 'image/jpeg';
+    }
+    if (startsWith(bytes, PNG_SIGNATURE)) {
+        return 'image/png';
+    }
+    if (bytes.length >= 12 && readAscii(bytes, 0, 4) === 'RIFF' && readAscii(bytes, 8, 4) === 'WEBP') {
+        return 'image/webp';
+    }
+    if (startsWith(bytes, GIF_SIGNATURE)) {
+        return 'image/gif';
+    }
+    return null;
+}
+
+/**
+ * Removes location data from an image without re-encoding it.
+ * JPEG: the GPS fields of the Exif block are blanked in place, so orientation and other camera data
+ * survive, and XMP blocks are dropped. PNG: Exif and text chunks are dropped. WebP: the EXIF and XMP
+ * chunks are dropped. GIF carries no such data.
+ * @param {Uint8Array} bytes
+ * @param {string} type - As returned by detectImageType.
+ * @returns {Uint8Array} The cleaned image; the input itself for types without location data.
+ */
+export function stripImageLocation(bytes, type) {
+    switch (type) {
+        case 'image/jpeg':
+            return stripJpeg(bytes);
+        case 'image/png':
+            return stripPng(bytes);
+        case 'image/webp':
+            return stripWebp(bytes);
+        default:
+            return bytes;
+    }
+}
+
+function stripJpeg(bytes) {
+    const parts = [bytes.subarray(0, 2)];
+    let offset = 2;
+    while (offset + 4 <= bytes.length) {
+        if (bytes[offset] !== 0xff) {
+            break;
+        }
+        const marker = bytes[offset + 1];
+        // Fill bytes before a marker
+        if (marker === 0xff) {
+            offset++;
+            continue;
+        }
+        // Entropy-coded image data follows the start of scan: copied as it is, with everything after it
+        if (marker === 0xda) {
+            break;
+        }
+        const length = (bytes[offset + 2] << 8) | bytes[offset + 3];
+        const end = offset + 2 + length;
+        if (length < 2 || end > bytes.length) {
+            break;
+        }
+        if (marker === 0xe1) {
+            const header = readAscii(bytes, offset + 4, XMP_HEADER.length);
+            if (header === XMP_HEADER) {
+                offset = end;
+                continue;
+            }
+            if (header.startsWith(EXIF_HEADER)) {
+                const segment = bytes.slice(offset, end);
+                blankGpsIfd(segment.subarray(4 + EXIF_HEADER.length));
+                parts.push(segment);
+                offset = end;
+                continue;
+            }
+        }
+        parts.push(bytes.subarray(offset, end));
+        offset = end;
+    }
+    parts.push(bytes.subarray(offset));
+    return concat(parts);
+}
+
+// Zeroes the GPS IFD of a TIFF structure and the values it points to, leaving every offset valid
+function blankGpsIfd(tiff) {
+    if (tiff.length < 8) {
+        return;
+    }
+    const order = readAscii(tiff, 0, 2);
+    if (order !== 'II' && order !== 'MM') {
+        return;
+    }
+    const view = new DataView(tiff.buffer, tiff.byteOffset, tiff.byteLength);
+    const littleEndian = order === 'II';
+    const readIfd = (ifdOffset) => {
+        if (ifdOffset < 8 || ifdOffset + 2 > tiff.length) {
+            return null;
+        }
+        const count = view.getUint16(ifdOffset, littleEndian);
+        return ifdOffset + 2 + count * 12 <= tiff.length ? count : null;
+    };
+
+    const ifd0 = view.getUint32(4, littleEndian);
+    const ifd0Count = readIfd(ifd0);
+    if (ifd0Count === null) {
+        return;
+    }
+    for (let i = 0; i < ifd0Count; i++) {
+        const entry = ifd0 + 2 + i * 12;
+        if (view.getUint16(entry, littleEndian) !== GPS_IFD_POINTER_TAG) {
+            continue;
+        }
+        const gpsIfd = view.getUint32(entry + 8, littleEndian);
+        const gpsCount = readIfd(gpsIfd);
+        if (gpsCount === null) {
+            return;
+        }
+        for (let j = 0; j < gpsCount; j++) {
+            const gpsEntry = gpsIfd + 2 + j * 12;
+            const type = view.getUint16(gpsEntry + 2, littleEndian);
+            const size = (TIFF_TYPE_SIZES[type] || 1) * view.getUint32(gpsEntry + 4, littleEndian);
+            if (size > 4) {
+                const valueOffset = view.getUint32(gpsEntry + 8, littleEndian);
+                tiff.fill(0, Math.min(valueOffset, tiff.length), Math.min(valueOffset + size, tiff.length));
+            }
+        }
+        // An empty GPS IFD: no entries, no next IFD
+        tiff.fill(0, gpsIfd, Math.min(gpsIfd + 2 + gpsCount * 12 + 4, tiff.length));
+        return;
+    }
+}
+
+function stripPng(bytes) {
+    const parts = [bytes.subarray(0, PNG_SIGNATURE.length)];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = PNG_SIGNATURE.length;
+    while (offset + 12 <= bytes.length) {
+        const end = offset + 12 + view.getUint32(offset);
+        if (end > bytes.length) {
+            break;
+        }
+        if (!PNG_METADATA_CHUNKS.includes(readAscii(bytes, offset + 4, 4))) {
+            parts.push(bytes.subarray(offset, end));
+        }
+        offset = end;
+    }
+    parts.push(bytes.subarray(offset));
+    return concat(parts);
+}
+
+function stripWebp(bytes) {
+    const parts = [bytes.slice(0, 12)];
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    let offset = 12;
+    while (offset + 8 <= bytes.length) {
+        const size = view.getUint32(offset + 4, true);
+        const end = Math.min(bytes.length, offset + 8 + size + (size % 2));
+        const fourcc = readAscii(bytes, offset, 4);
+        if (fourcc === 'VP8X') {
+            const chunk = bytes.slice(offset, end);
+            // Clear the "has EXIF" and "has XMP" flags, as those chunks are dropped
+            chunk[8] &= ~0x0c;
+            parts.push(chunk);
+        } else if (fourcc !== 'EXIF' && fourcc !== 'XMP ') {
+            parts.push(bytes.subarray(offset, end));
+        }
+        offset = end;
+    }
+    parts.push(bytes.subarray(offset));
+    const result = concat(parts);
+    new DataView(result.buffer).setUint32(4, result.length - 8, true);
+    return result;
+}
+
+function startsWith(bytes, signature) {
+    return bytes.length >= signature.length && signature.every((byte, i) => bytes[i] === byte);
+}
+
+function readAscii(bytes, offset, length) {
+    return String.fromCharCode(...bytes.subarray(offset, offset + length));
+}
+
+function concat(parts) {
+    const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        result.set(part, offset);
+        offset += part.length;
+    }
+    return result;
+}
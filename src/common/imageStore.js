@@ -0,0 +1,53 @@
+/**
+ * R2-backed store of the images children upload for visual chat, so a photo is sent once and
+ * referred to by id afterwards.
+ */
+
+const IMAGE_PREFIX = 'images/';
+const IMAGE_ID_REGEX = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/;
+
+/**
+ * Stores an uploaded image.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The user the image belongs to.
+ * @param {Uint8Array} bytes - The image, already cleaned of location data.
+ * @param {string} contentType - The detected image type.
+ * @returns {Promise<string>} The image id.
+ */
+export async function storeImage(env, userId, bytes, contentType) {
+    const imageId = crypto.randomUUID();
+    await env.R2_BUCKET.put(`${IMAGE_PREFIX}${imageId}`, bytes, {
+        httpMetadata: { contentType },
+        customMetadata: { userId: String(userId) },
+    });
+    console.log(`[${new Date().toISOString()}] storeImage: Stored ${bytes.length} bytes of ${contentType} as ${imageId}`);
+    return imageId;
+}
+
+/**
+ * Checks that an image exists and belongs to the given user.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The user id.
+ * @param {string} imageId - The id returned by `storeImage`.
+ * @returns {Promise<boolean>}
+ */
+export async function isImageOwnedBy(env, userId, imageId) {
+    if (typeof imageId !== 'string' || !IMAGE_ID_REGEX.test(imageId)) {
+        return false;
+    }
+    const object = await env.R2_BUCKET.head(`${IMAGE_PREFIX}${imageId}`);
+    return object?.customMetadata?.userId === String(userId);
+}
+
+/**
+ * Reads a stored image by its id.
+ * @param {Object} env - The environment variables.
+ * @param {string} imageId - The id returned by `storeImage`.
+ * @returns {Promise<R2ObjectBody|null>}
+ */
+export async function getImageObject(env, imageId) {
+    if (!IMAGE_ID_REGEX.test(imageId)) {
+        return null;
+    }
+    return await env.R2_BUCKET.get(`${IMAGE_PREFIX}${imageId}`);
+}
@@ -0,0 +1,99 @@
+/**
+ * Image translation: reading the text in a photo of a sign or a picture book, and translating it
+ * sentence by sentence into the child's language.
+ */
+
+import { getLanguageName, normalizeLanguage } from "./i18n";
+import { findLatestPhotoMessage } from "./messageContent";
+
+export const TRANSLATION_TASK = 'Translation';
+
+const MAX_SENTENCES = 20;
+const SENTENCE_MAX_LENGTH = 500;
+
+export const TRANSLATION_SCHEMA = {
+  type: 'object',
+  properties: {
+    found_text: { type: 'boolean' },
+    source_language: { type: 'string' },
+    sentences: {
+      type: 'array',
+      items: {
+        type: 'object',
+        properties: {
+          original: { type: 'string' },
+          translation: { type: 'string' },
+        },
+        required: ['original', 'translation'],
+        additionalProperties: false,
+      },
+    },
+  },
+  required: ['found_text', 'source_language', 'sentences'],
+  additionalProperties: false,
+};
+
+const getTranslationPrompt = (language) => `You help a child read the text in photos of signs, labels and picture books.
+Read all the text in the latest photo the child sent, in reading order, and split it into sentences;
+a heading or a label on its own counts as a sentence.
+- found_text: false if the photo has no readable text
+- source_language: the ISO 639-1 code of the language the text is written in, e.g. "en", "zh", "fr"
+- sentences: up to ${MAX_SENTENCES} of them, each with the original exactly as written and a simple, natural
+  translation into ${getLanguageName(language)} that a child understands. If the text is already in
+  ${getLanguageName(language)}, repeat it as the translation.`;
+
+/**
+ * Reads and translates the text of the latest photo in a visual chat.
+ * @param {Object} llm - The LLM router, see createLLMRouter; the 'translation' route needs a vision model that follows JSON schemas strictly.
+ * @param {Array<{role: string, content: string|Object[]}>} dialogHistory - The conversation, with image links the model can fetch.
+ * @param {string} language - The language to translate into.
+ * @returns {Promise<{sourceLanguage: string, sentences: Array<{original: string, translation: string}>}|null>}
+ *          The validated result, or null if the photo has no readable text.
+ */
+export async function translateImageText(llm, dialogHistory, language) {
+  const latestPhoto = findLatestPhotoMessage(dialogHistory);
+  if (!latestPhoto) {
+    return null;
+  }
+
+  const completion = await llm.complete('translation', [
+    { role: 'system', content: getTranslationPrompt(language) },
+    latestPhoto,
+  ], {
+    response_format: {
+      type: 'json_schema',
+      json_schema: { name: 'image_translation', strict: true, schema: TRANSLATION_SCHEMA },
+    },
+    temperature: 0,
+    max_tokens: 4000,
+  });
+
+  return validateTranslation(JSON.parse(completion.content));
+}
+
+/**
+ * Checks a result against TRANSLATION_SCHEMA and trims it to the limits.
+ * @param {*} result - A result as returned by the model.
+ * @returns {{sourceLanguage: string, sentences: Array<{original: string, translation: string}>}|null}
+ *          Null if it is malformed or has no sentences.
+ */
+export function validateTranslation(result) {
+  if (!result || typeof result !== 'object' || result.found_text !== true || !Array.isArray(result.sentences)) {
+    return null;
+  }
+  const sentences = result.sentences
+    .filter(sentence => sentence && typeof sentence.original === 'string' && sentence.original.trim() && typeof sentence.translation === 'string')
+    .map(sentence => ({
+      original: sentence.original.trim().slice(0, SENTENCE_MAX_LENGTH),
+      translation: (sentence.translation.trim() || sentence.original.trim()).slice(0, SENTENCE_MAX_LENGTH),
+    }))
+    .slice(0, MAX_SENTENCES);
+  if (sentences.length === 0) {
+    return null;
+  }
+  return {
+    // Languages POPO does not speak are still reported, as the model named them
+    sourceLanguage: normalizeLanguage(result.source_language) || (typeof result.source_language === 'string' ? result.source_language.toLowerCase().slice(0, 10) : 'und'),
+    sentences,
+  };
+}
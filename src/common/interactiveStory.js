@@ -0,0 +1,116 @@
+/**
+ * Choose-your-own-adventure stories: each segment ends with a spoken question offering two or three
+ * choices, followed by the same choices as structured data after a marker the child never hears.
+ */
+
+export const CHOICES_MARKER = '[[CHOICES]]';
+export const MIN_CHOICES = 2;
+export const MAX_CHOICES = 3;
+const CHOICE_MAX_LENGTH = 200;
+// Earlier choices repeated in the prompt; enough to keep the plot on track without flooding it
+const MAX_PROMPT_PATH_STEPS = 10;
+
+/**
+ * Separates the streamed story text from the choices block that follows the marker.
+ * Text that could be the start of a split marker is held back until the next delta settles it.
+ * @returns {{push: (delta: string) => string, end: () => {text: string, choices: string[]}}}
+ *          `push` returns the part of the delta that belongs to the story.
+ */
+export function createChoiceSplitter() {
+  let pending = '';
+  let choicesBlock = null;
+
+  return {
+    push(delta) {
+      if (choicesBlock !== null) {
+        choicesBlock += delta;
+        return '';
+      }
+      pending += delta;
+      const markerAt = pending.indexOf(CHOICES_MARKER);
+      if (markerAt >= 0) {
+        const text = pending.slice(0, markerAt);
+        choicesBlock = pending.slice(markerAt + CHOICES_MARKER.length);
+        pending = '';
+        return text;
+      }
+      const keep = partialMarkerLength(pending);
+      const text = pending.slice(0, pending.length - keep);
+      pending = pending.slice(pending.length - keep);
+      return text;
+    },
+
+    end() {
+      const text = pending;
+      pending = '';
+      return { text, choices: choicesBlock === null ? [] : parseChoices(choicesBlock) };
+    },
+  };
+}
+
+/**
+ * Reads the choices block: a JSON array of strings, or else one choice per numbered or bulleted line.
+ * @param {string} block
+ * @returns {string[]} Between MIN_CHOICES and MAX_CHOICES choices, or none if the block is unusable.
+ */
+export function parseChoices(block) {
+  let choices = [];
+  const json = block.match(/\[[\s\S]*\]/);
+  try {
+    choices = json ? JSON.parse(json[0]) : [];
+  } catch (error) {
+    choices = [];
+  }
+  if (!Array.isArray(choices) || choices.length === 0) {
+    choices = block.split('\n').map(line => line.replace(/^\s*(?:\d+[.)]|[-*•])\s*/, ''));
+  }
+
+  const cleaned = choices
+    .filter(choice => typeof choice === 'string')
+    .map(choice => choice.trim().slice(0, CHOICE_MAX_LENGTH))
+    .filter(Boolean)
+    .slice(0, MAX_CHOICES);
+  return cleaned.length >= MIN_CHOICES ? cleaned : [];
+}
+
+/**
+ * Builds the system prompt section that keeps an interactive story on its branch.
+ * @param {{step: number, choices: string[], path: Array<{step: number, choice: string}>}|null} state
+ *        The stored branch state, or null for a new story.
+ * @param {string|null} chosen - The choice the child picked for this turn, if they picked one.
+ * @returns {string}
+ */
+export function getInteractiveStoryPrompt(state, chosen) {
+  let prompt = `This is an interactive story the child steers. Tell it one short segment at a time, of about 150 to 250 words.
+End every segment with a question that reads out ${MIN_CHOICES} or ${MAX_CHOICES} choices for what happens next, so the child can answer by voice.
+Then, on a new line, write ${CHOICES_MARKER} followed by the same choices as a JSON array of short strings, and nothing after it.`;
+
+  if (!state || state.step === 0) {
+    return `${prompt}\nThis is the first segment: introduce the hero and the setting.`;
+  }
+
+  const path = state.path.slice(-MAX_PROMPT_PATH_STEPS)
+    .map(({ step, choice }) => `- After segment ${step}: ${choice}`)
+    .join('\n');
+  prompt += `\nThis is segment ${state.step + 1}. Continue the same story with the same characters and setting; do not start a new one.`;
+  if (path) {
+    prompt += `\nThe child's choices so far:\n${path}`;
+  }
+  if (state.choices.length > 0) {
+    prompt += `\nLast time you offered: ${state.choices.map((choice, i) => `${i + 1}. ${choice}`).join(' ')}`;
+  }
+  prompt += chosen
+    ? `\nThe child chose: ${chosen}. Continue from that choice.`
+    : `\nIf the child's answer does not match a choice, follow their idea as long as it fits the story, or gently offer the choices again.`;
+  return prompt;
+}
+
+// Length of the longest end of `text` that is also the start of the marker
+function partialMarkerLength(text) {
+  for (let length = Math.min(text.length, CHOICES_MARKER.length - 1); length > 0; length--) {
+    if (CHOICES_MARKER.startsWith(text.slice(-length))) {
+      return length;
+    }
+  }
+  return 0;
+}
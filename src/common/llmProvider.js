@@ -0,0 +1,419 @@
+/**
+ * Chat completions and embeddings behind pluggable LLM providers, routed per purpose, with failover.
+ *
+ * A provider exposes `name`, `complete(request)`, resolving to `{ content, usage }`, `stream(request)`,
+ * an async generator of `{ delta }` and `{ usage }` chunks, and `embed({ model, input })`, resolving to
+ * `{ embeddings, usage }`. A request is `{ model, messages, ...params }`.
+ * Providers: `openai`, `compatible` (any OpenAI-compatible API at `env.LLM_COMPATIBLE_BASE_URL`),
+ * `workers-ai` (the `env.AI` binding) and `mock`, a deterministic offline stub for tests and development.
+ *
+ * A route is an ordered list of targets, `provider` or `provider:model`, tried in turn until one answers.
+ * The default route is `env.LLM_PROVIDER` (default `openai`), then `env.LLM_FALLBACK_PROVIDER` if set.
+ * The purposes that need answers following a JSON schema, 'memory' (story memory extraction), 'discovery'
+ * (discovery cards) and 'translation' (text in photos), take the same route, except that on OpenAI they ask
+ * for a model known to follow JSON schemas. The 'embedding' purpose takes it with each provider's embedding
+ * model. `env.LLM_ROUTES`, a JSON object keyed by purpose ('story', 'interactive', 'qna', 'simplify', 'title',
+ * 'memory', 'discovery', 'translation', 'embedding' or 'default'), overrides these, and the `routes` key of
+ * the `env.LLM_CONFIG` KV namespace overrides both, so models can be switched without a deploy.
+ */
+
+import OpenAI from "openai";
+import { getMessageText } from "./messageContent";
+
+const DEFAULT_MODELS = {
+  openai: 'gpt-4o-2024-08-06',
+  'workers-ai': '@cf/meta/llama-3.1-8b-instruct',
+  mock: 'mock',
+};
+const DEFAULT_EMBEDDING_MODELS = {
+  openai: 'text-embedding-3-small',
+  'workers-ai': '@cf/baai/bge-base-en-v1.5',
+  mock: 'mock',
+};
+export const EMBEDDING_PURPOSE = 'embedding';
+export const LLM_PROVIDERS = ['openai', 'compatible', 'workers-ai', 'mock'];
+// OpenAI models of the purposes that need structured output, known to follow JSON schemas
+const STRUCTURED_OUTPUT_MODELS = {
+  // Extraction runs after every story, so it uses the small model
+  memory: 'gpt-4o-mini',
+  discovery: 'gpt-4o-2024-08-06',
+  translation: 'gpt-4o-2024-08-06',
+};
+const ROUTES_KV_KEY = 'routes';
+// Seconds a KV edge location keeps the routes before reading them again
+const ROUTES_KV_CACHE_TTL = 60;
+// Rough characters per token of the mock provider's usage counts
+const MOCK_CHARS_PER_TOKEN = 4;
+// Length of the mock provider's embeddings
+const MOCK_EMBEDDING_DIMENSIONS = 64;
+
+/**
+ * Creates the router that sends chat completions to the providers configured for this environment.
+ * @param {Object} env - The environment variables.
+ * @param {OpenAI} openai - The OpenAI client.
+ * @param {Object} [usage] - The usage of the request, whose prompt_tokens and completion_tokens every call adds to.
+ * @returns {{
+ *   complete: (purpose: string, messages: Object[], params?: Object) => Promise<{role: string, content: string, usage: Object, provider: string, model: string}>,
+ *   stream: (purpose: string, messages: Object[], params?: Object) => AsyncGenerator<string>,
+ *   embed: (purpose: string, input: string[]) => Promise<{embeddings: number[][], usage: Object, provider: string, model: string}>
+ * }}
+ */
+export function createLLMRouter(env, openai, usage = null) {
+  const providers = new Map();
+  const getProvider = (name) => {
+    if (!providers.has(name)) {
+      providers.set(name, createLLMProvider(name, env, openai));
+    }
+    return providers.get(name);
+  };
+  const addUsage = (counts) => {
+    if (usage && counts) {
+      usage.prompt_tokens = (usage.prompt_tokens || 0) + (counts.prompt_tokens || 0);
+      usage.completion_tokens = (usage.completion_tokens || 0) + (counts.completion_tokens || 0);
+    }
+  };
+
+  return {
+    /**
+     * Completes a chat, failing over to the next target of the route on error.
+     */
+    async complete(purpose, messages, params = {}) {
+      const targets = await getRouteTargets(env, purpose);
+      for (const [i, { provider, model }] of targets.entries()) {
+        try {
+          const completion = await getProvider(provider).complete({ model, messages, ...params });
+          addUsage(completion.usage);
+          return { role: 'assistant', content: completion.content, usage: completion.usage, provider, model };
+        } catch (error) {
+          if (i === targets.length - 1) {
+            throw error;
+          }
+          console.error(`[${new Date().toISOString()}] LLM complete: ${provider}:${model} failed for ${purpose}, failing over to ${targets[i + 1].provider}`, error);
+        }
+      }
+    },
+
+    /**
+     * Streams a chat, yielding the text deltas.
+     * Fails over to the next target of the route only before the first delta, so no text is repeated.
+     */
+    async *stream(purpose, messages, params = {}) {
+      const targets = await getRouteTargets(env, purpose);
+      for (const [i, { provider, model }] of targets.entries()) {
+        let started = false;
+        try {
+          for await (const chunk of getProvider(provider).stream({ model, messages, ...params })) {
+            if (chunk.usage) {
+              addUsage(chunk.usage);
+            }
+            if (chunk.delta) {
+              started = true;
+              yield chunk.delta;
+            }
+          }
+          return;
+        } catch (error) {
+          if (started || i === targets.length - 1) {
+            throw error;
+          }
+          console.error(`[${new Date().toISOString()}] LLM stream: ${provider}:${model} failed for ${purpose}, failing over to ${targets[i + 1].provider}`, error);
+        }
+      }
+    },
+
+    /**
+     * Embeds texts, one vector per input, failing over to the next target of the route on error.
+     */
+    async embed(purpose, input) {
+      const targets = await getRouteTargets(env, purpose);
+      for (const [i, { provider, model }] of targets.entries()) {
+        try {
+          const result = await getProvider(provider).embed({ model, input });
+          addUsage(result.usage);
+          return { embeddings: result.embeddings, usage: result.usage, provider, model };
+        } catch (error) {
+          if (i === targets.length - 1) {
+            throw error;
+          }
+          console.error(`[${new Date().toISOString()}] LLM embed: ${provider}:${model} failed for ${purpose}, failing over to ${targets[i + 1].provider}`, error);
+        }
+      }
+    },
+  };
+}
+
+/**
+ * Returns the targets of a purpose's route, in the order they are tried.
+ * @param {Object} env - The environment variables.
+ * @param {string} purpose - 'story', 'interactive', 'qna', 'simplify', 'title', 'memory', 'discovery', 'translation' or 'embedding'.
+ * @returns {Promise<Array<{provider: string, model: string}>>}
+ */
+export async function getRouteTargets(env, purpose) {
+  const provider = env.LLM_PROVIDER || 'openai';
+  const routes = {
+    default: [provider, env.LLM_FALLBACK_PROVIDER].filter(Boolean),
+    ...Object.fromEntries(Object.entries(STRUCTURED_OUTPUT_MODELS).map(([structuredPurpose, model]) => [
+      structuredPurpose,
+      [provider === 'openai' ? `openai:${model}` : provider, env.LLM_FALLBACK_PROVIDER].filter(Boolean),
+    ])),
+    // Its own entry, so models given for the default route are never taken for embedding models
+    [EMBEDDING_PURPOSE]: [provider, env.LLM_FALLBACK_PROVIDER].filter(Boolean),
+    ...parseRoutes(env.LLM_ROUTES, 'LLM_ROUTES'),
+  };
+  if (env.LLM_CONFIG) {
+    try {
+      Object.assign(routes, parseRoutes(await env.LLM_CONFIG.get(ROUTES_KV_KEY, { cacheTtl: ROUTES_KV_CACHE_TTL }), 'LLM_CONFIG'));
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] getRouteTargets: Failed to read routes from KV, using the environment`, error);
+    }
+  }
+  const route = routes[purpose] || routes.default;
+  const targets = route.flatMap(target => {
+    try {
+      return [parseTarget(target, env, purpose)];
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] getRouteTargets: Skipping target "${target}" of ${purpose} - ${error.message}`);
+      return [];
+    }
+  });
+  if (targets.length === 0) {
+    throw new Error(`No valid LLM route for ${purpose}`);
+  }
+  return targets;
+}
+
+/**
+ * Parses a route target, `provider` or `provider:model`; Workers AI model names contain no colon.
+ * @param {string} target
+ * @param {Object} env - The environment variables, for the default model of OpenAI-compatible APIs.
+ * @param {string} [purpose] - The purpose of the route; the 'embedding' one defaults to embedding models.
+ * @returns {{provider: string, model: string}}
+ */
+export function parseTarget(target, env = {}, purpose = 'default') {
+  const separator = target.indexOf(':');
+  const provider = separator === -1 ? target : target.slice(0, separator);
+  const model = separator === -1 ? '' : target.slice(separator + 1);
+  if (!LLM_PROVIDERS.includes(provider)) {
+    throw new Error(`Unknown LLM provider "${provider}"`);
+  }
+  const embedding = purpose === EMBEDDING_PURPOSE;
+  const defaultModel = provider === 'compatible'
+    ? (embedding ? env.LLM_COMPATIBLE_EMBEDDING_MODEL : env.LLM_COMPATIBLE_MODEL)
+    : (embedding ? DEFAULT_EMBEDDING_MODELS : DEFAULT_MODELS)[provider];
+  if (!model && !defaultModel) {
+    throw new Error(`No model configured for LLM provider "${provider}"`);
+  }
+  return { provider, model: model || defaultModel };
+}
+
+// Routes come as JSON of purpose to a target or a list of targets; invalid ones are ignored, not fatal
+function parseRoutes(json, source) {
+  if (!json) {
+    return {};
+  }
+  try {
+    const routes = JSON.parse(json);
+    return Object.fromEntries(
+      Object.entries(routes)
+        .map(([purpose, targets]) => [purpose, [].concat(targets).filter(target => typeof target === 'string' && target)])
+        .filter(([, targets]) => targets.length > 0)
+    );
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] parseRoutes: Invalid routes in ${source}, ignoring them`, error);
+    return {};
+  }
+}
+
+/**
+ * Creates an LLM provider by name.
+ * @param {string} name - One of LLM_PROVIDERS.
+ * @param {Object} env - The environment variables.
+ * @param {OpenAI} openai - The OpenAI client.
+ * @returns {{name: string, complete: Function, stream: Function}}
+ */
+export function createLLMProvider(name, env, openai) {
+  switch (name) {
+    case 'openai':
+      return createOpenAICompatibleProvider('openai', openai);
+    case 'compatible':
+      if (!env.LLM_COMPATIBLE_BASE_URL) {
+        throw new Error('LLM_COMPATIBLE_BASE_URL is not configured');
+      }
+      return createOpenAICompatibleProvider('compatible', new OpenAI({
+        apiKey: env.LLM_COMPATIBLE_API_KEY,
+        baseURL: env.LLM_COMPATIBLE_BASE_URL,
+      }));
+    case 'workers-ai':
+      return createWorkersAIProvider(env.AI);
+    case 'mock':
+      return createMockProvider();
+    default:
+      throw new Error(`Unknown LLM provider "${name}"`);
+  }
+}
+
+function createOpenAICompatibleProvider(name, client) {
+  return {
+    name,
+    async complete(request) {
+      const completion = await client.chat.completions.create(request);
+      return {
+        content: completion.choices[0].message.content,
+        usage: completion.usage ? { prompt_tokens: completion.usage.prompt_tokens, completion_tokens: completion.usage.completion_tokens } : {},
+      };
+    },
+    async *stream(request) {
+      const stream = await client.chat.completions.create({
+        ...request,
+        stream: true,
+        stream_options: { include_usage: true },
+      });
+      for await (const chunk of stream) {
+        // The last chunk carries the token counts of the whole completion, and no choices
+        if (chunk.usage) {
+          yield { usage: chunk.usage };
+        }
+        const delta = chunk.choices[0]?.delta?.content;
+        if (delta) {
+          yield { delta };
+        }
+      }
+    },
+    async embed({ model, input }) {
+      const response = await client.embeddings.create({ model, input });
+      return {
+        embeddings: response.data.map(item => item.embedding),
+        usage: response.usage ? { prompt_tokens: response.usage.prompt_tokens, completion_tokens: 0 } : {},
+      };
+    },
+  };
+}
+
+// Workers AI text models take plain text, so images in visual chat are left out
+function createWorkersAIProvider(ai) {
+  const toInputs = ({ model, messages, ...params }) => ({
+    messages: messages.map(message => ({ role: message.role, content: getMessageText(message.content) })),
+    ...(params.max_tokens && { max_tokens: params.max_tokens }),
+    ...(params.temperature !== undefined && { temperature: params.temperature }),
+    ...(params.response_format && { response_format: params.response_format }),
+  });
+  const requireBinding = () => {
+    if (!ai) {
+      throw new Error('The Workers AI binding AI is not configured');
+    }
+  };
+
+  return {
+    name: 'workers-ai',
+    async complete(request) {
+      requireBinding();
+      const result = await ai.run(request.model, toInputs(request));
+      return {
+        content: typeof result.response === 'string' ? result.response : JSON.stringify(result.response),
+        usage: result.usage || {},
+      };
+    },
+    async *stream(request) {
+      requireBinding();
+      const body = await ai.run(request.model, { ...toInputs(request), stream: true });
+      for await (const event of readServerSentEvents(body)) {
+        if (event.usage) {
+          yield { usage: event.usage };
+        }
+        if (event.response) {
+          yield { delta: event.response };
+        }
+      }
+    },
+    async embed({ model, input }) {
+      requireBinding();
+      const result = await ai.run(model, { text: input });
+      return { embeddings: result.data, usage: result.usage || {} };
+    },
+  };
+}
+
+// Parses the `data:` lines of a server-sent event stream as JSON, up to `[DONE]`
+async function* readServerSentEvents(body) {
+  const decoder = new TextDecoder();
+  let buffer = '';
+  for await (const bytes of body) {
+    buffer += decoder.decode(bytes, { stream: true });
+    const lines = buffer.split('\n');
+    buffer = lines.pop();
+    for (const line of lines) {
+      if (!line.startsWith('data:')) {
+        continue;
+      }
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') {
+        return;
+      }
+      if (data) {
+        yield JSON.parse(data);
+      }
+    }
+  }
+}
+
+/**
+ * The mock provider answers from the messages alone, so a response is the same on every run:
+ * an echo of the last user message, or an empty object when JSON is asked for. Its embeddings
+ * count the words of a text in hashed buckets, so texts sharing words come out similar.
+ */
+function createMockProvider() {
+  const respond = ({ model, messages, response_format }) => {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const content = response_format
+      ? '{}'
+      : `Mock reply from ${model} to: ${getMessageText(lastUserMessage?.content).trim()}`;
+    const promptLength = messages.reduce((total, message) => total + getMessageText(message.content).length, 0);
+    return {
+      content,
+      usage: {
+        prompt_tokens: Math.ceil(promptLength / MOCK_CHARS_PER_TOKEN),
+        completion_tokens: Math.ceil(content.length / MOCK_CHARS_PER_TOKEN),
+      },
+    };
+  };
+
+  return {
+    name: 'mock',
+    async complete(request) {
+      return respond(request);
+    },
+    async *stream(request) {
+      const { content, usage } = respond(request);
+      // Word by word, the way real providers stream
+      for (const delta of content.match(/\S+\s*/g) || []) {
+        yield { delta };
+      }
+      yield { usage };
+    },
+    async embed({ input }) {
+      return {
+        embeddings: input.map(embedWords),
+        usage: {
+          prompt_tokens: Math.ceil(input.join('').length / MOCK_CHARS_PER_TOKEN),
+          completion_tokens: 0,
+        },
+      };
+    },
+  };
+}
+
+// The first bucket is always set, so no text embeds to a zero vector
+function embedWords(text) {
+  const vector = new Array(MOCK_EMBEDDING_DIMENSIONS).fill(0);
+  vector[0] = 1;
+  for (const word of text.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []) {
+    // 32-bit FNV-1a
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < word.length; i++) {
+      hash ^= word.charCodeAt(i);
+      hash = Math.imul(hash, 0x01000193);
+    }
+    vector[1 + (hash >>> 0) % (MOCK_EMBEDDING_DIMENSIONS - 1)] += 1;
+  }
+  return vector;
+}
@@ -0,0 +1,34 @@
+/**
+ * Helpers for chat message content, which is either a string or, in visual chat, an array of
+ * `text` and `image_url` items.
+ */
+
+/**
+ * Returns the plain text of a message content, joining the text items of content arrays.
+ * @param {string|Object[]} content
+ * @returns {string}
+ */
+export function getMessageText(content) {
+  if (typeof content === 'string') {
+    return content;
+  }
+  if (Array.isArray(content)) {
+    return content
+      .filter(item => item.type === 'text')
+      .map(item => item.text)
+      .join(' ');
+  }
+  return '';
+}
+
+/**
+ * Returns the latest user message carrying a photo, as an item of the given type.
+ * @param {Object[]} dialogHistory
+ * @param {string} [itemType] - 'image_url' for the photo sent to the model, 'image_ref' for the uploaded one.
+ * @returns {Object|undefined}
+ */
+export function findLatestPhotoMessage(dialogHistory, itemType = 'image_url') {
+  return [...dialogHistory].reverse().find(message =>
+    message.role === 'user' && Array.isArray(message.content) && message.content.some(item => item.type === itemType)
+  );
+}
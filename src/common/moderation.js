@@ -0,0 +1,101 @@
+/**
+ * Child-safety moderation of chat input and output, behind a pluggable provider.
+ *
+ * A provider exposes `name` and `check(text)`, resolving to `{ flagged, categories }`.
+ * `env.MODERATION_PROVIDER` selects it: `openai` (default) or `local`, a keyword stub for tests and development.
+ */
+
+import { translate } from "./i18n";
+
+// Scores above this count as flagged even when OpenAI's own adult-oriented thresholds do not
+const CHILD_SAFETY_SCORE_THRESHOLD = 0.3;
+// Category of text that could not be checked, flagged so it is never shown or voiced unchecked
+export const MODERATION_UNAVAILABLE_CATEGORY = 'moderation_unavailable';
+
+// Keyword lists of the local provider, matched on whole words
+const LOCAL_BLOCKLIST = {
+    violence: ['kill', 'murder', 'gun', 'stab', 'blood', 'gore'],
+    'self-harm': ['suicide', 'self-harm', 'cut myself', 'kill myself'],
+    sexual: ['sex', 'sexy', 'porn', 'nude', 'naked'],
+    drugs: ['cocaine', 'heroin', 'meth'],
+    hate: ['nazi', 'slur'],
+};
+
+/**
+ * Creates the moderation provider configured for this environment.
+ * @param {Object} env - The environment variables.
+ * @param {OpenAI} openai - The OpenAI client.
+ * @returns {{name: string, check: (text: string) => Promise<{flagged: boolean, categories: string[]}>}}
+ */
+export function createModerationProvider(env, openai) {
+    if (env.MODERATION_PROVIDER === 'local') {
+        return createLocalModerationProvider();
+    }
+    return createOpenAIModerationProvider(openai);
+}
+
+/**
+ * Checks text, never throwing: if the provider fails the text counts as flagged under
+ * MODERATION_UNAVAILABLE_CATEGORY, so callers replace it like flagged text and record the failure.
+ * @param {Object} provider - A moderation provider.
+ * @param {string} text - The text to check.
+ * @returns {Promise<{flagged: boolean, categories: string[]}>}
+ */
+export async function moderateText(provider, text) {
+    if (!text || !text.trim()) {
+        return { flagged: false, categories: [] };
+    }
+    try {
+        const result = await provider.check(text);
+        if (result.flagged) {
+            console.warn(`[${new Date().toISOString()}] moderateText: ${provider.name} flagged text for ${result.categories.join(', ')}`);
+        }
+        return result;
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] moderateText: ${provider.name} moderation failed, holding text back`, error);
+        return { flagged: true, categories: [MODERATION_UNAVAILABLE_CATEGORY] };
+    }
+}
+
+/**
+ * Returns the age-appropriate reply used instead of flagged content.
+ * @param {string} queryType - 'story', 'interactive' or 'qna'.
+ * @param {string} language - The reply language.
+ * @returns {string}
+ */
+export function getChildSafeRedirect(queryType, language) {
+    return translate(queryType === 'qna' ? 'qnaRedirect' : 'storyRedirect', language);
+}
+
+function createOpenAIModerationProvider(openai) {
+    return {
+        name: 'openai',
+        async check(text) {
+            const moderation = await openai.moderations.create({
+                model: 'omni-moderation-latest',
+                input: text,
+            });
+            const result = moderation.results[0];
+            const categories = Object.keys(result.categories).filter(category =>
+                result.categories[category] || result.category_scores[category] > CHILD_SAFETY_SCORE_THRESHOLD
+            );
+            return { flagged: categories.length > 0, categories };
+        },
+    };
+}
+
+function createLocalModerationProvider() {
+    const patterns = Object.entries(LOCAL_BLOCKLIST).map(([category, words]) => [
+        category,
+        new RegExp(`\\b(${words.map(word => word.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')).join('|')})\\b`, 'i'),
+    ]);
+    return {
+        name: 'local',
+        async check(text) {
+            const categories = patterns
+                .filter(([, pattern]) => pattern.test(text))
+                .map(([category]) => category);
+            return { flagged: categories.length > 0, categories };
+        },
+    };
+}
@@ -0,0 +1,108 @@
+/**
+ * MPEG audio frames: the playback length of MP3 audio, read from its frame headers, and silent MP3 clips.
+ */
+
+// Bitrates in kbit/s by [MPEG-1 ? 0 : 1][layer index][bitrate index]; layer index 1 is Layer III
+const BITRATES = [
+    [
+        null,
+        [0, 32, 40, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320],
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 160, 192, 224, 256, 320, 384],
+        [0, 32, 64, 96, 128, 160, 192, 224, 256, 288, 320, 352, 384, 416, 448],
+    ],
+    [
+        null,
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        [0, 8, 16, 24, 32, 40, 48, 56, 64, 80, 96, 112, 128, 144, 160],
+        [0, 32, 48, 56, 64, 80, 96, 112, 128, 144, 160, 176, 192, 224, 256],
+    ],
+];
+
+// Sample rates in Hz by version bits (0: MPEG-2.5, 2: MPEG-2, 3: MPEG-1)
+const SAMPLE_RATES = {
+    0: [11025, 12000, 8000],
+    2: [22050, 24000, 16000],
+    3: [44100, 48000, 32000],
+};
+
+/**
+ * Returns the playback length of MP3 audio by adding up the samples of every frame.
+ * An ID3v2 tag in front of the audio is skipped; anything that is not a frame is scanned past.
+ * @param {ArrayBuffer|Uint8Array} audio
+ * @returns {number} The length in seconds, rounded to milliseconds; 0 when no frame is found.
+ */
+export function getMp3Duration(audio) {
+    const bytes = audio instanceof Uint8Array ? audio : new Uint8Array(audio);
+    let offset = skipId3v2(bytes);
+    let seconds = 0;
+
+    while (offset + 4 <= bytes.length) {
+        const frame = readFrameHeader(bytes, offset);
+        if (!frame) {
+            offset++;
+            continue;
+        }
+        seconds += frame.samples / frame.sampleRate;
+        offset += frame.length;
+    }
+    return Math.round(seconds * 1000) / 1000;
+}
+
+// MPEG-2 Layer III, 8 kbit/s, 24 kHz mono, as the TTS audio is 24 kHz mono: 24 bytes and 576 samples per frame
+const SILENT_FRAME_HEADER = [0xff, 0xf3, 0x14, 0xc0];
+const SILENT_FRAME_LENGTH = 24;
+const SILENT_FRAME_SECONDS = 576 / 24000;
+
+/**
+ * Creates an MP3 clip of silence. Frames with empty side information decode to silence.
+ * @param {number} seconds
+ * @returns {Uint8Array}
+ */
+export function createSilentMp3(seconds) {
+    const frames = Math.max(1, Math.round(seconds / SILENT_FRAME_SECONDS));
+    const bytes = new Uint8Array(frames * SILENT_FRAME_LENGTH);
+    for (let i = 0; i < frames; i++) {
+        bytes.set(SILENT_FRAME_HEADER, i * SILENT_FRAME_LENGTH);
+    }
+    return bytes;
+}
+
+function skipId3v2(bytes) {
+    if (bytes.length < 10 || bytes[0] !== 0x49 || bytes[1] !== 0x44 || bytes[2] !== 0x33) {
+        return 0;
+    }
+    // Tag size is a 28-bit synchsafe integer, not counting the 10-byte header (or the footer, if flagged)
+    const size = (bytes[6] << 21) | (bytes[7] << 14) | (bytes[8] << 7) | bytes[9];
+    const footer = bytes[5] & 0x10 ? 10 : 0;
+    return 10 + size + footer;
+}
+
+function readFrameHeader(bytes, offset) {
+    if (bytes[offset] !== 0xff || (bytes[offset + 1] & 0xe0) !== 0xe0) {
+        return null;
+    }
+    const versionBits = (bytes[offset + 1] >> 3) & 0x03;
+    const layerBits = (bytes[offset + 1] >> 1) & 0x03;
+    const bitrateIndex = bytes[offset + 2] >> 4;
+    const sampleRateIndex = (bytes[offset + 2] >> 2) & 0x03;
+    const padding = (bytes[offset + 2] >> 1) & 0x01;
+    if (versionBits === 1 || layerBits === 0 || bitrateIndex === 0 || bitrateIndex === 15 || sampleRateIndex === 3) {
+        return null;
+    }
+
+    const isMpeg1 = versionBits === 3;
+    const bitrate = BITRATES[isMpeg1 ? 0 : 1][layerBits][bitrateIndex] * 1000;
+    const sampleRate = SAMPLE_RATES[versionBits][sampleRateIndex];
+
+    let samples;
+    let length;
+    if (layerBits === 3) {
+        // Layer I
+        samples = 384;
+        length = (Math.floor(12 * bitrate / sampleRate) + padding) * 4;
+    } else {
+        samples = layerBits === 1 && !isMpeg1 ? 576 : 1152;
+        length = Math.floor(samples / 8 * bitrate / sampleRate) + padding;
+    }
+    return { samples, sampleRate, length };
+}
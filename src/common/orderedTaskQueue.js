@@ -0,0 +1,53 @@
+/**
+ * Runs async tasks with bounded concurrency while delivering their outcomes in submission order.
+ */
+
+/**
+ * Creates a queue running at most `concurrency` tasks at a time.
+ * Each task's outcome is passed to its `onSettled` callback strictly in the order the tasks were added,
+ * so a fast later task waits for the slower ones before it. A failed task does not affect the others.
+ * @param {number} concurrency - Maximum number of tasks running at once (at least 1).
+ * @returns {{add: Function, drain: () => Promise<void>}}
+ */
+export function createOrderedTaskQueue(concurrency) {
+  const limit = Math.max(1, Math.floor(concurrency) || 1);
+  const waiting = [];
+  let running = 0;
+  let deliveryChain = Promise.resolve();
+
+  const startNext = () => {
+    while (running < limit && waiting.length > 0) {
+      const { task, resolve } = waiting.shift();
+      running++;
+      Promise.resolve()
+        .then(task)
+        .then(value => ({ value }), error => ({ error }))
+        .then(outcome => {
+          running--;
+          resolve(outcome);
+          startNext();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Queues a task.
+     * @param {() => Promise<*>} task - The work to run.
+     * @param {(outcome: {value?: *, error?: Error}) => (void|Promise<void>)} onSettled - Receives the outcome, in order.
+     */
+    add(task, onSettled) {
+      const outcome = new Promise(resolve => waiting.push({ task, resolve }));
+      deliveryChain = deliveryChain.then(() => outcome).then(onSettled);
+      deliveryChain.catch(() => {});
+      startNext();
+    },
+    /**
+     * Resolves once every queued task has run and been delivered; rejects if an `onSettled` callback threw.
+     * @returns {Promise<void>}
+     */
+    drain() {
+      return deliveryChain;
+    },
+  };
+}
@@ -0,0 +1,76 @@
+/**
+ * Parental controls: the checks behind the rules a parent sets, and the refusals a child hears
+ * when one of them is hit.
+ */
+
+import { translate } from './i18n';
+
+// Refusal message of each rule, as i18n MESSAGES keys
+const REFUSAL_MESSAGES = {
+  quiet_hours: 'quietHoursRefusal',
+  blocked_topic: 'blockedTopicRefusal',
+  visual_task: 'visualTaskRefusal',
+  daily_story_limit: 'dailyStoryLimitRefusal',
+};
+
+/**
+ * Checks whether an hour falls within quiet hours. Quiet hours run from the start hour up to, not
+ * including, the end hour, and may wrap around midnight, e.g. 20 to 7.
+ * @param {number|null} hour - Local hour, as returned by getLocalHour.
+ * @param {{quiet_hours_start: number|null, quiet_hours_end: number|null}|null} controls
+ * @returns {boolean}
+ */
+export function isQuietHour(hour, controls) {
+  const start = controls?.quiet_hours_start ?? null;
+  const end = controls?.quiet_hours_end ?? null;
+  if (hour === null || start === null || end === null) {
+    return false;
+  }
+  return start < end ? hour >= start && hour < end : hour >= start || hour < end;
+}
+
+/**
+ * Finds the first blocked topic a text is about: a detected theme of that type, or the topic
+ * appearing as a word (plurals included). Topics in CJK script match anywhere in the text.
+ * @param {string} text
+ * @param {string[]} blockedTopics
+ * @param {Array<{type: string}>} [detectedThemes]
+ * @returns {string|null} The topic, or null if the text is allowed.
+ */
+export function findBlockedTopic(text, blockedTopics, detectedThemes = []) {
+  for (const topic of blockedTopics || []) {
+    if (detectedThemes.some(theme => theme.type.toLowerCase() === topic.toLowerCase())) {
+      return topic;
+    }
+    const escaped = topic.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    const pattern = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u.test(topic)
+      ? new RegExp(escaped, 'u')
+      : new RegExp(`(?<![\\p{L}\\p{N}])${escaped}(?:e?s)?(?![\\p{L}\\p{N}])`, 'iu');
+    if (pattern.test(text)) {
+      return topic;
+    }
+  }
+  return null;
+}
+
+/**
+ * Tells the model which topics the parent has ruled out.
+ * @param {string[]} blockedTopics
+ * @returns {string} A system prompt section, or '' when nothing is blocked.
+ */
+export function formatBlockedTopicsPrompt(blockedTopics) {
+  if (!blockedTopics?.length) {
+    return '';
+  }
+  return `The child's parent has asked you never to bring up these topics, not even in passing: ${blockedTopics.join(', ')}.`;
+}
+
+/**
+ * Returns the child-facing refusal of a rule.
+ * @param {'quiet_hours'|'blocked_topic'|'visual_task'|'daily_story_limit'} rule
+ * @param {string} language
+ * @returns {string}
+ */
+export function getParentalRefusal(rule, language) {
+  return translate(REFUSAL_MESSAGES[rule], language);
+}
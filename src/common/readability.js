@@ -0,0 +1,106 @@
+/**
+ * Readability scoring of POPO's replies against a child's reading level.
+ *
+ * Levels are US school grades, 0 (kindergarten) to 12. The grade of a text is its Flesch-Kincaid grade,
+ * from sentence length and syllables per word; rare words, long words outside a child's everyday
+ * vocabulary, are counted separately. Syllables are counted from vowel groups, which is tuned for
+ * English and approximate for the other alphabetic languages. Chinese, Japanese and Korean are not scored.
+ */
+
+import { SUPPORTED_LANGUAGES } from "./i18n";
+
+export const MIN_READING_LEVEL = 0;
+export const MAX_READING_LEVEL = 12;
+// Text may go this many grades past the target before it counts as too hard
+const GRADE_TOLERANCE = 1.5;
+// Share of rare words a text may have before it counts as too hard
+const MAX_RARE_WORD_RATIO = 0.1;
+// Below this many words the score swings too much to act on
+const MIN_SCORED_WORDS = 12;
+// A word of at least this many syllables is rare unless children use it every day
+const RARE_WORD_SYLLABLES = 3;
+
+// Long words young children know well, which should not count as rare
+const FAMILIAR_WORDS = new Set([
+  'animal', 'animals', 'another', 'anything', 'banana', 'bananas', 'beautiful', 'butterfly', 'butterflies',
+  'chocolate', 'computer', 'dinosaur', 'dinosaurs', 'elephant', 'elephants', 'everybody', 'everyone',
+  'everything', 'everywhere', 'family', 'favorite', 'favourite', 'grandfather', 'grandmother', 'hamburger',
+  'important', 'kangaroo', 'library', 'potato', 'potatoes', 'remember', 'somebody', 'strawberry', 'strawberries',
+  'tomato', 'tomatoes', 'together', 'tomorrow', 'umbrella', 'underwater', 'video', 'yesterday',
+]);
+
+/**
+ * The reading level of a child who has not been given one: roughly their school grade.
+ * @param {number} age
+ * @returns {number}
+ */
+export function getDefaultReadingLevel(age) {
+  return Math.min(MAX_READING_LEVEL, Math.max(MIN_READING_LEVEL, age - 5));
+}
+
+/**
+ * Scores how hard a text is to read.
+ * @param {string} text
+ * @param {string} [language]
+ * @returns {{gradeLevel: number, words: number, sentences: number, wordsPerSentence: number,
+ *            syllablesPerWord: number, rareWordRatio: number}|null} Null for languages that are not scored.
+ */
+export function scoreReadability(text, language = 'en') {
+  if (SUPPORTED_LANGUAGES[language]?.cjk) {
+    return null;
+  }
+
+  const words = text.match(/[\p{L}']+/gu) || [];
+  if (words.length === 0) {
+    return { gradeLevel: 0, words: 0, sentences: 0, wordsPerSentence: 0, syllablesPerWord: 0, rareWordRatio: 0 };
+  }
+  const sentences = Math.max(1, (text.match(/[.!?]+(?=\s|$)/g) || []).length);
+  const syllables = words.map(word => countSyllables(word, language));
+  const totalSyllables = syllables.reduce((sum, count) => sum + count, 0);
+  const rareWords = words.filter((word, i) =>
+    syllables[i] >= RARE_WORD_SYLLABLES && !FAMILIAR_WORDS.has(word.toLowerCase())
+  ).length;
+
+  const wordsPerSentence = words.length / sentences;
+  const syllablesPerWord = totalSyllables / words.length;
+  const gradeLevel = 0.39 * wordsPerSentence + 11.8 * syllablesPerWord - 15.59;
+
+  return {
+    gradeLevel: round(Math.max(0, gradeLevel)),
+    words: words.length,
+    sentences,
+    wordsPerSentence: round(wordsPerSentence),
+    syllablesPerWord: round(syllablesPerWord),
+    rareWordRatio: round(rareWords / words.length),
+  };
+}
+
+/**
+ * Whether a scored text is too hard for the target reading level and long enough to judge.
+ * @param {Object|null} score - As returned by scoreReadability.
+ * @param {number} targetLevel
+ * @returns {boolean}
+ */
+export function exceedsReadingLevel(score, targetLevel) {
+  if (!score || score.words < MIN_SCORED_WORDS) {
+    return false;
+  }
+  return score.gradeLevel > targetLevel + GRADE_TOLERANCE || score.rareWordRatio > MAX_RARE_WORD_RATIO;
+}
+
+function countSyllables(word, language) {
+  let letters = word.toLowerCase().replace(/[^\p{L}]/gu, '');
+  if (language === 'en') {
+    if (letters.length <= 3) {
+      return 1;
+    }
+    // Silent endings, as in "made", "jumped" and "boxes" versus "horses"
+    letters = letters.replace(/(?:[^laeiouy]es|[^laeiouy]ed|[^laeiouy]e)$/, '').replace(/^y/, '');
+  }
+  const groups = letters.match(/[aeiouyàáâãäåèéêëìíîïòóôõöùúûüæœ]+/g);
+  return groups ? groups.length : 1;
+}
+
+function round(value) {
+  return Math.round(value * 100) / 100;
+}
@@ -0,0 +1,63 @@
+/**
+ * Short-lived signed URLs for worker-served assets, verified without the API key header
+ * so that media players can fetch them directly.
+ */
+
+const encoder = new TextEncoder();
+
+/**
+ * Appends an expiry and an HMAC-SHA256 signature over the path and expiry to the given URL.
+ * @param {string} baseUrl - Absolute URL to sign, e.g. https://host/audio/abc.
+ * @param {string} secret - The signing secret.
+ * @param {number} ttlSeconds - How long the URL stays valid.
+ * @returns {Promise<string>} The signed URL.
+ */
+export async function createSignedUrl(baseUrl, secret, ttlSeconds) {
+    const url = new URL(baseUrl);
+    const expires = Math.floor(Date.now() / 1000) + ttlSeconds;
+    url.searchParams.set('exp', expires.toString());
+    url.searchParams.set('sig', await sign(`${url.pathname}:${expires}`, secret));
+    return url.toString();
+}
+
+/**
+ * Checks that a URL carries a valid, unexpired signature from `createSignedUrl`.
+ * @param {URL} url - The requested URL.
+ * @param {string} secret - The signing secret.
+ * @returns {Promise<boolean>}
+ */
+export async function verifySignedUrl(url, secret) {
+    const expires = Number(url.searchParams.get('exp'));
+    const signature = url.searchParams.get('sig');
+    if (!Number.isInteger(expires) || !signature || expires < Math.floor(Date.now() / 1000)) {
+        return false;
+    }
+
+    const expected = encoder.encode(await sign(`${url.pathname}:${expires}`, secret));
+    const actual = encoder.encode(signature);
+    return expected.byteLength === actual.byteLength && crypto.subtle.timingSafeEqual(expected, actual);
+}
+
+/**
+ * Resolves the secret used to sign asset URLs.
+ * @param {Object} env - The environment variables.
+ * @returns {string}
+ */
+export function getSigningSecret(env) {
+    return env.SIGNED_URL_SECRET || env.JWT_SECRET;
+}
+
+async function sign(payload, secret) {
+    const key = await crypto.subtle.importKey(
+        'raw',
+        encoder.encode(secret),
+        { name: 'HMAC', hash: 'SHA-256' },
+        false,
+        ['sign']
+    );
+    const signature = new Uint8Array(await crypto.subtle.sign('HMAC', key, encoder.encode(payload)));
+    return btoa(String.fromCharCode(...signature))
+        .replace(/\+/g, '-')
+        .replace(/\//g, '_')
+        .replace(/=+$/, '');
+}
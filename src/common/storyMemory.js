@@ -0,0 +1,112 @@
+/**
+ * Story memory: pulling recurring characters, pets, places and favourite heroes out of a child's
+ * conversations, and choosing which of them to remind POPO of in the next story.
+ */
+
+import { getMessageText } from "./messageContent";
+
+export const STORY_MEMORY_KINDS = ['character', 'pet', 'place', 'hero'];
+
+// Only the latest turns are read; older ones were extracted when they were new
+const EXTRACTION_MESSAGE_COUNT = 4;
+const MAX_EXTRACTED_MEMORIES = 10;
+const NAME_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 300;
+// How many entries are put into the system prompt
+const MAX_PROMPT_MEMORIES = 8;
+
+const EXTRACTION_PROMPT = `You keep the story memory of a child who listens to stories told by POPO.
+Read the latest conversation and list the named characters, pets, places and favourite heroes that the child
+cares about or that should come back in later stories. Use these kinds:
+- character: a named person or creature in a story, including ones the child invented
+- pet: the child's own pet
+- place: a named place in a story, or a place the child loves
+- hero: a favourite hero or character from books, films or shows that the child mentions
+Leave out POPO itself, generic unnamed figures, and anything that is not suitable for a child.
+Respond with JSON only: {"memories": [{"kind": "...", "name": "...", "description": "one short sentence"}]}.
+Respond with {"memories": []} if there is nothing worth remembering.`;
+
+/**
+ * Extracts story memory entries from the latest turns of a conversation.
+ * @param {Object} llm - The LLM router, see createLLMRouter; the 'memory' route is used.
+ * @param {Array<{role: string, content: string|Object[]}>} dialogHistory - The conversation so far.
+ * @returns {Promise<Array<{kind: string, name: string, description: string}>>} Valid entries only.
+ */
+export async function extractStoryMemories(llm, dialogHistory) {
+  const transcript = dialogHistory
+    .filter(message => message.role === 'user' || message.role === 'assistant')
+    .slice(-EXTRACTION_MESSAGE_COUNT)
+    .map(message => `${message.role === 'user' ? 'Child' : 'POPO'}: ${getMessageText(message.content)}`)
+    .join('\n\n');
+
+  const completion = await llm.complete('memory', [
+    { role: 'system', content: EXTRACTION_PROMPT },
+    { role: 'user', content: transcript },
+  ], {
+    response_format: { type: 'json_object' },
+    temperature: 0,
+    max_tokens: 1000,
+  });
+
+  const { memories } = JSON.parse(completion.content);
+  return normalizeStoryMemories(memories);
+}
+
+/**
+ * Keeps the well-formed entries, trimmed to the column limits and without duplicates.
+ * @param {*} memories - Entries as returned by the model.
+ * @returns {Array<{kind: string, name: string, description: string}>}
+ */
+export function normalizeStoryMemories(memories) {
+  if (!Array.isArray(memories)) {
+    return [];
+  }
+  const seen = new Set();
+  return memories
+    .filter(memory => memory && STORY_MEMORY_KINDS.includes(memory.kind) && typeof memory.name === 'string' && memory.name.trim())
+    .map(memory => ({
+      kind: memory.kind,
+      name: memory.name.trim().slice(0, NAME_MAX_LENGTH),
+      description: typeof memory.description === 'string' ? memory.description.trim().slice(0, DESCRIPTION_MAX_LENGTH) : '',
+    }))
+    .filter(memory => {
+      const key = `${memory.kind}:${memory.name.toLowerCase()}`;
+      return !seen.has(key) && seen.add(key);
+    })
+    .slice(0, MAX_EXTRACTED_MEMORIES);
+}
+
+/**
+ * Picks the entries worth reminding POPO of: those the message names first, then the most mentioned.
+ * @param {Object[]} memories - The child's story memory rows.
+ * @param {string} messageText - The text of the child's message.
+ * @param {number} [limit]
+ * @returns {Object[]}
+ */
+export function selectRelevantStoryMemories(memories, messageText, limit = MAX_PROMPT_MEMORIES) {
+  const text = messageText.toLowerCase();
+  const isNamed = memory => text.includes(memory.name.toLowerCase());
+  return [...memories]
+    .sort((a, b) =>
+      (isNamed(b) - isNamed(a)) ||
+      (b.mention_count - a.mention_count) ||
+      String(b.last_mentioned_at).localeCompare(String(a.last_mentioned_at))
+    )
+    .slice(0, limit);
+}
+
+/**
+ * Formats story memory entries as a system prompt section.
+ * @param {Object[]} memories
+ * @returns {string} The section, or an empty string when there is nothing to remember.
+ */
+export function formatStoryMemoryPrompt(memories) {
+  if (memories.length === 0) {
+    return '';
+  }
+  const lines = memories.map(memory =>
+    `- ${memory.name} (${memory.kind})${memory.description ? `: ${memory.description}` : ''}`
+  );
+  return `The child already knows and loves these from earlier stories. Bring one or two of them back when they fit naturally, and keep them true to how they were before:
+${lines.join('\n')}`;
+}
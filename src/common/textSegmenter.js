@@ -0,0 +1,131 @@
+/**
+ * Text segmentation for narration: cut model output into pieces that can be voiced one at a time.
+ */
+
+// Sentences shorter than this are merged with the following one, to avoid many tiny TTS calls
+const SEGMENT_MIN_LENGTH = 60;
+
+/**
+ * Creates a segmenter fed with streamed text deltas. A segment is cut as soon as a
+ * paragraph ends, or a sentence ends once at least `minLength` characters are pending.
+ * @param {Object} [options]
+ * @param {number} [options.minLength] - Minimum segment length before cutting at a sentence end.
+ * @returns {{push: (delta: string) => string[], flush: () => string[]}} `push` returns the segments
+ *          completed by the delta; `flush` returns whatever is left once the stream ends.
+ */
+export function createStreamingSegmenter({ minLength = SEGMENT_MIN_LENGTH } = {}) {
+  let buffer = '';
+
+  return {
+    push(delta) {
+      buffer += delta;
+      const segments = [];
+      let cut;
+      while ((cut = findSegmentEnd(buffer, minLength)) !== -1) {
+        const segment = buffer.slice(0, cut).trim();
+        buffer = buffer.slice(cut);
+        if (segment) {
+          segments.push(segment);
+        }
+      }
+      return segments;
+    },
+    flush() {
+      const rest = buffer.trim();
+      buffer = '';
+      return rest ? [rest] : [];
+    },
+  };
+}
+
+/**
+ * Splits text longer than `maxLength` into pieces that each fit in one TTS request.
+ * Cuts at sentence ends first, then at clause boundaries, then between words, and only cuts
+ * mid-word as a last resort. CJK punctuation, which is not followed by spaces, is honoured too.
+ * @param {string} text - The text to split.
+ * @param {number} maxLength - Maximum length of a piece.
+ * @returns {string[]} The pieces, in reading order; a single piece if the text already fits.
+ */
+export function splitTextForTTS(text, maxLength) {
+  return splitAtBoundary(text.trim(), maxLength, 0).filter(piece => piece !== '');
+}
+
+// Boundaries tried in order; each matches the separator that ends a piece
+const SPLIT_BOUNDARIES = [
+  /[.!?…]+["'”’)\]]*\s+|[。！？…]+[」』”’）]*\s*|[।॥]\s*/gu,
+  /[,;:–—]\s+|[，、；：]\s*/gu,
+  /\s+/gu,
+];
+
+function splitAtBoundary(text, maxLength, level) {
+  if (text.length <= maxLength) {
+    return [text];
+  }
+  if (level >= SPLIT_BOUNDARIES.length) {
+    // Lengths are UTF-16 code units, as everywhere else, but a surrogate pair is never cut in two
+    const pieces = [''];
+    for (const char of text) {
+      if (pieces[pieces.length - 1] && (pieces[pieces.length - 1] + char).length > maxLength) {
+        pieces.push('');
+      }
+      pieces[pieces.length - 1] += char;
+    }
+    return pieces;
+  }
+
+  // Greedily pack the pieces between boundaries; a piece that is still too long goes one level finer
+  const pieces = [];
+  let current = '';
+  for (const part of splitAfter(text, SPLIT_BOUNDARIES[level])) {
+    if (part.trim().length > maxLength) {
+      pieces.push(current.trim());
+      current = '';
+      pieces.push(...splitAtBoundary(part.trim(), maxLength, level + 1));
+    } else if ((current + part).trim().length > maxLength) {
+      pieces.push(current.trim());
+      current = part;
+    } else {
+      current += part;
+    }
+  }
+  pieces.push(current.trim());
+  return pieces;
+}
+
+function splitAfter(text, boundary) {
+  const parts = [];
+  let start = 0;
+  for (const match of text.matchAll(boundary)) {
+    const end = match.index + match[0].length;
+    parts.push(text.slice(start, end));
+    start = end;
+  }
+  if (start < text.length) {
+    parts.push(text.slice(start));
+  }
+  return parts;
+}
+
+/**
+ * Finds where the first complete segment of `text` ends.
+ * A sentence only counts as complete once something follows its punctuation: whitespace for
+ * space-separated scripts, so "3.5" is never cut, or any character after CJK sentence punctuation.
+ * @param {string} text
+ * @param {number} minLength
+ * @returns {number} The end offset of the segment, or -1 if no segment is complete yet.
+ */
+function findSegmentEnd(text, minLength) {
+  const newline = text.indexOf('\n');
+  const sentenceEnd = /[.!?]+["'”’)\]]*(?=\s)|[。！？]+[」』”’）]*(?=[^」』”’）])|[।॥](?=\s)/gu;
+  let match;
+  while ((match = sentenceEnd.exec(text)) !== null) {
+    const end = match.index + match[0].length;
+    if (newline !== -1 && newline < end) {
+      break;
+    }
+    if (end >= minLength) {
+      return end;
+    }
+  }
+  return newline === -1 ? -1 : newline + 1;
+}
@@ -0,0 +1,164 @@
+/**
+ * Live theme catalog, read from D1 and cached per worker isolate.
+ */
+
+import { listThemes } from "../models/themeModel";
+
+// How long an isolate keeps using its copy of the catalog before reading D1 again
+const THEME_CATALOG_TTL_MS = 60 * 1000;
+
+// Used when the theme table is empty or cannot be read, so chat has themes before admins set any up
+export const DEFAULT_THEMES = {
+  ADVENTURE: {
+    keywords: ['adventure', 'explore', 'quest', 'journey', 'discover', 'mission', 'expedition', 'treasure', 'map'],
+    storyPrompt: 'Create an exciting adventure with thrilling discoveries and challenges that can be overcome through wit, courage, and determination. Keep the excitement high while ensuring all challenges and resolutions are age-appropriate.',
+    qnaPrompt: 'Address questions about exploration, discovery, and adventure with enthusiasm, while emphasizing safety, preparation, and responsible decision-making.',
+    localizedKeywords: {
+      zh: ['冒险', '探险', '寻宝', '旅程', '地图'],
+      es: ['aventura', 'explorar', 'tesoro', 'viaje', 'mapa'],
+      fr: ['aventure', 'explorer', 'trésor', 'voyage', 'carte'],
+      de: ['abenteuer', 'erkunden', 'schatz', 'reise', 'karte'],
+      pt: ['aventura', 'explorar', 'tesouro', 'viagem', 'mapa'],
+      ja: ['冒険', '探検', '宝物', '旅', '地図'],
+      ko: ['모험', '탐험', '보물', '여행', '지도'],
+    }
+  },
+  FAMILY: {
+    keywords: ['family', 'parents', 'siblings', 'home', 'relatives'],
+    storyPrompt: 'Focus on warm family relationships, understanding between generations, and the value of family bonds.',
+    qnaPrompt: 'Address family-related questions with sensitivity, emphasizing positive family dynamics and healthy relationships.',
+    localizedKeywords: {
+      zh: ['家人', '家庭', '爸爸', '妈妈', '兄弟姐妹'],
+      es: ['familia', 'padres', 'hermanos', 'casa'],
+      fr: ['famille', 'parents', 'frères', 'maison'],
+      de: ['familie', 'eltern', 'geschwister', 'zuhause'],
+      pt: ['família', 'pais', 'irmãos', 'casa'],
+      ja: ['家族', 'お父さん', 'お母さん', '兄弟'],
+      ko: ['가족', '엄마', '아빠', '형제'],
+    }
+  },
+  FRIENDSHIP: {
+    keywords: ['friends', 'friendship', 'teamwork', 'loyalty'],
+    storyPrompt: 'Emphasize the power of friendship, loyalty, and working together to overcome challenges.',
+    qnaPrompt: 'Focus on developing and maintaining healthy friendships, resolving conflicts, and being a good friend.',
+    localizedKeywords: {
+      zh: ['朋友', '友谊', '团队', '合作'],
+      es: ['amigos', 'amistad', 'equipo'],
+      fr: ['amis', 'amitié', 'équipe'],
+      de: ['freunde', 'freundschaft', 'team'],
+      pt: ['amigos', 'amizade', 'equipe'],
+      ja: ['友達', '友情', '仲間'],
+      ko: ['친구', '우정', '팀'],
+    }
+  },
+  MAGIC: {
+    keywords: ['magic', 'wizard', 'witch', 'spell', 'magical', 'enchanted'],
+    storyPrompt: 'Weave magical elements naturally into the story while maintaining believability and wonder.',
+    qnaPrompt: 'Discuss magical concepts in relation to imagination, creativity, and wonder, while distinguishing fantasy from reality.',
+    localizedKeywords: {
+      zh: ['魔法', '巫师', '女巫', '咒语'],
+      es: ['magia', 'mago', 'bruja', 'hechizo'],
+      fr: ['magie', 'sorcier', 'sorcière', 'sort'],
+      de: ['magie', 'zauberer', 'hexe', 'zauber'],
+      pt: ['magia', 'mago', 'bruxa', 'feitiço'],
+      ja: ['魔法', '魔法使い', '魔女', '呪文'],
+      ko: ['마법', '마법사', '마녀', '주문'],
+    }
+  },
+  SCIFI: {
+    keywords: ['space', 'future', 'robot', 'technology', 'science'],
+    storyPrompt: 'Incorporate age-appropriate science fiction concepts that spark curiosity about science and technology.',
+    qnaPrompt: 'Explain scientific and technological concepts in an engaging, age-appropriate way while encouraging curiosity.',
+    localizedKeywords: {
+      zh: ['太空', '未来', '机器人', '科技', '科学'],
+      es: ['espacio', 'futuro', 'robot', 'ciencia'],
+      fr: ['espace', 'futur', 'robot', 'science'],
+      de: ['weltraum', 'zukunft', 'roboter', 'wissenschaft'],
+      pt: ['espaço', 'futuro', 'robô', 'ciência'],
+      ja: ['宇宙', '未来', 'ロボット', '科学'],
+      ko: ['우주', '미래', '로봇', '과학'],
+    }
+  },
+  COMEDY: {
+    keywords: ['funny', 'humor', 'laugh', 'joke', 'silly'],
+    storyPrompt: 'Include light humor and fun situations while avoiding sarcasm or mean-spirited jokes.',
+    qnaPrompt: 'Address questions with a touch of humor when appropriate, while maintaining educational value.',
+    localizedKeywords: {
+      zh: ['好笑', '搞笑', '笑话', '有趣'],
+      es: ['gracioso', 'chiste', 'risa', 'divertido'],
+      fr: ['drôle', 'blague', 'rire', 'rigolo'],
+      de: ['lustig', 'witz', 'lachen', 'albern'],
+      pt: ['engraçado', 'piada', 'rir', 'divertido'],
+      ja: ['おもしろい', '笑い', 'ジョーク'],
+      ko: ['웃긴', '농담', '웃음', '재미있는'],
+    }
+  },
+  GROWTH: {
+    keywords: ['learn', 'grow', 'change', 'understand', 'realize'],
+    storyPrompt: 'Focus on personal growth, self-discovery, and overcoming internal challenges.',
+    qnaPrompt: 'Guide learning and personal development with encouraging, constructive responses.',
+    localizedKeywords: {
+      zh: ['学习', '成长', '改变', '明白'],
+      es: ['aprender', 'crecer', 'cambiar', 'entender'],
+      fr: ['apprendre', 'grandir', 'changer', 'comprendre'],
+      de: ['lernen', 'wachsen', 'verändern', 'verstehen'],
+      pt: ['aprender', 'crescer', 'mudar', 'entender'],
+      ja: ['学ぶ', '成長', '変わる', 'わかる'],
+      ko: ['배우다', '성장', '변화', '이해'],
+    }
+  }
+};
+
+let cachedCatalog = null;
+let cachedAt = 0;
+
+/**
+ * Returns the enabled themes suitable for the given age, keyed by theme key.
+ * DEFAULT_THEMES stand in only for a theme table that is empty or cannot be read. Themes that admins
+ * disabled, or whose age range leaves the listener out, are never used: the catalog may then be empty,
+ * and chat goes on without theme prompts.
+ * @param {Object} env - The environment variables.
+ * @param {number} [age] - The listener's age; themes outside their age range are left out.
+ * @returns {Promise<Object<string, {keywords: string[], localizedKeywords: Object<string, string[]>, storyPrompt: string, qnaPrompt: string}>>}
+ */
+export async function getThemeCatalog(env, age) {
+  if (!cachedCatalog || Date.now() - cachedAt > THEME_CATALOG_TTL_MS) {
+    try {
+      const rows = await listThemes(env);
+      cachedCatalog = rows.length > 0 ? toCatalog(rows) : DEFAULT_THEMES;
+      cachedAt = Date.now();
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] getThemeCatalog: Failed to load themes, using defaults`, error);
+      return DEFAULT_THEMES;
+    }
+  }
+
+  if (age === undefined) {
+    return cachedCatalog;
+  }
+  return Object.fromEntries(Object.entries(cachedCatalog).filter(([, theme]) =>
+    (theme.minAge == null || age >= theme.minAge) && (theme.maxAge == null || age <= theme.maxAge)
+  ));
+}
+
+/**
+ * Drops this isolate's cached catalog, so the next read sees admin changes immediately.
+ * Other isolates pick the changes up within THEME_CATALOG_TTL_MS.
+ */
+export function invalidateThemeCatalog() {
+  cachedCatalog = null;
+}
+
+function toCatalog(rows) {
+  return Object.fromEntries(rows
+    .filter(row => row.enabled)
+    .map(row => [row.key, {
+      keywords: row.keywords,
+      storyPrompt: row.story_prompt,
+      qnaPrompt: row.qna_prompt,
+      localizedKeywords: row.localized_keywords,
+      minAge: row.min_age,
+      maxAge: row.max_age,
+    }])
+  );
+}
@@ -0,0 +1,156 @@
+/**
+ * Theme detection: ranks catalog themes by how well they match the child's message.
+ *
+ * Themes are matched by whole-word keywords. With `env.THEME_DETECTOR` set to `embeddings`, the message is
+ * first compared with each theme's description over the router's 'embedding' route, one more round trip
+ * metered like any LLM call; keywords are used whenever embeddings cannot decide. When no keyword matches
+ * either, a theme is picked deterministically from a seed.
+ */
+
+import { DEFAULT_LANGUAGE } from "./i18n";
+import { EMBEDDING_PURPOSE, getRouteTargets } from "./llmProvider";
+
+// Below this cosine similarity no theme is considered related to the message
+const MIN_SIMILARITY = 0.2;
+// Softmax temperature turning similarities into confidences; lower is more decisive
+const CONFIDENCE_TEMPERATURE = 0.05;
+// Themes below this confidence are dropped from the ranking
+const MIN_CONFIDENCE = 0.2;
+const MAX_DETECTED_THEMES = 3;
+// Han, Hiragana, Katakana and Hangul
+const CJK_REGEX = /[\p{Script=Han}\p{Script=Hiragana}\p{Script=Katakana}\p{Script=Hangul}]/u;
+
+// Theme description embeddings, per isolate, keyed by the provider, model and description text
+const themeEmbeddingCache = new Map();
+
+/**
+ * Detects the themes of a message.
+ * @param {Object} env - The environment variables.
+ * @param {Object} llm - The LLM router, see createLLMRouter; embeddings take its 'embedding' route.
+ * @param {string} messageText - The text of the child's message.
+ * @param {Object<string, Object>} themes - The theme catalog, keyed by theme key.
+ * @param {string} [seed] - Seed of the fallback pick; defaults to the message text.
+ * @param {string} [language] - The conversation language; its localized keywords are matched too.
+ * @returns {Promise<Array<{type: string, prompts: Object, confidence: number, method: string}>>}
+ *          Detected themes, most confident first; empty only when the catalog is empty.
+ */
+export async function detectThemes(env, llm, messageText, themes, seed = messageText, language = DEFAULT_LANGUAGE) {
+  const themeKeys = Object.keys(themes).sort();
+  if (themeKeys.length === 0) {
+    return [];
+  }
+
+  if (env.THEME_DETECTOR === 'embeddings' && messageText.trim()) {
+    try {
+      const ranked = await rankByEmbeddings(env, llm, messageText, themes, themeKeys);
+      if (ranked.length > 0) {
+        return ranked;
+      }
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] detectThemes: Embeddings detection failed, falling back to keywords`, error);
+    }
+  }
+
+  const matched = rankByKeywords(messageText, themes, themeKeys, language);
+  if (matched.length > 0) {
+    return matched;
+  }
+
+  const picked = themeKeys[hashSeed(seed) % themeKeys.length];
+  return [{ type: picked, prompts: themes[picked], confidence: 0, method: 'seeded' }];
+}
+
+// Vectors of different models do not compare, so the cache is keyed by the model expected to answer
+async function rankByEmbeddings(env, llm, messageText, themes, themeKeys) {
+  const [expected] = await getRouteTargets(env, EMBEDDING_PURPOSE);
+  const cacheKey = (description) => `${expected.provider}:${expected.model}:${description}`;
+  const descriptions = themeKeys.map(key => describeTheme(key, themes[key]));
+  const uncached = descriptions.filter(description => !themeEmbeddingCache.has(cacheKey(description)));
+
+  const { embeddings, provider, model } = await llm.embed(EMBEDDING_PURPOSE, [messageText, ...uncached]);
+  if (provider !== expected.provider || model !== expected.model) {
+    console.warn(`[${new Date().toISOString()}] rankByEmbeddings: Answered by ${provider}:${model}, whose vectors do not compare with the cached ones`);
+    return [];
+  }
+  const [messageEmbedding, ...themeEmbeddings] = embeddings;
+  uncached.forEach((description, i) => themeEmbeddingCache.set(cacheKey(description), themeEmbeddings[i]));
+
+  const similarities = descriptions.map(description =>
+    cosineSimilarity(messageEmbedding, themeEmbeddingCache.get(cacheKey(description)))
+  );
+  if (Math.max(...similarities) < MIN_SIMILARITY) {
+    return [];
+  }
+
+  const weights = similarities.map(similarity => Math.exp(similarity / CONFIDENCE_TEMPERATURE));
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  return themeKeys
+    .map((key, i) => ({ type: key, prompts: themes[key], confidence: weights[i] / total, method: 'embeddings' }))
+    .filter(theme => theme.confidence >= MIN_CONFIDENCE)
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_DETECTED_THEMES);
+}
+
+/**
+ * Ranks themes by the number of their keywords found as whole words, so "grow" does not match "grown-up".
+ * A keyword also matches its plural and -ed/-ing forms. Chinese, Japanese and Korean keywords match
+ * anywhere in the message, since those scripts do not separate words with spaces.
+ */
+function rankByKeywords(messageText, themes, themeKeys, language) {
+  const words = new Set(messageText.toLowerCase().match(/[\p{L}\p{N}]+/gu) || []);
+  const hasKeyword = (keyword) => {
+    const phrase = keyword.toLowerCase();
+    if (CJK_REGEX.test(phrase)) {
+      return messageText.includes(phrase);
+    }
+    if (phrase.includes(' ')) {
+      return new RegExp(`(^|[^\\p{L}\\p{N}])${escapeRegExp(phrase)}($|[^\\p{L}\\p{N}])`, 'u').test(messageText.toLowerCase());
+    }
+    return ['', 's', 'es', 'ed', 'ing'].some(suffix => words.has(phrase + suffix));
+  };
+
+  const hits = themeKeys
+    .map(key => ({ key, count: getThemeKeywords(themes[key], language).filter(hasKeyword).length }))
+    .filter(({ count }) => count > 0);
+  const total = hits.reduce((sum, { count }) => sum + count, 0);
+
+  return hits
+    .map(({ key, count }) => ({ type: key, prompts: themes[key], confidence: count / total, method: 'keywords' }))
+    .sort((a, b) => b.confidence - a.confidence)
+    .slice(0, MAX_DETECTED_THEMES);
+}
+
+function getThemeKeywords(theme, language) {
+  const localized = (theme.localizedKeywords && theme.localizedKeywords[language]) || [];
+  return [...new Set([...theme.keywords, ...localized])];
+}
+
+function describeTheme(key, theme) {
+  return `${key.toLowerCase()}: ${theme.keywords.join(', ')}. ${theme.storyPrompt}`;
+}
+
+function cosineSimilarity(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return dot / (Math.sqrt(normA) * Math.sqrt(normB));
+}
+
+// 32-bit FNV-1a
+function hashSeed(seed) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < seed.length; i++) {
+    hash ^= seed.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
@@ -0,0 +1,84 @@
+/**
+ * R2-backed cache of generated speech, so the same text in the same voice is only synthesized once.
+ */
+
+import { getMp3Duration } from "./mp3Duration";
+
+const TTS_CACHE_PREFIX = 'tts-cache/';
+
+/**
+ * Returns the cache id of the speech for the given settings, synthesizing and storing it on a miss.
+ * @param {Object} env - The environment variables.
+ * @param {Object} speech - What to say and how.
+ * @param {string} [speech.provider] - The TTS provider, when not OpenAI.
+ * @param {string} speech.text
+ * @param {string} speech.voice
+ * @param {string} speech.model
+ * @param {number} speech.speed
+ * @param {string} [speech.instructions] - How to speak, for models that follow voice instructions.
+ * @param {() => Promise<ArrayBuffer>} synthesize - Produces the MP3 audio on a cache miss.
+ * @returns {Promise<{audioId: string, cached: boolean, duration: number}>} The duration is in seconds.
+ */
+export async function getCachedSpeech(env, speech, synthesize) {
+    const audioId = await hashSpeech(speech);
+    const key = `${TTS_CACHE_PREFIX}${audioId}.mp3`;
+
+    const existing = await env.R2_BUCKET.head(key);
+    if (existing) {
+        console.log(`[${new Date().toISOString()}] getCachedSpeech: Cache hit for ${audioId}`);
+        return { audioId, cached: true, duration: await getCachedDuration(env, key, existing) };
+    }
+
+    const audioBuffer = await synthesize();
+    const duration = getMp3Duration(audioBuffer);
+    await env.R2_BUCKET.put(key, audioBuffer, {
+        httpMetadata: { contentType: 'audio/mpeg' },
+        customMetadata: { provider: speech.provider || 'openai', voice: speech.voice, model: speech.model, speed: String(speech.speed), duration: String(duration) },
+    });
+    console.log(`[${new Date().toISOString()}] getCachedSpeech: Stored ${audioBuffer.byteLength} bytes (${duration}s) as ${audioId}`);
+    return { audioId, cached: false, duration };
+}
+
+/**
+ * Reads cached speech by its id.
+ * @param {Object} env - The environment variables.
+ * @param {string} audioId - The id returned by `getCachedSpeech`.
+ * @returns {Promise<R2ObjectBody|null>}
+ */
+export async function getCachedSpeechObject(env, audioId) {
+    if (!/^[0-9a-f]{64}$/.test(audioId)) {
+        return null;
+    }
+    return await env.R2_BUCKET.get(`${TTS_CACHE_PREFIX}${audioId}.mp3`);
+}
+
+// Clips cached before durations were recorded are measured once and their metadata backfilled
+async function getCachedDuration(env, key, existing) {
+    const recorded = Number(existing.customMetadata?.duration);
+    if (existing.customMetadata?.duration !== undefined && !Number.isNaN(recorded)) {
+        return recorded;
+    }
+
+    const object = await env.R2_BUCKET.get(key);
+    if (!object) {
+        return 0;
+    }
+    const audioBuffer = await object.arrayBuffer();
+    const duration = getMp3Duration(audioBuffer);
+    await env.R2_BUCKET.put(key, audioBuffer, {
+        httpMetadata: existing.httpMetadata,
+        customMetadata: { ...existing.customMetadata, duration: String(duration) },
+    });
+    return duration;
+}
+
+async function hashSpeech({ provider, text, voice, model, speed, instructions }) {
+    // Instructions and providers other than OpenAI are only hashed when given, so clips cached before they existed keep their ids
+    const settings = instructions ? [model, voice, speed, text, instructions] : [model, voice, speed, text];
+    if (provider) {
+        settings.unshift(provider);
+    }
+    const payload = new TextEncoder().encode(JSON.stringify(settings));
+    const digest = await crypto.subtle.digest('SHA-256', payload);
+    return Array.from(new Uint8Array(digest), byte => byte.toString(16).padStart(2, '0')).join('');
+}
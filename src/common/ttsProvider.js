@@ -0,0 +1,204 @@
+/**
+ * Text-to-speech behind pluggable providers, with fallback.
+ *
+ * A provider exposes `name`, `prepare(speech)`, turning the narration settings into its own
+ * `{ provider, text, voice, model, speed, instructions? }`, and `synthesize(settings)`, resolving to MP3 bytes.
+ * Providers: `openai` and `elevenlabs`, which needs `env.ELEVEN_API_KEY`. The user's provider, else
+ * `env.TTS_PROVIDER` (default `openai`), is tried first, and on an error or a rate limit the others in turn.
+ */
+
+import { getCachedSpeech } from "./ttsCache";
+import { TTS_PROVIDER_VOICES, VOICE_INVERTED_MAPPING, getCatalogVoice } from "./chatVoiceConfig";
+
+export const TTS_PROVIDERS = ['openai', 'elevenlabs'];
+const DEFAULT_TTS_PROVIDER = 'openai';
+
+const ELEVENLABS_API_URL = 'https://api.elevenlabs.io/v1/text-to-speech';
+// Multilingual, and fast enough to keep up with the streamed reply
+const ELEVENLABS_MODEL_DEFAULT = 'eleven_turbo_v2_5';
+// The speaking rates ElevenLabs accepts
+const ELEVENLABS_SPEED_MIN = 0.7;
+const ELEVENLABS_SPEED_MAX = 1.2;
+
+/**
+ * Returns the providers to try, in order: the preferred one, then the others that are configured.
+ * @param {Object} env - The environment variables.
+ * @param {string|null} [preferred] - The user's provider; null follows `env.TTS_PROVIDER`.
+ * @returns {string[]}
+ */
+export function getTTSProviderOrder(env, preferred = null) {
+    const first = [preferred, env.TTS_PROVIDER].find(name => TTS_PROVIDERS.includes(name)) || DEFAULT_TTS_PROVIDER;
+    return [first, ...TTS_PROVIDERS.filter(name => name !== first)]
+        .filter(name => isTTSProviderAvailable(env, name));
+}
+
+/**
+ * Returns the provider a chat prefers: the account's, unless the chatting child picked a catalog voice,
+ * which is spoken by its own provider. The `male` and `female` voices follow the account.
+ * @param {Object} user - The user account, with its `tts_provider`.
+ * @param {Object|null} [child] - The chatting child profile, if any.
+ * @returns {string|null} Null follows `env.TTS_PROVIDER`.
+ */
+export function getPreferredTTSProvider(user, child = null) {
+    if (!child || Object.hasOwn(VOICE_INVERTED_MAPPING, child.preferred_voice)) {
+        return user.tts_provider ?? null;
+    }
+    return getCatalogVoice(child.preferred_voice)?.provider ?? user.tts_provider ?? null;
+}
+
+/**
+ * Checks whether a provider is configured in this environment.
+ * @param {Object} env - The environment variables.
+ * @param {string} name - One of TTS_PROVIDERS.
+ * @returns {boolean}
+ */
+export function isTTSProviderAvailable(env, name) {
+    return name !== 'elevenlabs' || Boolean(env.ELEVEN_API_KEY);
+}
+
+/**
+ * Returns the id of speech for the given settings, from the cache or the first provider that can synthesize it.
+ * @param {Object} env - The environment variables.
+ * @param {OpenAI} openai - The OpenAI client.
+ * @param {string|null} preferred - The user's provider; null follows `env.TTS_PROVIDER`.
+ * @param {{text: string, voice: string, model: string, speed: number, instructions?: string}} speech -
+ *        The narration settings, with the user's voice and an OpenAI model.
+ * @param {(text: string) => void} [onSynthesize] - Called with the text of each clip actually synthesized, for metering.
+ * @returns {Promise<{audioId: string, cached: boolean, duration: number, provider: string}>}
+ */
+export async function getProviderSpeech(env, openai, preferred, speech, onSynthesize = () => {}) {
+    const names = getTTSProviderOrder(env, preferred);
+    for (const [i, name] of names.entries()) {
+        const provider = createTTSProvider(name, env, openai);
+        const settings = provider.prepare(speech);
+        try {
+            const result = await getCachedSpeech(env, settings, async () => {
+                const audioBuffer = await provider.synthesize(settings);
+                onSynthesize(settings.text);
+                return audioBuffer;
+            });
+            return { ...result, provider: name };
+        } catch (error) {
+            if (i === names.length - 1) {
+                throw error;
+            }
+            const reason = error.status === 429 ? 'is rate limited' : 'failed';
+            console.warn(`[${new Date().toISOString()}] getProviderSpeech: ${name} ${reason}, falling back to ${names[i + 1]} - ${error.message}`);
+        }
+    }
+}
+
+/**
+ * Creates a TTS provider by name.
+ * @param {string} name - One of TTS_PROVIDERS.
+ * @param {Object} env - The environment variables.
+ * @param {OpenAI} openai - The OpenAI client.
+ * @returns {{name: string, prepare: Function, synthesize: Function}}
+ */
+export function createTTSProvider(name, env, openai) {
+    switch (name) {
+        case 'openai':
+            return createOpenAITTSProvider(openai);
+        case 'elevenlabs':
+            return createElevenLabsTTSProvider(env);
+        default:
+            throw new Error(`Unknown TTS provider "${name}"`);
+    }
+}
+
+/**
+ * Returns the voice a provider speaks with for the user's voice: the catalog voice itself when it is
+ * one of the provider's, else the provider's stand-in voice of the same gender.
+ * @param {string} provider - One of TTS_PROVIDERS.
+ * @param {string} voice - The user's stored voice.
+ * @returns {string} The id the provider's API takes.
+ */
+export function resolveProviderVoice(provider, voice) {
+    const entry = getCatalogVoice(voice);
+    if (entry?.provider === provider) {
+        return entry.providerVoiceId;
+    }
+    // OpenAI voices outside the catalog, such as those of newer models, are used as they are
+    if (!entry && provider === 'openai' && voice) {
+        return voice;
+    }
+    const voices = TTS_PROVIDER_VOICES[provider];
+    return voices[entry?.gender] || voices.female;
+}
+
+function createOpenAITTSProvider(openai) {
+    return {
+        name: 'openai',
+        // Settings keep no provider field, so clips cached before providers existed keep their ids
+        prepare: ({ text, voice, model, speed, instructions }) => ({
+            text,
+            voice: resolveProviderVoice('openai', voice),
+            model,
+            speed,
+            ...(instructions && { instructions }),
+        }),
+        async synthesize({ text, voice, model, speed, instructions }) {
+            console.log(`[${new Date().toISOString()}] openai TTS: Generating audio by ${voice} of text "${text.length <= 50 ? text : text.substring(0, 50) + '...'}"`);
+            try {
+                const mp3Response = await openai.audio.speech.create({
+                    model,
+                    voice,
+                    input: text,
+                    response_format: "mp3",
+                    speed,
+                    ...(instructions && { instructions }),
+                });
+                return await mp3Response.arrayBuffer();
+            } catch (error) {
+                console.error(`[${new Date().toISOString()}] openai TTS: Error generating audio:`, error);
+                const wrapped = new Error(`OpenAI TTS: ${error.message}`);
+                wrapped.status = error.status;
+                throw wrapped;
+            }
+        },
+    };
+}
+
+// ElevenLabs takes no voice instructions, so bedtime narration on it is only slowed down
+function createElevenLabsTTSProvider(env) {
+    return {
+        name: 'elevenlabs',
+        prepare: ({ text, voice, speed }) => ({
+            provider: 'elevenlabs',
+            text,
+            voice: resolveProviderVoice('elevenlabs', voice),
+            model: env.ELEVENLABS_TTS_MODEL || ELEVENLABS_MODEL_DEFAULT,
+            speed: Math.min(ELEVENLABS_SPEED_MAX, Math.max(ELEVENLABS_SPEED_MIN, speed)),
+        }),
+        async synthesize({ text, voice, model, speed }) {
+            console.log(`[${new Date().toISOString()}] elevenlabs TTS: Generating audio by ${voice} of text "${text.length <= 50 ? text : text.substring(0, 50) + '...'}"`);
+            const response = await fetch(`${ELEVENLABS_API_URL}/${voice}?output_format=mp3_44100_128`, {
+                method: "POST",
+                headers: {
+                    'xi-api-key': env.ELEVEN_API_KEY,
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({
+                    text,
+                    model_id: model,
+                    voice_settings: {
+                        stability: 0.5,
+                        similarity_boost: 0.75,
+                        style: 0,
+                        use_speaker_boost: true,
+                        speed,
+                    }
+                })
+            });
+
+            if (!response.ok) {
+                const detail = await response.text();
+                console.error(`[${new Date().toISOString()}] elevenlabs TTS: Error calling ElevenLabs API: ${response.status}, ${detail}`);
+                const error = new Error(`ElevenLabs TTS: ${response.status} ${response.statusText}`);
+                error.status = response.status;
+                throw error;
+            }
+            return await response.arrayBuffer();
+        },
+    };
+}
@@ -0,0 +1,89 @@
+/**
+ * Usage quotas: how much chat, speech and transcription each account may use per UTC day and month.
+ */
+
+import { getUsageTotals } from '../models/usageModel';
+
+// Limits by tier and period; VIP accounts get more, admins are not metered against any
+export const USAGE_QUOTAS = {
+  standard: {
+    daily: { tokens: 100_000, tts_characters: 30_000, transcription_seconds: 600 },
+    monthly: { tokens: 1_500_000, tts_characters: 500_000, transcription_seconds: 6_000 },
+  },
+  vip: {
+    daily: { tokens: 500_000, tts_characters: 150_000, transcription_seconds: 3_600 },
+    monthly: { tokens: 10_000_000, tts_characters: 3_000_000, transcription_seconds: 60_000 },
+  },
+};
+
+/**
+ * @param {{is_vip: number|boolean, role: string}} user
+ * @returns {'admin'|'vip'|'standard'}
+ */
+export function getUsageTier(user) {
+  if (user.role === 'admin') {
+    return 'admin';
+  }
+  return user.is_vip ? 'vip' : 'standard';
+}
+
+/**
+ * Returns when the current quota periods started and when they reset, both in UTC.
+ * @param {Date} [now]
+ * @returns {{daily: {start: Date, resetsAt: Date}, monthly: {start: Date, resetsAt: Date}}}
+ */
+export function getQuotaPeriods(now = new Date()) {
+  const year = now.getUTCFullYear();
+  const month = now.getUTCMonth();
+  const day = now.getUTCDate();
+  return {
+    daily: { start: new Date(Date.UTC(year, month, day)), resetsAt: new Date(Date.UTC(year, month, day + 1)) },
+    monthly: { start: new Date(Date.UTC(year, month, 1)), resetsAt: new Date(Date.UTC(year, month + 1, 1)) },
+  };
+}
+
+/**
+ * Finds the first quota a user has used up, daily quotas first.
+ * @param {{daily: Object, monthly: Object}} totals - As returned by getUsageTotals.
+ * @param {'admin'|'vip'|'standard'} tier
+ * @returns {{period: string, metric: string, limit: number, used: number}|null}
+ */
+export function findExceededQuota(totals, tier) {
+  const quotas = USAGE_QUOTAS[tier];
+  if (!quotas) {
+    return null;
+  }
+  for (const period of ['daily', 'monthly']) {
+    for (const [metric, limit] of Object.entries(quotas[period])) {
+      const used = totals[period][metric];
+      if (used >= limit) {
+        return { period, metric, limit, used };
+      }
+    }
+  }
+  return null;
+}
+
+/**
+ * Checks a user's usage so far against their quotas.
+ * @param {Object} env - The environment variables.
+ * @param {Object} user - The user account row.
+ * @param {Date} [now]
+ * @returns {Promise<{period: string, metric: string, limit: number, used: number, resetsAt: Date}|null>}
+ *          The used-up quota, or null if the user may go on.
+ */
+export async function checkUsageQuota(env, user, now = new Date()) {
+  const tier = getUsageTier(user);
+  if (tier === 'admin') {
+    return null;
+  }
+  const periods = getQuotaPeriods(now);
+  const totals = await getUsageTotals(env, user.id, toSqlTimestamp(periods.daily.start), toSqlTimestamp(periods.monthly.start));
+  const exceeded = findExceededQuota(totals, tier);
+  return exceeded && { ...exceeded, resetsAt: periods[exceeded.period].resetsAt };
+}
+
+// D1 stores CURRENT_TIMESTAMP as `YYYY-MM-DD HH:MM:SS` in UTC
+function toSqlTimestamp(date) {
+  return date.toISOString().slice(0, 19).replace('T', ' ');
+}
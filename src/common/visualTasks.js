@@ -0,0 +1,4 @@
+/**
+ * The things a child can point the camera at, as sent in the visual_task query parameter.
+ */
+export const VISUAL_TASKS = ['Micro', 'Plants', 'Animals', 'Insects', 'Daily', 'Translation'];
@@ -0,0 +1,147 @@
+/**
+ * Activity Handlers: what a parent's children have been doing, aggregated from their chat requests
+ */
+
+import { withAuth } from "../middleware/authMiddleware";
+import { getUserByEmail } from "../models/userModel";
+import { getChildProfileById } from "../models/childProfileModel";
+import { getActivitySummary, listAskedQuestions } from "../models/activityModel";
+import { getLocalDate } from "../common/bedtimeProfile";
+
+// Range shown when the request gives no dates, ending today
+const DEFAULT_RANGE_DAYS = 30;
+const MAX_RANGE_DAYS = 366;
+const TOP_THEME_COUNT = 5;
+const QUESTIONS_LIMIT_DEFAULT = 50;
+const QUESTIONS_LIMIT_MAX = 200;
+
+/**
+ * Handler for the activity summary: stories per day, listening minutes, top themes, visual tasks
+ * and questions asked. Query parameters: `from` and `to` (YYYY-MM-DD, the child's local dates) and `child_id`.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleActivitySummary = withAuth(async (request, env, email) => {
+    return handleActivityRequest(request, env, email, 'handleActivitySummary', async (user, filter) => {
+        const summary = await getActivitySummary(env, user.id, filter, TOP_THEME_COUNT);
+        return {
+            range: { from: filter.from, to: filter.to },
+            child_id: filter.childId,
+            total_chats: summary.chats,
+            total_stories: summary.stories,
+            questions_asked: summary.questions,
+            listening_minutes: Math.round(summary.listening_seconds / 60 * 10) / 10,
+            stories_per_day: summary.stories_per_day,
+            top_themes: summary.top_themes,
+            visual_tasks: summary.visual_tasks,
+        };
+    });
+});
+
+/**
+ * Handler for the questions asked in a date range, newest first. Query parameters as for the summary,
+ * plus `limit`.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleActivityQuestions = withAuth(async (request, env, email) => {
+    const limitParam = new URL(request.url).searchParams.get('limit');
+    const limit = limitParam === null ? QUESTIONS_LIMIT_DEFAULT : Number(limitParam);
+    if (!Number.isInteger(limit) || limit < 1 || limit > QUESTIONS_LIMIT_MAX) {
+        return new Response(JSON.stringify({ error: `limit must be a whole number between 1 and ${QUESTIONS_LIMIT_MAX}` }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    return handleActivityRequest(request, env, email, 'handleActivityQuestions', async (user, filter) => {
+        const questions = await listAskedQuestions(env, user.id, filter, limit);
+        return {
+            range: { from: filter.from, to: filter.to },
+            child_id: filter.childId,
+            questions,
+        };
+    });
+});
+
+/**
+ * Validates the shared query parameters, then answers with what `respond` returns for the user and filter.
+ */
+async function handleActivityRequest(request, env, email, handlerName, respond) {
+    if (request.method !== 'GET') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET" }
+        });
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const { filter, error } = parseActivityFilter(new URL(request.url).searchParams, user);
+        if (error) {
+            return new Response(JSON.stringify({ error }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        if (filter.childId !== null && !(await getChildProfileById(env, user.id, filter.childId))) {
+            return new Response(JSON.stringify({ error: "Child profile not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        return new Response(JSON.stringify(await respond(user, filter)), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] ${handlerName}: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+}
+
+/**
+ * Reads `from`, `to` and `child_id`. Missing dates default to the last DEFAULT_RANGE_DAYS days
+ * up to today in the user's timezone.
+ * @returns {{filter?: {from: string, to: string, childId: number|null}, error?: string}}
+ */
+function parseActivityFilter(searchParams, user) {
+    const isDate = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !isNaN(Date.parse(`${value}T00:00:00Z`));
+    const to = searchParams.get('to') || getLocalDate(null, user.timezone);
+    const from = searchParams.get('from') || (isDate(to) ? addDays(to, -(DEFAULT_RANGE_DAYS - 1)) : to);
+    if (!isDate(from) || !isDate(to)) {
+        return { error: "from and to must be dates in YYYY-MM-DD format" };
+    }
+    if (from > to) {
+        return { error: "from must not be after to" };
+    }
+    if (addDays(from, MAX_RANGE_DAYS - 1) < to) {
+        return { error: `The date range can span at most ${MAX_RANGE_DAYS} days` };
+    }
+
+    const childParam = searchParams.get('child_id');
+    const childId = childParam === null ? null : Number(childParam);
+    if (childParam !== null && (!childParam || !Number.isInteger(childId) || childId < 1)) {
+        return { error: "child_id must be the id of one of your child profiles" };
+    }
+    return { filter: { from, to, childId } };
+}
+
+function addDays(date, days) {
+    const result = new Date(`${date}T00:00:00Z`);
+    result.setUTCDate(result.getUTCDate() + days);
+    return result.toISOString().slice(0, 10);
+}
@@ -0,0 +1,57 @@
+/**
+ * Audio Handlers: serves cached speech through short-lived signed URLs
+ */
+
+import { verifySignedUrl, getSigningSecret } from "../common/signedUrl";
+import { getCachedSpeechObject } from "../common/ttsCache";
+
+/**
+ * Handler for retrieving a cached speech clip. Authorized by the URL signature, not the API key.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} audioId
+ * @returns {Response}
+ */
+export async function handleAudioRetrieval(request, env, audioId) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        return new Response(JSON.stringify({ error: `Method ${request.method} is Not Allowed` }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, HEAD" }
+        });
+    }
+
+    const url = new URL(request.url);
+    if (!await verifySignedUrl(url, getSigningSecret(env))) {
+        console.warn(`[${new Date().toISOString()}] handleAudioRetrieval: Invalid or expired signature for ${audioId}`);
+        return new Response(JSON.stringify({ error: "Invalid or expired audio link" }), {
+            status: 403,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const object = await getCachedSpeechObject(env, audioId);
+        if (!object) {
+            return new Response(JSON.stringify({ error: "Audio not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        return new Response(request.method === 'HEAD' ? null : object.body, {
+            status: 200,
+            headers: {
+                "Content-Type": object.httpMetadata?.contentType || 'audio/mpeg',
+                "Content-Length": object.size.toString(),
+                "Cache-Control": "private, max-age=3600",
+                "ETag": object.httpEtag,
+            }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleAudioRetrieval: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+}
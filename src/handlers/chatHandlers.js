@@ -244,40 +244,6 @@ export async function handleTranscription(request, openai) {
 }
 
 
-async function getElevenLabsAudio(apiKey, text) {
-  console.log(`[${new Date().toISOString()}] getElevenLabsAudio: Generating audio for text ${text.substring(0, 50)}...`);
-  const elevenLabsResponse = await fetch("https://api.elevenlabs.io/v1/text-to-speech/XB0fDUnXU5powFXDhCwa", {
-    method: "POST",
-    headers: {
-      'xi-api-key': apiKey,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      text: text,
-      model_id: "eleven_turbo_v2_5",
-      voice_settings: {
-        stability: 0.5,
-        similarity_boost: 0.75,
-        style: 0,
-        use_speaker_boost: true,
-      }
-    })
-  });
-
-  if (!elevenLabsResponse.ok) {
-    const errorBody = await elevenLabsResponse.json();
-    console.error(`[${new Date().toISOString()}] getElevenLabsAudio: Error calling ElevenLabs API: ${elevenLabsResponse.status}, ${elevenLabsResponse.statusText}, ${errorBody.detail.status}`);
-    throw new Error(`ElevenLabs: ${elevenLabsResponse.status} - ${errorBody.detail.status}`);
-  }
-
-  const audioBuffer = await elevenLabsResponse.arrayBuffer();
-  const audioBase64 = Buffer.from(audioBuffer).toString('base64');
-  
-  // Convert to base64-encoded Data URI
-  return `data:audio/mpeg;base64,${audioBase64}`;
-}
-
-
 export async function handleBedTimeStoryChatStream(request, openai) {
   console.log('Starting handleBedTimeStoryChatStream handler');
 
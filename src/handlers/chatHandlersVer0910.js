@@ -6,110 +6,128 @@ import OpenAI from "openai";
 import { Buffer } from 'node:buffer';
 import { withAuth } from "../middleware/authMiddleware";
 import { getUserByEmail } from "../models/userModel";
+import { getChildProfileById } from "../models/childProfileModel";
+import { createStreamingSegmenter, splitTextForTTS } from "../common/textSegmenter";
+import { createOrderedTaskQueue } from "../common/orderedTaskQueue";
+import { getCachedSpeech } from "../common/ttsCache";
+import { getProviderSpeech, getPreferredTTSProvider, createTTSProvider } from "../common/ttsProvider";
+import { createSignedUrl, getSigningSecret } from "../common/signedUrl";
+import { createChatStream, getStreamFormat } from "../common/chatStream";
+import { createModerationProvider, moderateText, getChildSafeRedirect } from "../common/moderation";
+import { createLLMRouter } from "../common/llmProvider";
+import { recordModerationEvent } from "../models/moderationModel";
+import { getThemeCatalog } from "../common/themeCatalog";
+import { detectThemes } from "../common/themeDetector";
+import { getMessageText, findLatestPhotoMessage } from "../common/messageContent";
+import { getConversationById, getConversationMessages, appendConversationMessages } from "../models/conversationModel";
+import { extractStoryMemories, selectRelevantStoryMemories, formatStoryMemoryPrompt } from "../common/storyMemory";
+import { listStoryMemoriesByUser, recordExtractedStoryMemories } from "../models/storyMemoryModel";
+import { createChoiceSplitter, getInteractiveStoryPrompt } from "../common/interactiveStory";
+import { getInteractiveStoryState, saveInteractiveStoryState } from "../models/interactiveStoryModel";
+import { getLocalHour, getLocalDate, isBedtime, getNarrationSettings, MAX_PAUSE_SECONDS } from "../common/bedtimeProfile";
+import { getEffectiveParentalControls, getDailyStoryCount, incrementDailyStoryCount } from "../models/parentalControlModel";
+import { isQuietHour, findBlockedTopic, formatBlockedTopicsPrompt, getParentalRefusal } from "../common/parentalControls";
+import { VISUAL_TASKS } from "../common/visualTasks";
+import { checkUsageQuota } from "../common/usageQuota";
+import { recordUsage } from "../models/usageModel";
+import { recordChatActivity } from "../models/activityModel";
+import { isImageOwnedBy } from "../common/imageStore";
+import { DISCOVERY_CARD_TASKS, generateDiscoveryCard, getDiscoveryCardText } from "../common/discoveryCard";
+import { createDiscoveryCard } from "../models/discoveryCardModel";
+import { TRANSLATION_TASK, translateImageText } from "../common/imageTranslation";
+import { createSilentMp3 } from "../common/mp3Duration";
+import { getDefaultReadingLevel, scoreReadability, exceedsReadingLevel } from "../common/readability";
+import { SUPPORTED_LANGUAGES, normalizeLanguage, resolveLanguage, getLanguageName, translate } from "../common/i18n";
 
 const OPENAI_TTS_TEXT_LENGTH_MAX = 4096;
+const OPENAI_TTS_MODEL = 'tts-1';
+const OPENAI_TTS_SPEED = 0.88;
+// Paragraphs voiced at once when env.TTS_CONCURRENCY is not set
+const TTS_CONCURRENCY_DEFAULT = 3;
+// Lifetime of the signed audio links handed to the client
+const AUDIO_URL_TTL_SECONDS = 60 * 60;
+// Lifetime of the signed image links handed to the model, which fetches them right away
+const IMAGE_URL_TTL_SECONDS = 10 * 60;
+// Narration pace at speed 1.0, used to turn a requested duration into a length budget
+const NARRATION_WORDS_PER_MINUTE = 150;
+const NARRATION_CHARACTERS_PER_MINUTE_CJK = 250;
+// Completion tokens allowed per budgeted word or character, leaving room to finish the story
+const MAX_TOKENS_PER_BUDGET_UNIT = 3;
+const MAX_TOKENS = 16_384;
+const DURATION_MINUTES_MIN = 1;
+const DURATION_MINUTES_MAX = 30;
+// Shortest paragraph cut from the stream; CJK text packs more meaning into fewer characters
+const PARAGRAPH_MIN_LENGTH = 60;
+const PARAGRAPH_MIN_LENGTH_CJK = 20;
+// Longest part of the child's message kept for the parent's activity view
+const ACTIVITY_MESSAGE_MAX_LENGTH = 500;
 
-const THEMES = {
-  ADVENTURE: {
-    keywords: ['adventure', 'explore', 'quest', 'journey', 'discover', 'mission', 'expedition', 'treasure', 'map'],
-    storyPrompt: 'Create an exciting adventure with thrilling discoveries and challenges that can be overcome through wit, courage, and determination. Keep the excitement high while ensuring all challenges and resolutions are age-appropriate.',
-    qnaPrompt: 'Address questions about exploration, discovery, and adventure with enthusiasm, while emphasizing safety, preparation, and responsible decision-making.'
-  },
-  FAMILY: {
-    keywords: ['family', 'parents', 'siblings', 'home', 'relatives'],
-    storyPrompt: 'Focus on warm family relationships, understanding between generations, and the value of family bonds.',
-    qnaPrompt: 'Address family-related questions with sensitivity, emphasizing positive family dynamics and healthy relationships.'
-  },
-  FRIENDSHIP: {
-    keywords: ['friends', 'friendship', 'teamwork', 'loyalty'],
-    storyPrompt: 'Emphasize the power of friendship, loyalty, and working together to overcome challenges.',
-    qnaPrompt: 'Focus on developing and maintaining healthy friendships, resolving conflicts, and being a good friend.'
-  },
-  MAGIC: {
-    keywords: ['magic', 'wizard', 'witch', 'spell', 'magical', 'enchanted'],
-    storyPrompt: 'Weave magical elements naturally into the story while maintaining believability and wonder.',
-    qnaPrompt: 'Discuss magical concepts in relation to imagination, creativity, and wonder, while distinguishing fantasy from reality.'
-  },
-  SCIFI: {
-    keywords: ['space', 'future', 'robot', 'technology', 'science'],
-    storyPrompt: 'Incorporate age-appropriate science fiction concepts that spark curiosity about science and technology.',
-    qnaPrompt: 'Explain scientific and technological concepts in an engaging, age-appropriate way while encouraging curiosity.'
-  },
-  COMEDY: {
-    keywords: ['funny', 'humor', 'laugh', 'joke', 'silly'],
-    storyPrompt: 'Include light humor and fun situations while avoiding sarcasm or mean-spirited jokes.',
-    qnaPrompt: 'Address questions with a touch of humor when appropriate, while maintaining educational value.'
-  },
-  GROWTH: {
-    keywords: ['learn', 'grow', 'change', 'understand', 'realize'],
-    storyPrompt: 'Focus on personal growth, self-discovery, and overcoming internal challenges.',
-    qnaPrompt: 'Guide learning and personal development with encouraging, constructive responses.'
-  }
-};
-
-function detectThemes(userMessage) {
-  let messageText = '';
-  if (typeof userMessage === 'string') {
-    messageText = userMessage;
-  } else if (typeof userMessage === 'object' && userMessage !== null) {
-    // Handle array of content objects (for visual chat)
-    if (Array.isArray(userMessage.content)) {
-      messageText = userMessage.content
-        .filter(item => item.type === 'text')
-        .map(item => item.text)
-        .join(' ');
-    }
-  }
-  const detected = Object.entries(THEMES)
-    .filter(([_, theme]) => 
-      theme.keywords.some(keyword => 
-        messageText.toLowerCase().includes(keyword)
-      )
-    )
-    .map(([key, theme]) => ({ type: key, prompts: theme }));
-  
-  if (detected.length === 0) {
-    const themeKeys = Object.keys(THEMES);
-    const randomTheme = themeKeys[Math.floor(Math.random() * themeKeys.length)];
-    console.log(`[${new Date().toISOString()}] detectThemes: Random a theme: "${randomTheme}"`);
-    return [{ type: randomTheme, prompts: THEMES[randomTheme] }];
-  }
-  console.log(`[${new Date().toISOString()}] detectThemes: Detect a theme: "${detected.map(theme => theme.type).join('\n')}"`);
-  return detected;
-}
-
-function generateSystemPrompt(user_age, currentLocalTime, isVisual, visualTask, detectedThemes, queryType) {
-  const isStory = queryType === 'story';
+/**
+ * Builds the system prompt of a chat from the options of the request; only `userAge`, `queryType`,
+ * `language` and `detectedThemes` are required.
+ */
+function generateSystemPrompt({
+  userAge,
+  currentLocalTime = null,
+  isVisual = false,
+  visualTask = null,
+  detectedThemes,
+  queryType,
+  language,
+  storyMemories = [],
+  readingLevel = getDefaultReadingLevel(userAge),
+  lengthBudget = null,
+  interactivePrompt = '',
+  localHour = null,
+  child = null,
+  blockedTopics = [],
+}) {
+  const isStory = queryType === 'story' || queryType === 'interactive';
   
-  let prompt = `You are POPO, a ${isStory ? 'creative storyteller' : 'knowledgeable educator'} for a ${user_age}-year-old audience. Your ${isStory ? 'stories' : 'responses'} should be:
+  let prompt = `You are POPO, a ${isStory ? 'creative storyteller' : 'knowledgeable educator'} for a ${userAge}-year-old audience. Your ${isStory ? 'stories' : 'responses'} should be:
 - Age-appropriate and positive
 - ${isStory ? 'Imaginative yet relatable' : 'Educational and engaging'}
 - Free of intense or frightening content
 - Told in plain text without special formatting
+- Written in ${getLanguageName(language)}, unless the child writes to you in another language; then reply in the child's language
+- Easy to follow at a ${describeReadingLevel(readingLevel)} reading level, with short sentences and everyday words
+
+${child ? `You are talking with ${child.name}.${child.interests.length ? ` ${child.name} loves ${child.interests.join(', ')}; weave these in when they fit naturally.` : ''}` : ''}
 
 ${detectedThemes.map(theme => 
   isStory ? theme.prompts.storyPrompt : theme.prompts.qnaPrompt
 ).join('\n')}
 
+${isStory ? formatStoryMemoryPrompt(storyMemories) : ''}
+
+${formatBlockedTopicsPrompt(blockedTopics)}
+
+${interactivePrompt}
+
 ${isStory ? `When crafting your story:
 - Start in a unique, original way, avoiding common openings like "Once upon a time"
 - Make the opening immediately engaging and relevant to the story's theme` : ''}
 
+${lengthBudget ? `The ${isStory ? 'story' : 'answer'} will be read aloud and should last about ${lengthBudget.minutes} minute${lengthBudget.minutes === 1 ? '' : 's'}: write about ${lengthBudget.amount} ${lengthBudget.unit}, and bring it to a proper ending within that length.` : ''}
+
 ${currentLocalTime ? `Current local time: ${currentLocalTime}` : ''}`;
 
   if (isVisual) {
     prompt += `\nBased on the provided image${visualTask ? ` related to ${visualTask}` : ''}.`;
+    if (visualTask === TRANSLATION_TASK) {
+      prompt += '\nThe app shows the text in the image and its translation sentence by sentence, so do not translate it word for word: tell the child in a few friendly sentences what the text is about and where it might be found.';
+    }
   }
 
-  if (isStory) {
-    const timeObj = currentLocalTime ? new Date(currentLocalTime) : null;
-    if (timeObj) {
-      const hour = timeObj.getHours();
-      if (hour >= 19 || hour < 6) {
-        prompt += '\nAs it\'s evening/night time, conclude with a calming, sleep-appropriate ending.';
-      } else {
-        prompt += '\nConclude with an energetic, day-appropriate ending.';
-      }
+  if (isStory && localHour !== null) {
+    if (isBedtime(localHour)) {
+      prompt += `\nIt is bedtime, so this story should help the child wind down:
+- Let each paragraph be a little calmer and slower than the one before, with shorter, softer sentences
+- Move from gentle adventure toward quiet, cosy moments: slowing down, yawning, snuggling in
+- Avoid surprises, cliffhangers and exciting twists near the end
+- Conclude with a peaceful, sleepy ending, such as the characters drifting off to sleep`;
+    } else {
+      prompt += '\nConclude with an energetic, day-appropriate ending.';
     }
   }
   console.log(`[${new Date().toISOString()}] generateSystemPrompt: System prompt:\n${prompt}`);
@@ -142,22 +160,58 @@ async function handleChat(request, env, openai, isVisual, email) {
         headers: { "Content-Type": "application/json" }
     });
   }
-  const user_age = new Date().getFullYear() - user.yob;
+
+  const url = new URL(request.url);
+
+  // With a child_id, age, voice, reading level and interests come from that child instead of the account
+  const childParam = url.searchParams.get('child_id');
+  let child = null;
+  if (childParam !== null) {
+    const childId = Number(childParam);
+    if (!childParam || !Number.isInteger(childId) || childId < 1) {
+      const errorMessage = `Invalid child_id: ${childParam}. Expected the id of one of your child profiles.`;
+      console.error(`[${new Date().toISOString()}] handleChat: ${errorMessage}`);
+      return new Response(errorMessage, { status: 400 });
+    }
+    child = await getChildProfileById(env, user.id, childId);
+    if (!child) {
+      console.error(`[${new Date().toISOString()}] handleChat: Child profile ${childId} not found`);
+      return new Response(JSON.stringify({ error: "Child profile not found" }), {
+        status: 404,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    console.log(`[${new Date().toISOString()}] handleChat: Chatting as child profile ${child.id}`);
+  }
+  const profile = child || user;
+  // A child's catalog voice is spoken by its own provider, whatever the account's provider is
+  const ttsProvider = getPreferredTTSProvider(user, child);
+
+  const exceededQuota = await checkUsageQuota(env, user);
+  if (exceededQuota) {
+    return createQuotaExceededResponse(exceededQuota);
+  }
+  // Rules a parent set for this child, else for the whole account
+  const parentalControls = await getEffectiveParentalControls(env, user.id, child?.id ?? null);
+  const blockedTopics = parentalControls?.blocked_topics || [];
+
+  const user_age = new Date().getFullYear() - profile.yob;
   if (user_age < 0) {
-    console.error(`[${new Date().toISOString()}] handleChat: Invalid yob: ${user.yob}`);
-    return new Response(`Invalid year of birth: ${user.yob}`, { 
+    console.error(`[${new Date().toISOString()}] handleChat: Invalid yob: ${profile.yob}`);
+    return new Response(`Invalid year of birth: ${profile.yob}`, { 
       status: 400,
       headers: { "Content-Type": "application/json" }
     });
   }
   console.log(`[${new Date().toISOString()}] handleChat: User is of age ${user_age}`);
+  const readingLevel = profile.reading_level ?? getDefaultReadingLevel(user_age);
+  console.log(`[${new Date().toISOString()}] handleChat: Target reading level: grade ${readingLevel}`);
 
-  const url = new URL(request.url);
   const queryType = url.searchParams.get('query_type') || 'qna';
   console.log(`[${new Date().toISOString()}] handleChat: Query type: ${queryType}`);
-  const validQueryTypes = ['story', 'qna'];
+  const validQueryTypes = ['story', 'interactive', 'qna'];
   if (!validQueryTypes.includes(queryType)) {
-    const errorMessage = `Invalid query_type: ${queryType}. Expected 'story' or 'qna'.`;
+    const errorMessage = `Invalid query_type: ${queryType}. Expected 'story', 'interactive' or 'qna'.`;
     console.error(`[${new Date().toISOString()}] handleChat: ${errorMessage}`);
     return new Response(errorMessage, { status: 400 });
   }
@@ -170,30 +224,122 @@ async function handleChat(request, env, openai, isVisual, email) {
     return new Response(errorMessage, { status: 400 });
   }
 
+  const requestedLanguage = url.searchParams.get('language');
+  if (requestedLanguage && !normalizeLanguage(requestedLanguage)) {
+    const errorMessage = `Invalid language: ${requestedLanguage}. Expected one of ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}.`;
+    console.error(`[${new Date().toISOString()}] handleChat: ${errorMessage}`);
+    return new Response(errorMessage, { status: 400 });
+  }
+  const language = resolveLanguage(requestedLanguage, user.preferred_language);
+  console.log(`[${new Date().toISOString()}] handleChat: Language: ${language}`);
+
+  // Bedtime follows the child's own clock: their saved timezone, else the client's local time
+  const localHour = getLocalHour(currentLocalTime, user.timezone);
+  const bedtime = (queryType === 'story' || queryType === 'interactive') && isBedtime(localHour);
+  console.log(`[${new Date().toISOString()}] handleChat: Local hour: ${localHour}, bedtime profile: ${bedtime}`);
+  if (isQuietHour(localHour, parentalControls)) {
+    return createParentalRefusal('quiet_hours', language);
+  }
+
+  const pauseParam = url.searchParams.get('pause_seconds');
+  const pauseSeconds = pauseParam === null ? 0 : Number(pauseParam);
+  if (pauseParam !== null && (!pauseParam || Number.isNaN(pauseSeconds) || pauseSeconds < 0 || pauseSeconds > MAX_PAUSE_SECONDS)) {
+    const errorMessage = `Invalid pause_seconds: ${pauseParam}. Expected a number between 0 and ${MAX_PAUSE_SECONDS}.`;
+    console.error(`[${new Date().toISOString()}] handleChat: ${errorMessage}`);
+    return new Response(errorMessage, { status: 400 });
+  }
+
+  const durationParam = url.searchParams.get('duration_minutes');
+  let lengthBudget = null;
+  if (durationParam !== null) {
+    const durationMinutes = Number(durationParam);
+    if (!durationParam || Number.isNaN(durationMinutes) || durationMinutes < DURATION_MINUTES_MIN || durationMinutes > DURATION_MINUTES_MAX) {
+      const errorMessage = `Invalid duration_minutes: ${durationParam}. Expected a number between ${DURATION_MINUTES_MIN} and ${DURATION_MINUTES_MAX}.`;
+      console.error(`[${new Date().toISOString()}] handleChat: ${errorMessage}`);
+      return new Response(errorMessage, { status: 400 });
+    }
+    lengthBudget = getLengthBudget(durationMinutes, language);
+    console.log(`[${new Date().toISOString()}] handleChat: Length budget: ${lengthBudget.amount} ${lengthBudget.unit} for ${durationMinutes} minutes`);
+  }
+
   const visualTask = url.searchParams.get('visual_task');
   console.log(`[${new Date().toISOString()}] handleChat: Visual task: ${visualTask}`);
 
   if (visualTask) {
-    const validVisualTasks = ['Micro', 'Plants', 'Animals', 'Insects', 'Daily', 'Translation'];
-    if (!validVisualTasks.includes(visualTask)) {
-      const errorMessage = `Invalid visual_task: ${visualTask}. Expected one of ${validVisualTasks.join(', ')}.`;
+    if (!VISUAL_TASKS.includes(visualTask)) {
+      const errorMessage = `Invalid visual_task: ${visualTask}. Expected one of ${VISUAL_TASKS.join(', ')}.`;
       console.error(`[${new Date().toISOString()}] handleChat: ${errorMessage}`);
       return new Response(errorMessage, { status: 400 });
     }
+    if (parentalControls?.allowed_visual_tasks && !parentalControls.allowed_visual_tasks.includes(visualTask)) {
+      return createParentalRefusal('visual_task', language);
+    }
   }
 
-  let dialogHistory;
+  let body;
   try {
-    const body = await request.json();
-    dialogHistory = body.dialogHistory;
+    body = await request.json();
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] handleChat: Error parsing request body`, error);
+    return new Response("Invalid request body. Expected JSON with a dialogHistory array or a conversation_id and message.", { status: 400 });
+  }
+
+  // Either the client sends the whole dialogHistory, or a stored conversation plus only the new user turn
+  let dialogHistory;
+  let conversationId = null;
+  let newUserMessage = null;
+  // Interactive stories keep their branch on the server, so they always run in a stored conversation
+  let storyState = null;
+  let chosenChoice = null;
+  if (queryType === 'interactive' && body.conversation_id === undefined) {
+    console.error(`[${new Date().toISOString()}] handleChat: Interactive story without a conversation`);
+    return new Response("Interactive stories need a conversation_id. Create a conversation first.", { status: 400 });
+  }
+  if (body.conversation_id !== undefined) {
+    conversationId = body.conversation_id;
+    if (typeof conversationId !== 'string') {
+      return new Response("Invalid request body. Expected a conversation_id string and a user message.", { status: 400 });
+    }
+
+    const conversation = await getConversationById(env, user.id, conversationId);
+    if (!conversation) {
+      console.error(`[${new Date().toISOString()}] handleChat: Conversation ${conversationId} not found`);
+      return new Response(JSON.stringify({ error: "Conversation not found" }), {
+        status: 404,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+
+    if (queryType === 'interactive') {
+      storyState = await getInteractiveStoryState(env, conversationId);
+      // A tapped choice stands in for the child's message
+      if (body.choice_id !== undefined && body.message === undefined) {
+        const choices = storyState?.choices || [];
+        if (!Number.isInteger(body.choice_id) || body.choice_id < 1 || body.choice_id > choices.length) {
+          console.error(`[${new Date().toISOString()}] handleChat: Invalid choice_id ${body.choice_id}`);
+          return new Response(`Invalid choice_id: ${body.choice_id}. Expected a number between 1 and ${choices.length}.`, { status: 400 });
+        }
+        chosenChoice = choices[body.choice_id - 1];
+        body.message = { role: 'user', content: chosenChoice };
+      }
+    }
 
+    newUserMessage = body.message;
+    const validationResult = isValidDialogHistory([newUserMessage]);
+    if (!validationResult.isValid || newUserMessage.role !== 'user') {
+      console.error(`[${new Date().toISOString()}] handleChat: Invalid conversation turn - ${validationResult.reason || 'expected a user message'}`);
+      return new Response("Invalid request body. Expected a conversation_id string and a user message.", { status: 400 });
+    }
+    const storedMessages = await getConversationMessages(env, conversationId);
+    dialogHistory = [...storedMessages, { role: 'user', content: newUserMessage.content }];
+    console.log(`[${new Date().toISOString()}] handleChat: Loaded conversation ${conversationId} with ${storedMessages.length} stored messages`);
+  } else {
+    dialogHistory = body.dialogHistory;
     if (!Array.isArray(dialogHistory)) {
-      throw new Error("dialogHistory must be an array");
+      console.error(`[${new Date().toISOString()}] handleChat: dialogHistory must be an array`);
+      return new Response("Invalid request body. Expected JSON with a dialogHistory array or a conversation_id and message.", { status: 400 });
     }
     console.log(`[${new Date().toISOString()}] handleChat: Received dialog history with ${dialogHistory.length} messages`);
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] handleChat: Error parsing request body`, error);
-    return new Response("Invalid request body. Expected JSON with a dialogHistory array.", { status: 400 });
   }
 
   if (dialogHistory.length === 0 || dialogHistory[dialogHistory.length - 1].role !== 'user') {
@@ -201,93 +347,643 @@ async function handleChat(request, env, openai, isVisual, email) {
     return new Response('The last message must be from the user', { status: 400 });
   }
   const lastMessage = dialogHistory[dialogHistory.length - 1];
-  const detectedThemes = detectThemes(lastMessage.content);
+  const lastMessageText = getMessageText(lastMessage.content);
+  // What this request cost, recorded once the response is complete; every LLM call adds its tokens
+  const usage = { prompt_tokens: 0, completion_tokens: 0, tts_characters: 0 };
+  const llm = createLLMRouter(env, openai, usage);
+  const themes = await getThemeCatalog(env, user_age);
+  const detectedThemes = await detectThemes(env, llm, lastMessageText, themes, `${user.id}:${lastMessageText}`, language);
+  console.log(`[${new Date().toISOString()}] handleChat: Detected themes: ${detectedThemes.map(theme => `${theme.type} (${theme.method}, ${theme.confidence.toFixed(2)})`).join(', ')}`);
+  if (findBlockedTopic(lastMessageText, blockedTopics, detectedThemes)) {
+    return createParentalRefusal('blocked_topic', language);
+  }
+
+  // Only a new story counts towards the daily limit, not the next segment of an interactive one
+  const startsStory = queryType === 'story' || (queryType === 'interactive' && !storyState);
+  const day = getLocalDate(currentLocalTime, user.timezone);
+  if (startsStory && parentalControls?.daily_story_limit != null) {
+    const storiesToday = await getDailyStoryCount(env, user.id, child?.id ?? null, day);
+    if (storiesToday >= parentalControls.daily_story_limit) {
+      return createParentalRefusal('daily_story_limit', language);
+    }
+    const result = await incrementDailyStoryCount(env, user.id, child?.id ?? null, day);
+    if (!result.success) {
+      console.error(`[${new Date().toISOString()}] handleChat: Failed to count the story of ${day}`);
+    }
+  }
   
-  const systemPrompt = generateSystemPrompt(
-    new Date().getFullYear() - user.yob,
+  // Recurring characters and places only matter to stories; a failed read just starts from nothing
+  let storyMemories = [];
+  if (queryType === 'story' || queryType === 'interactive') {
+    try {
+      storyMemories = selectRelevantStoryMemories(await listStoryMemoriesByUser(env, user.id, child?.id ?? null), lastMessageText);
+      console.log(`[${new Date().toISOString()}] handleChat: Recalled ${storyMemories.length} story memory entries`);
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] handleChat: Failed to load story memory`, error);
+    }
+  }
+
+  const systemPrompt = generateSystemPrompt({
+    userAge: user_age,
     currentLocalTime,
     isVisual,
     visualTask,
     detectedThemes,
-    queryType
-  );
+    queryType,
+    language,
+    storyMemories,
+    readingLevel,
+    lengthBudget,
+    interactivePrompt: queryType === 'interactive' ? getInteractiveStoryPrompt(storyState, chosenChoice) : '',
+    localHour,
+    child,
+    blockedTopics,
+  });
+
+  // Uploaded images are sent by id and only turned into links for the model, so they never bloat the history
+  const modelDialogHistory = await resolveImageReferences(env, user.id, dialogHistory, url.origin);
+  if (!modelDialogHistory) {
+    console.error(`[${new Date().toISOString()}] handleChat: Image reference not found`);
+    return new Response(JSON.stringify({ error: "Image not found" }), {
+      status: 404,
+      headers: { "Content-Type": "application/json" }
+    });
+  }
 
   const messages = [
     { role: 'system', content: systemPrompt },
-    ...dialogHistory
+    ...modelDialogHistory
   ];
 
+  const maxTokens = lengthBudget ? Math.min(MAX_TOKENS, Math.ceil(lengthBudget.amount * MAX_TOKENS_PER_BUDGET_UNIT)) : MAX_TOKENS;
   const openaiParams = {
     story: {
       temperature: 1.01,
-      max_tokens: 16_384,
+      max_tokens: maxTokens,
+    },
+    interactive: {
+      temperature: 1.01,
+      max_tokens: maxTokens,
     },
     qna: {
       temperature: 0.44,
-      max_tokens: 16_384,
+      max_tokens: maxTokens,
     }
   };
 
 
-  let { readable, writable } = new TransformStream();
-  const writer = writable.getWriter();
-  const encoder = new TextEncoder();
+  const chatStream = createChatStream(getStreamFormat(request));
+
+  const moderation = createModerationProvider(env, openai);
+  const recordFlagged = async (direction, text, categories) => {
+    const result = await recordModerationEvent(env, {
+      user_id: user.id,
+      conversation_id: conversationId,
+      direction,
+      categories,
+      content: text,
+      provider: moderation.name,
+    });
+    if (!result.success) {
+      console.error(`[${new Date().toISOString()}] handleChat: Failed to record ${direction} moderation event`);
+    }
+  };
 
   const streamResponse = async () => {
-    try {
-      const assistantMessage = await getOpenAIChatResponse(openai, messages, openaiParams[queryType]);
-      console.log(`[${new Date().toISOString()}] handleChat: Received response from OpenAI`, assistantMessage);
+    const assistantMessage = { role: 'assistant', content: '' };
+    dialogHistory.push(assistantMessage);
 
-      dialogHistory.push(assistantMessage);
+    // Set once a generated segment is flagged: nothing generated from then on is voiced
+    let outputFlagged = false;
+    let memoryUpdate = Promise.resolve();
+    let discoveryCard = Promise.resolve();
+    let imageTranslation = Promise.resolve();
+    // Choices offered at the end of an interactive story segment
+    let choices = [];
+
+    // Completed segments are voiced as soon as they are cut, several at once, and emitted in paragraph order
+    const ttsQueue = createOrderedTaskQueue(Number(env.TTS_CONCURRENCY) || TTS_CONCURRENCY_DEFAULT);
+    let paragraphIndex = 0;
+    // Where the next generated segment starts in the reply, so rewritten segments replace the right text
+    let contentCursor = 0;
+    // How much of the reply has been shown; text reaches the app only once it passed moderation
+    let textCursor = 0;
+    let rewrittenSegments = 0;
+    // Listening time of every voiced segment, in seconds
+    let totalDuration = 0;
+    const narrate = (text, { moderate = true } = {}) => {
+      if (!/[\p{L}\p{N}]/u.test(text)) {
+        return;
+      }
+      const index = paragraphIndex++;
+      // Paragraphs too long for one TTS request are voiced as several sub-indexed segments
+      const segments = splitTextForTTS(text, OPENAI_TTS_TEXT_LENGTH_MAX);
+      if (segments.length > 1) {
+        console.log(`[${new Date().toISOString()}] handleChat: Paragraph ${index + 1} exceeds ${OPENAI_TTS_TEXT_LENGTH_MAX} characters, split into ${segments.length} segments`);
+      }
+      // The segments that passed moderation, kept apart from the audio so they are shown even if voicing fails
+      const approved = [];
+      // At bedtime paragraphs can be separated by a stretch of silence, sent in order like any segment
+      if (bedtime && pauseSeconds > 0 && index > 0) {
+        ttsQueue.add(
+          async () => {
+            const silence = { text: '', voice: 'silence', model: 'silence', speed: pauseSeconds };
+            const { audioId, duration } = await getCachedSpeech(env, silence, async () => createSilentMp3(pauseSeconds));
+            const audioUrl = await createSignedUrl(`${url.origin}/audio/${audioId}`, getSigningSecret(env), AUDIO_URL_TTL_SECONDS);
+            return { audioUrl, duration };
+          },
+          async ({ value: pause, error }) => {
+            if (moderate && outputFlagged) {
+              return;
+            }
+            if (error) {
+              console.error(`[${new Date().toISOString()}] handleChat: Failed to create the pause before paragraph ${index + 1}`, error);
+              return;
+            }
+            totalDuration += pause.duration;
+            await chatStream.emit('pause', { beforeIndex: index, duration: pause.duration, audioUrl: pause.audioUrl });
+          }
+        );
+      }
+      segments.forEach((segmentText, segment) => ttsQueue.add(
+        async () => {
+          let text = segmentText;
+          let readability = null;
+          let rewritten = false;
+          if (moderate) {
+            if (outputFlagged) {
+              return null;
+            }
+            // Generated text that is too hard for the child is rewritten before anyone hears it
+            readability = scoreReadability(text, language);
+            if (exceedsReadingLevel(readability, readingLevel)) {
+              const simplified = await simplifyText(llm, text, readingLevel, language);
+              if (simplified) {
+                const simplifiedReadability = scoreReadability(simplified, language);
+                console.log(`[${new Date().toISOString()}] handleChat: Rewrote paragraph ${index + 1}, segment ${segment + 1} from grade ${readability.gradeLevel} to grade ${simplifiedReadability.gradeLevel}`);
+                text = simplified;
+                readability = simplifiedReadability;
+                rewritten = true;
+              }
+            }
+            const verdict = await moderateText(moderation, text);
+            if (verdict.flagged) {
+              return { flaggedCategories: verdict.categories, text };
+            }
+            if (findBlockedTopic(text, blockedTopics)) {
+              return { flaggedCategories: ['blocked_topic'], text };
+            }
+            approved[segment] = { text, rewritten };
+          }
+          console.log(`[${new Date().toISOString()}] handleChat: Generating audio for paragraph ${index + 1}, segment ${segment + 1}/${segments.length}`);
+          const speech = {
+            text,
+            voice: profile.preferred_voice,
+            ...getNarrationSettings(env, index, bedtime, { model: OPENAI_TTS_MODEL, speed: OPENAI_TTS_SPEED }),
+          };
+          const { audioId, cached, duration, provider } = await getProviderSpeech(env, openai, ttsProvider, speech, (synthesized) => {
+            usage.tts_characters += synthesized.length;
+          });
+          const audioUrl = await createSignedUrl(`${url.origin}/audio/${audioId}`, getSigningSecret(env), AUDIO_URL_TTL_SECONDS);
+          return { audioUrl, cached, duration, provider, text, readability, rewritten };
+        },
+        async ({ value: audio, error }) => {
+          if (moderate && outputFlagged) {
+            return;
+          }
+          if (audio?.flaggedCategories) {
+            outputFlagged = true;
+            await recordFlagged('output', audio.text, audio.flaggedCategories);
+            await chatStream.emit('moderation', { direction: 'output', replacementText: getChildSafeRedirect(queryType, language) });
+            return;
+          }
 
-      const paragraphs = assistantMessage.content.split('\n').filter(para => para.trim() !== '' && /[a-zA-Z0-9]/.test(para));
-        console.log(`[${new Date().toISOString()}] handleChat: Split response into ${paragraphs.length} paragraphs`);
+          if (moderate) {
+            const checked = approved[segment];
+            const at = assistantMessage.content.indexOf(segmentText, contentCursor);
+            if (at >= 0) {
+              if (checked?.rewritten) {
+                assistantMessage.content = assistantMessage.content.slice(0, at) + checked.text + assistantMessage.content.slice(at + segmentText.length);
+                rewrittenSegments++;
+              }
+              contentCursor = at + (checked?.rewritten ? checked.text : segmentText).length;
+            }
+            // Shown up to the end of this segment, with the text between segments and any rewrite
+            const shown = at >= 0 ? assistantMessage.content.slice(textCursor, contentCursor) : checked?.text;
+            textCursor = contentCursor;
+            if (checked && shown) {
+              await chatStream.emit('text', { delta: shown });
+            }
+          }
 
-      for (let i = 0; i < paragraphs.length; i++) {
-        if (paragraphs[i].length > OPENAI_TTS_TEXT_LENGTH_MAX) {
-          console.warn(`[${new Date().toISOString()}] handleChat: Paragraph ${i + 1} exceeds the maximum length of ${OPENAI_TTS_TEXT_LENGTH_MAX} characters.`);
-          continue;
+          const paragraph = {
+            index,
+            segment,
+            segmentCount: segments.length,
+            text: audio?.text ?? segmentText,
+          };
+          if (error) {
+            console.error(`[${new Date().toISOString()}] handleChat: Failed to generate audio for paragraph ${index + 1}, segment ${segment + 1}`, error);
+            await chatStream.emit('error', { ...paragraph, message: error.message, fatal: false });
+          } else {
+            totalDuration += audio.duration;
+            await chatStream.emit('audio', {
+              ...paragraph,
+              audioUrl: audio.audioUrl,
+              cached: audio.cached,
+              provider: audio.provider,
+              duration: audio.duration,
+              elapsedDuration: Math.round(totalDuration * 1000) / 1000,
+              readability: audio.readability,
+              rewritten: audio.rewritten,
+            });
+
+            console.log(`[${new Date().toISOString()}] handleChat: Streamed audio for paragraph ${index + 1}, segment ${segment + 1}/${segments.length}`);
+            console.log('Response summary:', {
+              lastMessageContent: assistantMessage.content.substring(0, 100) + '...',
+              audioSegmentsIndex: index,
+              audioSegmentsSubIndex: segment,
+              audioCached: audio.cached
+            });
+          }
+
+          if (segment === segments.length - 1) {
+            await chatStream.emit('paragraph_done', { index, segmentCount: segments.length });
+          }
         }
-        console.log(`[${new Date().toISOString()}] handleChat: Generating audio for paragraph ${i + 1}`);
-        const audioDataUri = await getOpenAIAudio(openai, paragraphs[i], user.preferred_voice);
-        
-        const chunk = {
-          dialogHistory,
-          currentParagraph: {
-            index: i,
-            text: paragraphs[i],
-            audio: audioDataUri,
+      ));
+    };
+
+    try {
+      const inputVerdict = await moderateText(moderation, lastMessageText);
+      if (inputVerdict.flagged) {
+        await recordFlagged('input', lastMessageText, inputVerdict.categories);
+        await chatStream.emit('moderation', { direction: 'input', replacementText: getChildSafeRedirect(queryType, language) });
+      } else {
+        // Photos of plants, animals and insects also get a card, identified alongside the narration
+        if (isVisual && DISCOVERY_CARD_TASKS.includes(visualTask)) {
+          discoveryCard = collectDiscoveryCard(env, llm, moderation, {
+            user, child, visualTask, language, userAge: user_age, dialogHistory, modelDialogHistory,
+          }).then(card => card && chatStream.emit('discovery_card', card));
+        }
+        // Photos of signs and books are read and translated alongside the narration
+        if (isVisual && visualTask === TRANSLATION_TASK) {
+          imageTranslation = collectImageTranslation(env, openai, llm, moderation, {
+            modelDialogHistory, language, voice: profile.preferred_voice, ttsProvider, origin: url.origin, usage,
+          }).then(translation => translation && chatStream.emit('translation', translation));
+        }
+        const segmenter = createStreamingSegmenter({
+          minLength: SUPPORTED_LANGUAGES[language].cjk ? PARAGRAPH_MIN_LENGTH_CJK : PARAGRAPH_MIN_LENGTH,
+        });
+        // Interactive replies end with a choices block, which is kept out of the text and the audio
+        const choiceSplitter = queryType === 'interactive' ? createChoiceSplitter() : null;
+        // The text is emitted segment by segment as it passes moderation, see narrate
+        const tell = (delta) => {
+          assistantMessage.content += delta;
+          segmenter.push(delta).forEach(text => narrate(text));
+        };
+        for await (const delta of llm.stream(queryType, messages, openaiParams[queryType])) {
+          if (outputFlagged) {
+            break;
+          }
+          const storyDelta = choiceSplitter ? choiceSplitter.push(delta) : delta;
+          if (storyDelta) {
+            tell(storyDelta);
+          }
+        }
+        if (!outputFlagged) {
+          if (choiceSplitter) {
+            const { text, choices: offered } = choiceSplitter.end();
+            if (text) {
+              tell(text);
+            }
+            choices = offered;
           }
+          segmenter.flush().forEach(text => narrate(text));
+        }
+        await ttsQueue.drain();
+        console.log(`[${new Date().toISOString()}] handleChat: Received response from the model`, assistantMessage);
+      }
+
+      // Flagged content is replaced by an age-appropriate redirect, in the history as well as in the audio
+      if (inputVerdict.flagged || outputFlagged) {
+        assistantMessage.content = getChildSafeRedirect(queryType, language);
+        narrate(assistantMessage.content, { moderate: false });
+      } else if (queryType === 'story' || queryType === 'interactive') {
+        // Runs alongside the remaining TTS work
+        memoryUpdate = rememberStoryMemories(env, llm, user.id, child?.id ?? null, dialogHistory);
+      }
+
+      // The branch only moves on when a segment was actually told
+      let nextStoryState = null;
+      if (queryType === 'interactive' && !inputVerdict.flagged && !outputFlagged) {
+        if (choices.length > 0) {
+          const choicesVerdict = await moderateText(moderation, choices.join('\n'));
+          if (choicesVerdict.flagged) {
+            await recordFlagged('output', choices.join('\n'), choicesVerdict.categories);
+            choices = [];
+          }
+        }
+        const step = storyState?.step || 0;
+        nextStoryState = {
+          step: step + 1,
+          choices,
+          path: step > 0
+            ? [...storyState.path, { step, choice: chosenChoice || lastMessageText.slice(0, 200) }]
+            : [],
         };
-        await writer.write(encoder.encode(JSON.stringify(chunk) + '\n'));
-        
-        console.log(`[${new Date().toISOString()}] handleChat: Streamed audio for paragraph ${i + 1}`);
-        console.log('Response summary:', {
-          dialogHistoryLength: chunk.dialogHistory.length,
-          lastMessageContent: chunk.dialogHistory[chunk.dialogHistory.length - 1].content.substring(0, 100) + '...',
-          audioSegmentsIndex: chunk.currentParagraph.index,
-          audioDataUriLength: chunk.currentParagraph.audio.length
+        const result = await saveInteractiveStoryState(env, conversationId, nextStoryState);
+        if (!result.success) {
+          console.error(`[${new Date().toISOString()}] handleChat: Failed to save interactive story state of conversation ${conversationId}`);
+        }
+      }
+
+      if (conversationId) {
+        const result = await appendConversationMessages(env, conversationId, [
+          { role: 'user', content: newUserMessage.content },
+          { role: 'assistant', content: assistantMessage.content },
+        ]);
+        if (!result.success) {
+          console.error(`[${new Date().toISOString()}] handleChat: Failed to persist turn to conversation ${conversationId}`);
+        }
+      }
+
+      await ttsQueue.drain();
+      console.log(`[${new Date().toISOString()}] handleChat: Split response into ${paragraphIndex} paragraphs`);
+      if (nextStoryState && choices.length > 0) {
+        await chatStream.emit('choices', {
+          step: nextStoryState.step,
+          choices: choices.map((text, i) => ({ id: i + 1, text })),
         });
       }
-  } catch (error) {
-      const errorChunk = {
+      await discoveryCard;
+      await imageTranslation;
+      const activity = await recordChatActivity(env, {
+        user_id: user.id,
+        child_id: child?.id,
+        day,
+        query_type: queryType,
+        new_story: startsStory,
+        visual_task: visualTask,
+        themes: detectedThemes.map(theme => theme.type),
+        message: lastMessageText.slice(0, ACTIVITY_MESSAGE_MAX_LENGTH),
+        listening_seconds: totalDuration,
+      });
+      if (!activity.success) {
+        console.error(`[${new Date().toISOString()}] handleChat: Failed to record chat activity`);
+      }
+      await chatStream.emit('done', {
         dialogHistory,
-        currentParagraph: null,
-        error: error.message
-      };
-      await writer.write(encoder.encode(JSON.stringify(errorChunk) + '\n'));
+        paragraphCount: paragraphIndex,
+        totalDuration: Math.round(totalDuration * 1000) / 1000,
+        readability: {
+          targetLevel: readingLevel,
+          score: scoreReadability(assistantMessage.content, language),
+          rewrittenSegments,
+        },
+      });
+    } catch (error) {
+      console.error(`[${new Date().toISOString()}] handleChat: Error while streaming response`, error);
+      await ttsQueue.drain().catch(() => {});
+      await chatStream.emit('error', { dialogHistory, message: error.message, displayMessage: translate('chatError', language), fatal: true });
     } finally {
-      await writer.close();
+      // Workers may stop work left over once the response has ended, so the memory update finishes first,
+      // and the usage is recorded once every call it counts has settled
+      await discoveryCard;
+      await imageTranslation;
+      await memoryUpdate;
+      const result = await recordUsage(env, { user_id: user.id, child_id: child?.id, endpoint: 'chat', ...usage });
+      if (!result.success) {
+        console.error(`[${new Date().toISOString()}] handleChat: Failed to record usage`, usage);
+      }
+      await chatStream.close();
     }
   };
   // Start the streaming process
   streamResponse();
 
-  return new Response(readable, {
-    headers: { 'Content-Type': 'application/json' }
+  return chatStream.response();
+}
+
+/**
+ * Adds the characters, pets, places and heroes of the latest story turn to the child's story memory.
+ * Failures are only logged: a forgotten character must never break the chat.
+ */
+async function rememberStoryMemories(env, llm, userId, childId, dialogHistory) {
+  try {
+    const memories = await extractStoryMemories(llm, dialogHistory);
+    const result = await recordExtractedStoryMemories(env, userId, childId, memories);
+    if (!result.success) {
+      throw result.error;
+    }
+    console.log(`[${new Date().toISOString()}] rememberStoryMemories: Recorded ${memories.length} story memory entries`);
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] rememberStoryMemories: Failed to update story memory`, error);
+  }
+}
+
+/**
+ * Identifies the latest photo as a discovery card and adds it to the child's collection book.
+ * Failures and flagged cards are only logged: the narration goes on without a card.
+ */
+async function collectDiscoveryCard(env, llm, moderation, { user, child, visualTask, language, userAge, dialogHistory, modelDialogHistory }) {
+  try {
+    const card = await generateDiscoveryCard(llm, modelDialogHistory, visualTask, language, userAge);
+    if (!card) {
+      console.log(`[${new Date().toISOString()}] collectDiscoveryCard: Nothing identified for ${visualTask}`);
+      return null;
+    }
+    const verdict = await moderateText(moderation, getDiscoveryCardText(card));
+    if (verdict.flagged) {
+      console.warn(`[${new Date().toISOString()}] collectDiscoveryCard: Card flagged by moderation: ${verdict.categories.join(', ')}`);
+      return null;
+    }
+
+    // The photo is kept with the card when it was uploaded, so the collection book can show it
+    const photo = findLatestPhotoMessage(dialogHistory, 'image_ref')?.content.find(item => item.type === 'image_ref');
+    const result = await createDiscoveryCard(env, {
+      user_id: user.id,
+      child_id: child?.id,
+      visual_task: visualTask,
+      ...card,
+      image_id: photo?.image_id,
+    });
+    if (!result.success) {
+      console.error(`[${new Date().toISOString()}] collectDiscoveryCard: Failed to save the card`);
+    }
+    return {
+      id: result.success ? result.id : null,
+      visualTask,
+      commonName: card.common_name,
+      scientificName: card.scientific_name,
+      confidence: card.confidence,
+      funFacts: card.fun_facts,
+      safetyWarnings: card.safety_warnings,
+    };
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] collectDiscoveryCard: Failed to identify the photo`, error);
+    return null;
+  }
+}
+
+/**
+ * Reads and translates the text of the latest photo, and voices every sentence in both languages.
+ * Failures and flagged text are only logged: the narration goes on without a translation.
+ */
+async function collectImageTranslation(env, openai, llm, moderation, { modelDialogHistory, language, voice, ttsProvider, origin, usage }) {
+  try {
+    const result = await translateImageText(llm, modelDialogHistory, language);
+    if (!result) {
+      console.log(`[${new Date().toISOString()}] collectImageTranslation: No readable text found`);
+      return null;
+    }
+    const verdict = await moderateText(moderation, result.sentences.flatMap(sentence => [sentence.original, sentence.translation]).join('\n'));
+    if (verdict.flagged) {
+      console.warn(`[${new Date().toISOString()}] collectImageTranslation: Text flagged by moderation: ${verdict.categories.join(', ')}`);
+      return null;
+    }
+
+    // The TTS voices are multilingual and read each language with its own pronunciation
+    const speak = async (text) => {
+      const speech = { text, voice, model: OPENAI_TTS_MODEL, speed: OPENAI_TTS_SPEED };
+      const { audioId, duration, provider } = await getProviderSpeech(env, openai, ttsProvider, speech, (synthesized) => {
+        usage.tts_characters += synthesized.length;
+      });
+      const audioUrl = await createSignedUrl(`${origin}/audio/${audioId}`, getSigningSecret(env), AUDIO_URL_TTL_SECONDS);
+      return { audioUrl, duration, provider };
+    };
+    const sentences = [];
+    const ttsQueue = createOrderedTaskQueue(Number(env.TTS_CONCURRENCY) || TTS_CONCURRENCY_DEFAULT);
+    result.sentences.forEach((sentence, index) => ttsQueue.add(
+      () => Promise.all([speak(sentence.original), speak(sentence.translation)]),
+      ({ value, error }) => {
+        if (error) {
+          console.error(`[${new Date().toISOString()}] collectImageTranslation: Failed to voice sentence ${index + 1}`, error);
+        }
+        const [original, translation] = value || [];
+        sentences.push({
+          index,
+          original: sentence.original,
+          translation: sentence.translation,
+          originalAudioUrl: original?.audioUrl ?? null,
+          originalDuration: original?.duration ?? null,
+          originalProvider: original?.provider ?? null,
+          translationAudioUrl: translation?.audioUrl ?? null,
+          translationDuration: translation?.duration ?? null,
+          translationProvider: translation?.provider ?? null,
+        });
+      }
+    ));
+    await ttsQueue.drain();
+    console.log(`[${new Date().toISOString()}] collectImageTranslation: Translated ${sentences.length} sentences from ${result.sourceLanguage} to ${language}`);
+    return { sourceLanguage: result.sourceLanguage, targetLanguage: language, sentences };
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] collectImageTranslation: Failed to translate the photo`, error);
+    return null;
+  }
+}
+
+/**
+ * Replaces the `image_ref` items of user messages with signed `image_url` items the model can fetch.
+ * Returns null if a referenced image does not exist or belongs to someone else.
+ */
+async function resolveImageReferences(env, userId, dialogHistory, origin) {
+  const resolved = [];
+  for (const message of dialogHistory) {
+    if (message.role !== 'user' || !Array.isArray(message.content) || !message.content.some(item => item.type === 'image_ref')) {
+      resolved.push(message);
+      continue;
+    }
+    const content = [];
+    for (const item of message.content) {
+      if (item.type !== 'image_ref') {
+        content.push(item);
+        continue;
+      }
+      if (!await isImageOwnedBy(env, userId, item.image_id)) {
+        return null;
+      }
+      const imageUrl = await createSignedUrl(`${origin}/images/${item.image_id}`, getSigningSecret(env), IMAGE_URL_TTL_SECONDS);
+      content.push({ type: 'image_url', image_url: { url: imageUrl } });
+    }
+    resolved.push({ ...message, content });
+  }
+  return resolved;
+}
+
+/**
+ * Refuses a request a parental control rule does not allow, with a message the app can read to the child.
+ */
+function createParentalRefusal(rule, language) {
+  console.log(`[${new Date().toISOString()}] createParentalRefusal: Request refused by parental control rule ${rule}`);
+  return new Response(JSON.stringify({
+    error: `Not allowed by parental controls: ${rule}`,
+    rule,
+    displayMessage: getParentalRefusal(rule, language),
+  }), {
+    status: 403,
+    headers: { "Content-Type": "application/json" }
   });
 }
 
+/**
+ * Turns away a user who has used up a quota, telling them which one and when it resets.
+ */
+function createQuotaExceededResponse(exceeded) {
+  console.log(`[${new Date().toISOString()}] createQuotaExceededResponse: ${exceeded.period} ${exceeded.metric} quota of ${exceeded.limit} used up`);
+  return new Response(JSON.stringify({
+    error: `${exceeded.period === 'daily' ? 'Daily' : 'Monthly'} usage quota exceeded`,
+    period: exceeded.period,
+    metric: exceeded.metric,
+    limit: exceeded.limit,
+    used: exceeded.used,
+    resets_at: exceeded.resetsAt.toISOString(),
+  }), {
+    status: 429,
+    headers: {
+      "Content-Type": "application/json",
+      "Retry-After": String(Math.max(1, Math.ceil((exceeded.resetsAt - Date.now()) / 1000))),
+    }
+  });
+}
+
+/**
+ * Turns a listening time into how much text to write: words, or characters for CJK languages.
+ */
+function getLengthBudget(minutes, language) {
+  const isCJK = SUPPORTED_LANGUAGES[language].cjk;
+  const perMinute = (isCJK ? NARRATION_CHARACTERS_PER_MINUTE_CJK : NARRATION_WORDS_PER_MINUTE) * OPENAI_TTS_SPEED;
+  return {
+    minutes,
+    unit: isCJK ? 'characters' : 'words',
+    amount: Math.round(minutes * perMinute / 10) * 10,
+  };
+}
+
+function describeReadingLevel(readingLevel) {
+  return readingLevel === 0 ? 'kindergarten' : `US grade ${readingLevel}`;
+}
+
+/**
+ * Rewrites a passage so a child at the given reading level can follow it, keeping its meaning,
+ * names and language. Returns null when the rewrite fails, so the original passage is used.
+ */
+async function simplifyText(llm, text, readingLevel, language) {
+  try {
+    const response = await llm.complete('simplify', [
+      {
+        role: 'system',
+        content: `Rewrite the passage the user sends so that a child can follow it at a ${describeReadingLevel(readingLevel)} reading level. Use short sentences and everyday words. Keep the meaning, the names, the tone and the language (${getLanguageName(language)} unless the passage is in another language). Respond with the rewritten passage only, in plain text.`
+      },
+      { role: 'user', content: text },
+    ], { temperature: 0.3, max_tokens: 4096 });
+    return response.content?.trim() || null;
+  } catch (error) {
+    console.error(`[${new Date().toISOString()}] simplifyText: Failed to rewrite passage, keeping the original`, error);
+    return null;
+  }
+}
+
 async function getOpenAIChatResponse(openai, messages, params) {
   const chatCompletion = await openai.chat.completions.create({
     model: 'gpt-4o-2024-08-06',
@@ -299,28 +995,14 @@ async function getOpenAIChatResponse(openai, messages, params) {
 }
 
 async function getOpenAIAudio(openai, text, preferred_voice) {
-  console.log(`[${new Date().toISOString()}] getOpenAIAudio: Generating audio by ${preferred_voice} of text "${text.length <= 50 ? text : text.substring(0, 50) + '...' }"`);
-  try {
-    const mp3Response = await openai.audio.speech.create({
-      model: "tts-1",
-      voice: preferred_voice,
-      input: text,
-      response_format: "mp3",
-      speed: 0.88
-    });
+  const audioBuffer = await createTTSProvider('openai', {}, openai).synthesize({ text, voice: preferred_voice, model: OPENAI_TTS_MODEL, speed: OPENAI_TTS_SPEED });
+  const audioBase64 = Buffer.from(audioBuffer).toString('base64');
 
-    const audioBuffer = await mp3Response.arrayBuffer();
-    const audioBase64 = Buffer.from(audioBuffer).toString('base64');
-    
-    // Convert to base64-encoded Data URI
-    return `data:audio/mpeg;base64,${audioBase64}`;
-  } catch (error) {
-    console.error(`[${new Date().toISOString()}] getOpenAIAudio: Error generating audio:`, error);
-    throw new Error(`OpenAI TTS: ${error.message}`);
-  }
+  // Convert to base64-encoded Data URI
+  return `data:audio/mpeg;base64,${audioBase64}`;
 }
 
-export async function handleDialogHistoryTitle(request, openai) {
+export async function handleDialogHistoryTitle(request, env, openai) {
   console.log(`[${new Date().toISOString()}] handleDialogHistoryTitle: Received request`);
 
   if (request.method !== 'POST') {
@@ -357,8 +1039,8 @@ export async function handleDialogHistoryTitle(request, openai) {
       max_tokens: 50
     };
 
-    console.log(`[${new Date().toISOString()}] handleDialogHistoryTitle: Requesting title generation from OpenAI`);
-    const response = await getOpenAIChatResponse(openai, messages, params);
+    console.log(`[${new Date().toISOString()}] handleDialogHistoryTitle: Requesting title generation`);
+    const response = await createLLMRouter(env, openai).complete('title', messages, params);
 
     const title = response.content.trim();
     console.log(`[${new Date().toISOString()}] handleDialogHistoryTitle: Generated title "${title.length <= 50 ? title : title.substring(0, 50) + '...'}"`)
@@ -410,6 +1092,10 @@ function isValidDialogHistory(dialogHistory) {
             if (!item.image_url || typeof item.image_url.url !== 'string') {
               return { isValid: false, reason: `Invalid image_url at index ${i}, item ${j}` };
             }
+          } else if (item.type === 'image_ref') {
+            if (typeof item.image_id !== 'string') {
+              return { isValid: false, reason: `Invalid image_ref at index ${i}, item ${j}` };
+            }
           } else {
             return { isValid: false, reason: `Invalid content type "${item.type}" at index ${i}, item ${j}` };
           }
@@ -426,7 +1112,12 @@ function isValidDialogHistory(dialogHistory) {
   return { isValid: true };
 }
 
-export async function handleTranscription(request, openai) {
+/**
+ * Transcribes a recording with Whisper. The language hint comes from the `language` form field or
+ * query parameter, or else from the user's preferred language; without one Whisper detects it.
+ * Like chat it needs a signed-in user, so every recording is metered and held to the parental controls.
+ */
+export const handleTranscription = withAuth(async (request, env, openai, email) => {
   if (request.method !== "POST") {
     return new Response("Please send a POST request with audio data", { status: 400 });
   }
@@ -464,13 +1155,68 @@ export async function handleTranscription(request, openai) {
 
     console.log('Created File object:', file.name, file.type, file.size);
 
+    const url = new URL(request.url);
+    const requestedLanguage = formData.get("language") || url.searchParams.get('language');
+    let language = null;
+    if (requestedLanguage) {
+      language = normalizeLanguage(requestedLanguage);
+      if (!language) {
+        return new Response(`Invalid language: ${requestedLanguage}. Expected one of ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}.`, { status: 400 });
+      }
+    }
+
+    const user = await getUserByEmail(env, email);
+    if (!user) {
+      return new Response(JSON.stringify({ error: "User not found" }), {
+        status: 404,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    const exceededQuota = await checkUsageQuota(env, user);
+    if (exceededQuota) {
+      return createQuotaExceededResponse(exceededQuota);
+    }
+    language = language || user.preferred_language || null;
+    const childParam = formData.get("child_id") || url.searchParams.get('child_id');
+    const childId = childParam ? Number(childParam) : null;
+    if (childParam && (!Number.isInteger(childId) || !(await getChildProfileById(env, user.id, childId)))) {
+      return new Response(JSON.stringify({ error: "Child profile not found" }), {
+        status: 404,
+        headers: { "Content-Type": "application/json" }
+      });
+    }
+    const parentalControls = await getEffectiveParentalControls(env, user.id, childId);
+    const currentLocalTime = url.searchParams.get('current_time');
+    const localHour = getLocalHour(currentLocalTime && !isNaN(Date.parse(currentLocalTime)) ? currentLocalTime : null, user.timezone);
+    if (isQuietHour(localHour, parentalControls)) {
+      return createParentalRefusal('quiet_hours', resolveLanguage(language));
+    }
+    console.log('Transcription language hint:', language || 'auto-detect');
+
     const transcription = await openai.audio.transcriptions.create({
       file: file,
       model: "whisper-1",
+      // verbose_json also reports the length of the audio, which is what transcription is metered by
+      response_format: "verbose_json",
+      ...(language && { language }),
     });
 
     console.log('Received transcription:', transcription.text);
 
+    const result = await recordUsage(env, {
+      user_id: user.id,
+      child_id: childId,
+      endpoint: 'transcription',
+      transcription_seconds: transcription.duration,
+    });
+    if (!result.success) {
+      console.error('Failed to record transcription usage');
+    }
+
+    if (findBlockedTopic(transcription.text, parentalControls?.blocked_topics)) {
+      return createParentalRefusal('blocked_topic', resolveLanguage(language));
+    }
+
     return new Response(JSON.stringify({ text: transcription.text }), {
       headers: { "Content-Type": "application/json" },
     });
@@ -484,41 +1230,7 @@ export async function handleTranscription(request, openai) {
     // Handle other errors
     return new Response('An unexpected error occurred', { status: 500 });
   }
-}
-
-
-async function getElevenLabsAudio(apiKey, text) {
-  console.log(`[${new Date().toISOString()}] getElevenLabsAudio: Generating audio for text ${text.substring(0, 50)}...`);
-  const elevenLabsResponse = await fetch("https://api.elevenlabs.io/v1/text-to-speech/XB0fDUnXU5powFXDhCwa", {
-    method: "POST",
-    headers: {
-      'xi-api-key': apiKey,
-      'Content-Type': 'application/json'
-    },
-    body: JSON.stringify({
-      text: text,
-      model_id: "eleven_turbo_v2_5",
-      voice_settings: {
-        stability: 0.5,
-        similarity_boost: 0.75,
-        style: 0,
-        use_speaker_boost: true,
-      }
-    })
-  });
-
-  if (!elevenLabsResponse.ok) {
-    const errorBody = await elevenLabsResponse.json();
-    console.error(`[${new Date().toISOString()}] getElevenLabsAudio: Error calling ElevenLabs API: ${elevenLabsResponse.status}, ${elevenLabsResponse.statusText}, ${errorBody.detail.status}`);
-    throw new Error(`ElevenLabs: ${elevenLabsResponse.status} - ${errorBody.detail.status}`);
-  }
-
-  const audioBuffer = await elevenLabsResponse.arrayBuffer();
-  const audioBase64 = Buffer.from(audioBuffer).toString('base64');
-  
-  // Convert to base64-encoded Data URI
-  return `data:audio/mpeg;base64,${audioBase64}`;
-}
+});
 
 
 export async function handleBedTimeStoryChatStream(request, openai) {
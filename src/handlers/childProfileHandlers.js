@@ -0,0 +1,290 @@
+/**
+ * Child Profile Handlers: the children under a parent account, so siblings get their own age,
+ * voice, interests and reading level
+ */
+
+import { withAuth } from "../middleware/authMiddleware";
+import { getUserByEmail } from "../models/userModel";
+import {
+    listChildProfilesByUser,
+    getChildProfileById,
+    createChildProfile,
+    updateChildProfile,
+    deleteChildProfile,
+} from "../models/childProfileModel";
+import { VOICE_MAPPING, VOICE_INVERTED_MAPPING, toStoredVoice } from "../common/chatVoiceConfig";
+import { MIN_READING_LEVEL, MAX_READING_LEVEL } from "../common/readability";
+
+// Validation constants
+const NAME_MAX_LENGTH = 50;
+const MAX_CHILD_AGE = 18;
+const MAX_INTERESTS = 20;
+const INTEREST_MAX_LENGTH = 50;
+const MAX_CHILDREN = 10;
+const VALID_VOICES = Object.keys(VOICE_MAPPING);
+
+/**
+ * Handler for listing (GET) and adding (POST) the child profiles of the current user.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleChildProfiles = withAuth(async (request, env, email) => {
+    if (request.method !== 'GET' && request.method !== 'POST') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, POST" }
+        });
+    }
+
+    let data;
+    if (request.method === 'POST') {
+        try {
+            data = await request.json();
+        } catch (error) {
+            return new Response(JSON.stringify({ error: "Invalid JSON Body" }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const { name, yob, voice, interests, reading_level } = data;
+        for (const [field, value] of [['name', name], ['yob', yob], ['voice', voice]]) {
+            if (value === undefined) {
+                return new Response(JSON.stringify({ error: `Missing required field: ${field}` }), {
+                    status: 422,
+                    headers: { "Content-Type": "application/json" }
+                });
+            }
+        }
+        const validationError = validateChildProfileFields({ name, yob, voice, interests, reading_level });
+        if (validationError) {
+            return new Response(JSON.stringify({ error: validationError }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const children = await listChildProfilesByUser(env, user.id);
+        if (request.method === 'GET') {
+            return new Response(JSON.stringify({ children: children.map(formatChildProfile) }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        if (children.length >= MAX_CHILDREN) {
+            return new Response(JSON.stringify({ error: `An account can have at most ${MAX_CHILDREN} child profiles` }), {
+                status: 409,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const result = await createChildProfile(env, {
+            user_id: user.id,
+            name: data.name.trim(),
+            yob: data.yob,
+            preferred_voice: toStoredVoice(data.voice),
+            interests: normalizeInterests(data.interests || []),
+            reading_level: data.reading_level,
+        });
+        if (!result.success) {
+            throw new Error('Failed to create child profile');
+        }
+
+        const child = await getChildProfileById(env, user.id, result.id);
+        return new Response(JSON.stringify({ child: formatChildProfile(child) }), {
+            status: 201,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleChildProfiles: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Handler for fetching (GET), updating (PUT) and deleting (DELETE) a child profile of the current user.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} childId
+ * @returns {Response}
+ */
+export const handleChildProfileItem = withAuth(async (request, env, childId, email) => {
+    if (!['GET', 'PUT', 'DELETE'].includes(request.method)) {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, PUT, DELETE" }
+        });
+    }
+
+    const id = Number(childId);
+    if (!Number.isInteger(id) || id < 1) {
+        return new Response(JSON.stringify({ error: "Child profile not found" }), {
+            status: 404,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    let updateData = {};
+    if (request.method === 'PUT') {
+        let data;
+        try {
+            data = await request.json();
+        } catch (error) {
+            return new Response(JSON.stringify({ error: "Invalid JSON Body" }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const { name, yob, voice, interests, reading_level } = data;
+        const validationError = validateChildProfileFields({ name, yob, voice, interests, reading_level });
+        if (validationError) {
+            return new Response(JSON.stringify({ error: validationError }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        updateData = Object.fromEntries(
+            Object.entries({
+                name: name?.trim(),
+                yob,
+                preferred_voice: voice !== undefined ? toStoredVoice(voice) : undefined,
+                interests: interests !== undefined ? normalizeInterests(interests) : undefined,
+                reading_level,
+            }).filter(([, value]) => value !== undefined)
+        );
+        if (Object.keys(updateData).length === 0) {
+            return new Response(JSON.stringify({
+                error: "No valid fields to update. Please provide at least one of: name, yob, voice, interests, reading_level"
+            }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        if (request.method === 'DELETE') {
+            const result = await deleteChildProfile(env, user.id, id);
+            if (!result.success) {
+                throw new Error('Failed to delete child profile');
+            }
+            if (!result.deleted) {
+                return new Response(JSON.stringify({ error: "Child profile not found" }), {
+                    status: 404,
+                    headers: { "Content-Type": "application/json" }
+                });
+            }
+            return new Response(JSON.stringify({ message: "Child profile deleted successfully" }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const child = await getChildProfileById(env, user.id, id);
+        if (!child) {
+            return new Response(JSON.stringify({ error: "Child profile not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        if (request.method === 'GET') {
+            return new Response(JSON.stringify({ child: formatChildProfile(child) }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const result = await updateChildProfile(env, user.id, id, updateData);
+        if (!result.success) {
+            throw new Error('Failed to update child profile');
+        }
+
+        const updatedChild = await getChildProfileById(env, user.id, id);
+        return new Response(JSON.stringify({
+            message: "Child profile updated successfully",
+            child: formatChildProfile(updatedChild),
+        }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleChildProfileItem: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Validates the optional child profile fields that are present.
+ * @returns {string|null} An error message, or null if every present field is valid.
+ */
+function validateChildProfileFields({ name, yob, voice, interests, reading_level }) {
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > NAME_MAX_LENGTH)) {
+        return `Name must be a non-empty text string of at most ${NAME_MAX_LENGTH} characters`;
+    }
+    if (yob !== undefined) {
+        const currentYear = new Date().getFullYear();
+        if (!Number.isInteger(yob) || yob < currentYear - MAX_CHILD_AGE || yob > currentYear) {
+            return `Year of birth must be a whole number between ${currentYear - MAX_CHILD_AGE} and ${currentYear}`;
+        }
+    }
+    if (voice !== undefined && !toStoredVoice(voice)) {
+        return `Voice must be one of: ${VALID_VOICES.join(', ')}, or the id of a voice listed by /voices`;
+    }
+    if (interests !== undefined) {
+        if (!Array.isArray(interests) || interests.length > MAX_INTERESTS) {
+            return `Interests must be a list of at most ${MAX_INTERESTS} items`;
+        }
+        if (interests.some(interest => typeof interest !== 'string' || !interest.trim() || interest.length > INTEREST_MAX_LENGTH)) {
+            return `Each interest must be a non-empty text string of at most ${INTEREST_MAX_LENGTH} characters`;
+        }
+    }
+    if (reading_level !== undefined && reading_level !== null &&
+        (!Number.isInteger(reading_level) || reading_level < MIN_READING_LEVEL || reading_level > MAX_READING_LEVEL)) {
+        return `Reading level must be a whole number between ${MIN_READING_LEVEL} and ${MAX_READING_LEVEL}, or null`;
+    }
+    return null;
+}
+
+function normalizeInterests(interests) {
+    return [...new Set(interests.map(interest => interest.trim()))];
+}
+
+function formatChildProfile(child) {
+    return {
+        id: child.id,
+        name: child.name,
+        yob: child.yob,
+        voice: VOICE_INVERTED_MAPPING[child.preferred_voice] || child.preferred_voice,
+        interests: child.interests,
+        reading_level: child.reading_level,
+        created_at: child.created_at,
+        updated_at: child.updated_at,
+    };
+}
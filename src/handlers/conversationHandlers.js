@@ -0,0 +1,221 @@
+/**
+ * Conversation Handlers: server-side persisted chat history
+ */
+
+import { withAuth } from "../middleware/authMiddleware";
+import { getUserByEmail } from "../models/userModel";
+import {
+    createConversation,
+    getConversationById,
+    listConversationsByUser,
+    deleteConversation,
+    getConversationMessages,
+} from "../models/conversationModel";
+
+// Validation constants
+const TITLE_MAX_LENGTH = 200;
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
+const VALID_QUERY_TYPES = ['story', 'interactive', 'qna'];
+
+/**
+ * Handler for creating (POST) and listing (GET) the conversations of the current user.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleConversations = withAuth(async (request, env, email) => {
+    if (request.method !== 'GET' && request.method !== 'POST') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, POST" }
+        });
+    }
+
+    const user = await getUserByEmail(env, email);
+    if (!user) {
+        return new Response(JSON.stringify({ error: "User not found" }), {
+            status: 404,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    return request.method === 'POST'
+        ? createUserConversation(request, env, user)
+        : listUserConversations(request, env, user);
+});
+
+/**
+ * Handler for fetching (GET) and deleting (DELETE) a single conversation of the current user.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} conversationId
+ * @returns {Response}
+ */
+export const handleConversationItem = withAuth(async (request, env, conversationId, email) => {
+    if (request.method !== 'GET' && request.method !== 'DELETE') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, DELETE" }
+        });
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        if (request.method === 'DELETE') {
+            const result = await deleteConversation(env, user.id, conversationId);
+            if (!result.success) {
+                throw new Error('Failed to delete conversation');
+            }
+            if (!result.deleted) {
+                return new Response(JSON.stringify({ error: "Conversation not found" }), {
+                    status: 404,
+                    headers: { "Content-Type": "application/json" }
+                });
+            }
+            return new Response(JSON.stringify({ message: "Conversation deleted successfully" }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const conversation = await getConversationById(env, user.id, conversationId);
+        if (!conversation) {
+            return new Response(JSON.stringify({ error: "Conversation not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        const messages = await getConversationMessages(env, conversationId);
+
+        return new Response(JSON.stringify({
+            conversation: formatConversation(conversation),
+            messages,
+        }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleConversationItem: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+async function createUserConversation(request, env, user) {
+    let data;
+    try {
+        data = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ error: "Invalid JSON Body" }), {
+            status: 400,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    const { title, query_type = 'qna', is_visual = false } = data;
+
+    if (title !== undefined && title !== null) {
+        if (typeof title !== 'string') {
+            return new Response(JSON.stringify({ error: "Title must be a text string" }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        if (title.length > TITLE_MAX_LENGTH) {
+            return new Response(JSON.stringify({ error: `Title must be at most ${TITLE_MAX_LENGTH} characters long` }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    }
+    if (!VALID_QUERY_TYPES.includes(query_type)) {
+        return new Response(JSON.stringify({ error: `Query type must be one of: ${VALID_QUERY_TYPES.join(', ')}` }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+    if (typeof is_visual !== 'boolean') {
+        return new Response(JSON.stringify({ error: "is_visual must be a boolean" }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const result = await createConversation(env, { user_id: user.id, title, query_type, is_visual });
+        if (!result.success) {
+            throw new Error('Failed to create conversation');
+        }
+
+        const conversation = await getConversationById(env, user.id, result.id);
+        return new Response(JSON.stringify({ conversation: formatConversation(conversation) }), {
+            status: 201,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] createUserConversation: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+}
+
+async function listUserConversations(request, env, user) {
+    const url = new URL(request.url);
+    const page = Number(url.searchParams.get('page') ?? 1);
+    const pageSize = Number(url.searchParams.get('page_size') ?? DEFAULT_PAGE_SIZE);
+
+    if (!Number.isInteger(page) || page < 1) {
+        return new Response(JSON.stringify({ error: "Page must be a positive whole number" }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return new Response(JSON.stringify({ error: `Page size must be between 1 and ${MAX_PAGE_SIZE}` }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const { conversations, total } = await listConversationsByUser(env, user.id, pageSize, (page - 1) * pageSize);
+        return new Response(JSON.stringify({
+            conversations: conversations.map(formatConversation),
+            page,
+            page_size: pageSize,
+            total,
+        }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] listUserConversations: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+}
+
+function formatConversation(conversation) {
+    return {
+        id: conversation.id,
+        title: conversation.title,
+        query_type: conversation.query_type,
+        is_visual: Boolean(conversation.is_visual),
+        created_at: conversation.created_at,
+        updated_at: conversation.updated_at,
+    };
+}
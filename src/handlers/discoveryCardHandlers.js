@@ -0,0 +1,156 @@
+/**
+ * Discovery Card Handlers: the collection book of plants, animals and insects each child has identified
+ */
+
+import { withAuth } from "../middleware/authMiddleware";
+import { getUserByEmail } from "../models/userModel";
+import { getChildProfileById } from "../models/childProfileModel";
+import { listDiscoveryCards, deleteDiscoveryCard } from "../models/discoveryCardModel";
+import { DISCOVERY_CARD_TASKS } from "../common/discoveryCard";
+import { createSignedUrl, getSigningSecret } from "../common/signedUrl";
+
+const LIMIT_DEFAULT = 50;
+const LIMIT_MAX = 200;
+// Lifetime of the signed photo links in a listing
+const IMAGE_URL_TTL_SECONDS = 60 * 60;
+
+/**
+ * Handler for listing discovery cards, newest first.
+ * Query parameters: `child_id`, `visual_task`, `limit` and `offset`.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleDiscoveryCards = withAuth(async (request, env, email) => {
+    if (request.method !== 'GET') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET" }
+        });
+    }
+
+    const url = new URL(request.url);
+    const childParam = url.searchParams.get('child_id');
+    const childId = childParam === null ? null : Number(childParam);
+    const visualTask = url.searchParams.get('visual_task');
+    const limit = Number(url.searchParams.get('limit') ?? LIMIT_DEFAULT);
+    const offset = Number(url.searchParams.get('offset') ?? 0);
+    let validationError = null;
+    if (childParam !== null && (!childParam || !Number.isInteger(childId) || childId < 1)) {
+        validationError = "child_id must be the id of one of your child profiles";
+    } else if (visualTask !== null && !DISCOVERY_CARD_TASKS.includes(visualTask)) {
+        validationError = `visual_task must be one of: ${DISCOVERY_CARD_TASKS.join(', ')}`;
+    } else if (!Number.isInteger(limit) || limit < 1 || limit > LIMIT_MAX) {
+        validationError = `limit must be a whole number between 1 and ${LIMIT_MAX}`;
+    } else if (!Number.isInteger(offset) || offset < 0) {
+        validationError = "offset must be a whole number of at least 0";
+    }
+    if (validationError) {
+        return new Response(JSON.stringify({ error: validationError }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        if (childId !== null && !(await getChildProfileById(env, user.id, childId))) {
+            return new Response(JSON.stringify({ error: "Child profile not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const cards = await listDiscoveryCards(env, user.id, { childId, visualTask }, limit, offset);
+        return new Response(JSON.stringify({
+            discoveries: await Promise.all(cards.map(card => formatDiscoveryCard(card, url.origin, env))),
+        }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleDiscoveryCards: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Handler for removing (DELETE) a card from the collection book.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} cardId
+ * @returns {Response}
+ */
+export const handleDiscoveryCardItem = withAuth(async (request, env, cardId, email) => {
+    if (request.method !== 'DELETE') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "DELETE" }
+        });
+    }
+
+    const id = Number(cardId);
+    if (!Number.isInteger(id) || id < 1) {
+        return new Response(JSON.stringify({ error: "Discovery card not found" }), {
+            status: 404,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const result = await deleteDiscoveryCard(env, user.id, id);
+        if (!result.success) {
+            throw new Error('Failed to delete discovery card');
+        }
+        if (!result.deleted) {
+            return new Response(JSON.stringify({ error: "Discovery card not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        return new Response(JSON.stringify({ message: "Discovery card deleted successfully" }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleDiscoveryCardItem: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+async function formatDiscoveryCard(card, origin, env) {
+    return {
+        id: card.id,
+        child_id: card.child_id,
+        visual_task: card.visual_task,
+        common_name: card.common_name,
+        scientific_name: card.scientific_name,
+        confidence: card.confidence,
+        fun_facts: card.fun_facts,
+        safety_warnings: card.safety_warnings,
+        image_url: card.image_id
+            ? await createSignedUrl(`${origin}/images/${card.image_id}`, getSigningSecret(env), IMAGE_URL_TTL_SECONDS)
+            : null,
+        created_at: card.created_at,
+    };
+}
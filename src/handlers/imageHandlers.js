@@ -0,0 +1,142 @@
+/**
+ * Image Handlers: uploads for visual chat, and the signed links the model fetches them through
+ */
+
+import { withAuth } from "../middleware/authMiddleware";
+import { getUserByEmail } from "../models/userModel";
+import { detectImageType, stripImageLocation } from "../common/imageMetadata";
+import { storeImage, getImageObject } from "../common/imageStore";
+import { verifySignedUrl, getSigningSecret } from "../common/signedUrl";
+
+// The largest image the vision model accepts is 20 MB; phone photos stay well below this
+const MAX_IMAGE_SIZE = 10 * 1024 * 1024;
+
+/**
+ * Handler for uploading an image as the `image` field of a multipart form.
+ * Responds with the `image_id` to send in visual chat as a `{"type": "image_ref", "image_id": ...}` content item.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleImageUpload = withAuth(async (request, env, email) => {
+    if (request.method !== 'POST') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "POST" }
+        });
+    }
+
+    const contentType = request.headers.get('Content-Type');
+    if (!contentType || !contentType.includes('multipart/form-data')) {
+        return new Response(JSON.stringify({ error: "Invalid Content-Type. Expected multipart/form-data" }), {
+            status: 400,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    let imageFile;
+    try {
+        imageFile = (await request.formData()).get('image');
+    } catch (error) {
+        return new Response(JSON.stringify({ error: "Invalid multipart form data" }), {
+            status: 400,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+    if (!imageFile || typeof imageFile === 'string') {
+        return new Response(JSON.stringify({ error: "No image file found in the request" }), {
+            status: 400,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+    if (imageFile.size > MAX_IMAGE_SIZE) {
+        return new Response(JSON.stringify({ error: `Image exceeds the limit of ${MAX_IMAGE_SIZE / 1024 / 1024} MB` }), {
+            status: 413,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const bytes = new Uint8Array(await imageFile.arrayBuffer());
+        const imageType = detectImageType(bytes);
+        if (!imageType) {
+            return new Response(JSON.stringify({ error: "Unsupported image type. Expected JPEG, PNG, WebP or GIF" }), {
+                status: 415,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const cleaned = stripImageLocation(bytes, imageType);
+        const imageId = await storeImage(env, user.id, cleaned, imageType);
+        return new Response(JSON.stringify({ image_id: imageId, content_type: imageType, size: cleaned.length }), {
+            status: 201,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleImageUpload: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Handler for retrieving an uploaded image. Authorized by the URL signature, not the API key,
+ * so the model provider can fetch it.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} imageId
+ * @returns {Response}
+ */
+export async function handleImageRetrieval(request, env, imageId) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        return new Response(JSON.stringify({ error: `Method ${request.method} is Not Allowed` }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, HEAD" }
+        });
+    }
+
+    const url = new URL(request.url);
+    if (!await verifySignedUrl(url, getSigningSecret(env))) {
+        console.warn(`[${new Date().toISOString()}] handleImageRetrieval: Invalid or expired signature for ${imageId}`);
+        return new Response(JSON.stringify({ error: "Invalid or expired image link" }), {
+            status: 403,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const object = await getImageObject(env, imageId);
+        if (!object) {
+            return new Response(JSON.stringify({ error: "Image not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        return new Response(request.method === 'HEAD' ? null : object.body, {
+            status: 200,
+            headers: {
+                "Content-Type": object.httpMetadata?.contentType || 'application/octet-stream',
+                "Content-Length": object.size.toString(),
+                "Cache-Control": "private, max-age=3600",
+                "ETag": object.httpEtag,
+            }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleImageRetrieval: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+}
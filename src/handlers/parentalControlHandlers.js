@@ -0,0 +1,191 @@
+/**
+ * Parental Control Handlers: the rules a parent sets for the whole account, or for one child with `?child_id=`
+ */
+
+import { withAuth } from "../middleware/authMiddleware";
+import { getUserByEmail } from "../models/userModel";
+import { getChildProfileById } from "../models/childProfileModel";
+import {
+    getParentalControls,
+    getEffectiveParentalControls,
+    saveParentalControls,
+    deleteParentalControls,
+} from "../models/parentalControlModel";
+import { VISUAL_TASKS } from "../common/visualTasks";
+
+// Validation constants
+const MAX_BLOCKED_TOPICS = 50;
+const TOPIC_MAX_LENGTH = 50;
+const MAX_DAILY_STORY_LIMIT = 100;
+
+/**
+ * Handler for reading (GET), setting (PUT) and removing (DELETE) parental controls.
+ * GET returns the controls that apply: a child without controls of their own follows the account-wide ones.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleParentalControls = withAuth(async (request, env, email) => {
+    if (!['GET', 'PUT', 'DELETE'].includes(request.method)) {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, PUT, DELETE" }
+        });
+    }
+
+    const childParam = new URL(request.url).searchParams.get('child_id');
+    const childId = childParam === null ? null : Number(childParam);
+    if (childParam !== null && (!childParam || !Number.isInteger(childId) || childId < 1)) {
+        return new Response(JSON.stringify({ error: "child_id must be the id of one of your child profiles" }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    let settings = {};
+    if (request.method === 'PUT') {
+        let data;
+        try {
+            data = await request.json();
+        } catch (error) {
+            return new Response(JSON.stringify({ error: "Invalid JSON Body" }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const { blocked_topics, allowed_visual_tasks, quiet_hours, daily_story_limit } = data;
+        const validationError = validateParentalControlFields({ blocked_topics, allowed_visual_tasks, quiet_hours, daily_story_limit });
+        if (validationError) {
+            return new Response(JSON.stringify({ error: validationError }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        if (blocked_topics !== undefined) {
+            settings.blocked_topics = [...new Set(blocked_topics.map(topic => topic.trim()))];
+        }
+        if (allowed_visual_tasks !== undefined) {
+            settings.allowed_visual_tasks = allowed_visual_tasks === null ? null : [...new Set(allowed_visual_tasks)];
+        }
+        if (quiet_hours !== undefined) {
+            settings.quiet_hours_start = quiet_hours?.start ?? null;
+            settings.quiet_hours_end = quiet_hours?.end ?? null;
+        }
+        if (daily_story_limit !== undefined) {
+            settings.daily_story_limit = daily_story_limit;
+        }
+        if (Object.keys(settings).length === 0) {
+            return new Response(JSON.stringify({
+                error: "No valid fields to update. Please provide at least one of: blocked_topics, allowed_visual_tasks, quiet_hours, daily_story_limit"
+            }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        if (childId !== null && !(await getChildProfileById(env, user.id, childId))) {
+            return new Response(JSON.stringify({ error: "Child profile not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        if (request.method === 'GET') {
+            const controls = await getEffectiveParentalControls(env, user.id, childId);
+            return new Response(JSON.stringify({ parental_controls: formatParentalControls(controls) }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        if (request.method === 'DELETE') {
+            const result = await deleteParentalControls(env, user.id, childId);
+            if (!result.success) {
+                throw new Error('Failed to delete parental controls');
+            }
+            if (!result.deleted) {
+                return new Response(JSON.stringify({ error: "Parental controls not found" }), {
+                    status: 404,
+                    headers: { "Content-Type": "application/json" }
+                });
+            }
+            return new Response(JSON.stringify({ message: "Parental controls removed successfully" }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const result = await saveParentalControls(env, user.id, childId, settings);
+        if (!result.success) {
+            throw new Error('Failed to save parental controls');
+        }
+
+        const controls = await getParentalControls(env, user.id, childId);
+        return new Response(JSON.stringify({
+            message: "Parental controls updated successfully",
+            parental_controls: formatParentalControls(controls),
+        }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleParentalControls: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Validates the optional parental control fields that are present.
+ * @returns {string|null} An error message, or null if every present field is valid.
+ */
+function validateParentalControlFields({ blocked_topics, allowed_visual_tasks, quiet_hours, daily_story_limit }) {
+    if (blocked_topics !== undefined) {
+        if (!Array.isArray(blocked_topics) || blocked_topics.length > MAX_BLOCKED_TOPICS) {
+            return `blocked_topics must be a list of at most ${MAX_BLOCKED_TOPICS} topics`;
+        }
+        if (blocked_topics.some(topic => typeof topic !== 'string' || !topic.trim() || topic.length > TOPIC_MAX_LENGTH)) {
+            return `Each blocked topic must be a non-empty text string of at most ${TOPIC_MAX_LENGTH} characters`;
+        }
+    }
+    if (allowed_visual_tasks !== undefined && allowed_visual_tasks !== null &&
+        (!Array.isArray(allowed_visual_tasks) || allowed_visual_tasks.some(task => !VISUAL_TASKS.includes(task)))) {
+        return `allowed_visual_tasks must be null or a list of: ${VISUAL_TASKS.join(', ')}`;
+    }
+    if (quiet_hours !== undefined && quiet_hours !== null) {
+        const isHour = (hour) => Number.isInteger(hour) && hour >= 0 && hour <= 23;
+        if (typeof quiet_hours !== 'object' || !isHour(quiet_hours.start) || !isHour(quiet_hours.end) || quiet_hours.start === quiet_hours.end) {
+            return "quiet_hours must be null or {start, end}: two different local hours from 0 to 23";
+        }
+    }
+    if (daily_story_limit !== undefined && daily_story_limit !== null &&
+        (!Number.isInteger(daily_story_limit) || daily_story_limit < 0 || daily_story_limit > MAX_DAILY_STORY_LIMIT)) {
+        return `daily_story_limit must be null or a whole number between 0 and ${MAX_DAILY_STORY_LIMIT}`;
+    }
+    return null;
+}
+
+function formatParentalControls(controls) {
+    return {
+        child_id: controls?.child_id ?? null,
+        blocked_topics: controls?.blocked_topics ?? [],
+        allowed_visual_tasks: controls?.allowed_visual_tasks ?? null,
+        quiet_hours: controls?.quiet_hours_start != null
+            ? { start: controls.quiet_hours_start, end: controls.quiet_hours_end }
+            : null,
+        daily_story_limit: controls?.daily_story_limit ?? null,
+        updated_at: controls?.updated_at ?? null,
+    };
+}
@@ -0,0 +1,285 @@
+/**
+ * Story Memory Handlers: lets parents review and edit the characters, pets, places and heroes
+ * POPO remembers for their child
+ */
+
+import { withAuth } from "../middleware/authMiddleware";
+import { getUserByEmail } from "../models/userModel";
+import { getChildProfileById } from "../models/childProfileModel";
+import {
+    listStoryMemoriesByUser,
+    getStoryMemoryById,
+    getStoryMemoryByName,
+    createStoryMemory,
+    updateStoryMemory,
+    deleteStoryMemory,
+} from "../models/storyMemoryModel";
+import { STORY_MEMORY_KINDS } from "../common/storyMemory";
+
+// Validation constants
+const NAME_MAX_LENGTH = 100;
+const DESCRIPTION_MAX_LENGTH = 300;
+
+/**
+ * Handler for listing (GET) and adding (POST) story memory entries of the current user.
+ * Query parameter: `child_id`, for the memory of one child profile instead of the account's own.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleStoryMemories = withAuth(async (request, env, email) => {
+    if (request.method !== 'GET' && request.method !== 'POST') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, POST" }
+        });
+    }
+
+    const childParam = new URL(request.url).searchParams.get('child_id');
+    const childId = childParam === null ? null : Number(childParam);
+    if (childParam !== null && (!childParam || !Number.isInteger(childId) || childId < 1)) {
+        return new Response(JSON.stringify({ error: "child_id must be the id of one of your child profiles" }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    let data;
+    if (request.method === 'POST') {
+        try {
+            data = await request.json();
+        } catch (error) {
+            return new Response(JSON.stringify({ error: "Invalid JSON Body" }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const { kind, name, description } = data;
+        for (const [field, value] of [['kind', kind], ['name', name]]) {
+            if (value === undefined) {
+                return new Response(JSON.stringify({ error: `Missing required field: ${field}` }), {
+                    status: 422,
+                    headers: { "Content-Type": "application/json" }
+                });
+            }
+        }
+        const validationError = validateStoryMemoryFields({ kind, name, description });
+        if (validationError) {
+            return new Response(JSON.stringify({ error: validationError }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        if (childId !== null && !(await getChildProfileById(env, user.id, childId))) {
+            return new Response(JSON.stringify({ error: "Child profile not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        if (request.method === 'GET') {
+            const memories = await listStoryMemoriesByUser(env, user.id, childId);
+            return new Response(JSON.stringify({ memories: memories.map(formatStoryMemory) }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const kind = data.kind;
+        const name = data.name.trim();
+        if (await getStoryMemoryByName(env, user.id, childId, kind, name)) {
+            return new Response(JSON.stringify({ error: `A ${kind} named ${name} is already remembered` }), {
+                status: 409,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const result = await createStoryMemory(env, {
+            user_id: user.id,
+            child_id: childId,
+            kind,
+            name,
+            description: data.description?.trim(),
+        });
+        if (!result.success) {
+            throw new Error('Failed to create story memory');
+        }
+
+        const memory = await getStoryMemoryById(env, user.id, result.id);
+        return new Response(JSON.stringify({ memory: formatStoryMemory(memory) }), {
+            status: 201,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleStoryMemories: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Handler for editing (PUT) and forgetting (DELETE) a single story memory entry of the current user.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} memoryId
+ * @returns {Response}
+ */
+export const handleStoryMemoryItem = withAuth(async (request, env, memoryId, email) => {
+    if (request.method !== 'PUT' && request.method !== 'DELETE') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "PUT, DELETE" }
+        });
+    }
+
+    const id = Number(memoryId);
+    if (!Number.isInteger(id) || id < 1) {
+        return new Response(JSON.stringify({ error: "Story memory not found" }), {
+            status: 404,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    let updateData = {};
+    if (request.method === 'PUT') {
+        let data;
+        try {
+            data = await request.json();
+        } catch (error) {
+            return new Response(JSON.stringify({ error: "Invalid JSON Body" }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const { kind, name, description } = data;
+        const validationError = validateStoryMemoryFields({ kind, name, description });
+        if (validationError) {
+            return new Response(JSON.stringify({ error: validationError }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        updateData = Object.fromEntries(
+            Object.entries({ kind, name: name?.trim(), description: description?.trim() })
+                .filter(([, value]) => value !== undefined)
+        );
+        if (Object.keys(updateData).length === 0) {
+            return new Response(JSON.stringify({
+                error: "No valid fields to update. Please provide at least one of: kind, name, description"
+            }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        if (request.method === 'DELETE') {
+            const result = await deleteStoryMemory(env, user.id, id);
+            if (!result.success) {
+                throw new Error('Failed to delete story memory');
+            }
+            if (!result.deleted) {
+                return new Response(JSON.stringify({ error: "Story memory not found" }), {
+                    status: 404,
+                    headers: { "Content-Type": "application/json" }
+                });
+            }
+            return new Response(JSON.stringify({ message: "Story memory deleted successfully" }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const memory = await getStoryMemoryById(env, user.id, id);
+        if (!memory) {
+            return new Response(JSON.stringify({ error: "Story memory not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        const kind = updateData.kind ?? memory.kind;
+        const name = updateData.name ?? memory.name;
+        const existing = await getStoryMemoryByName(env, user.id, memory.child_id, kind, name);
+        if (existing && existing.id !== id) {
+            return new Response(JSON.stringify({ error: `A ${kind} named ${name} is already remembered` }), {
+                status: 409,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const result = await updateStoryMemory(env, user.id, id, updateData);
+        if (!result.success) {
+            throw new Error('Failed to update story memory');
+        }
+
+        const updatedMemory = await getStoryMemoryById(env, user.id, id);
+        return new Response(JSON.stringify({
+            message: "Story memory updated successfully",
+            memory: formatStoryMemory(updatedMemory),
+        }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleStoryMemoryItem: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Validates the optional story memory fields that are present.
+ * @returns {string|null} An error message, or null if every present field is valid.
+ */
+function validateStoryMemoryFields({ kind, name, description }) {
+    if (kind !== undefined && !STORY_MEMORY_KINDS.includes(kind)) {
+        return `Kind must be one of: ${STORY_MEMORY_KINDS.join(', ')}`;
+    }
+    if (name !== undefined && (typeof name !== 'string' || !name.trim() || name.trim().length > NAME_MAX_LENGTH)) {
+        return `Name must be a non-empty text string of at most ${NAME_MAX_LENGTH} characters`;
+    }
+    if (description !== undefined && (typeof description !== 'string' || description.trim().length > DESCRIPTION_MAX_LENGTH)) {
+        return `Description must be a text string of at most ${DESCRIPTION_MAX_LENGTH} characters`;
+    }
+    return null;
+}
+
+function formatStoryMemory(memory) {
+    return {
+        id: memory.id,
+        child_id: memory.child_id,
+        kind: memory.kind,
+        name: memory.name,
+        description: memory.description,
+        source: memory.source,
+        mention_count: memory.mention_count,
+        last_mentioned_at: memory.last_mentioned_at,
+        created_at: memory.created_at,
+        updated_at: memory.updated_at,
+    };
+}
@@ -0,0 +1,301 @@
+/**
+ * Theme Handlers: admin-only management of the story and Q&A theme catalog
+ */
+
+import { withAdmin } from "../middleware/authMiddleware";
+import { listThemes, getThemeByKey, createTheme, updateThemeByKey } from "../models/themeModel";
+import { invalidateThemeCatalog } from "../common/themeCatalog";
+import { isSupportedLanguage } from "../common/i18n";
+
+// Validation constants
+const THEME_KEY_REGEX = /^[A-Z][A-Z0-9_]{1,31}$/;
+const KEYWORD_MAX_LENGTH = 50;
+const MAX_KEYWORDS = 100;
+const PROMPT_MAX_LENGTH = 2000;
+const MAX_AGE = 18;
+
+/**
+ * Handler for listing (GET) and creating (POST) themes.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleThemes = withAdmin(async (request, env) => {
+    if (request.method === 'GET') {
+        try {
+            const themes = await listThemes(env);
+            return new Response(JSON.stringify({ themes: themes.map(formatTheme) }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        } catch (error) {
+            console.error("Error in theme listing:", error);
+            return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+                status: 500,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    }
+
+    if (request.method !== 'POST') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, POST" }
+        });
+    }
+
+    let data;
+    try {
+        data = await request.json();
+    } catch (error) {
+        return new Response(JSON.stringify({ error: "Invalid JSON Body" }), {
+            status: 400,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    const { key, keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age } = data;
+    if (typeof key !== 'string' || !THEME_KEY_REGEX.test(key)) {
+        return new Response(JSON.stringify({
+            error: "Theme key must be 2 to 32 uppercase letters, digits or underscores, starting with a letter"
+        }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+    for (const [field, value] of [['keywords', keywords], ['story_prompt', story_prompt], ['qna_prompt', qna_prompt]]) {
+        if (value === undefined) {
+            return new Response(JSON.stringify({ error: `Missing required field: ${field}` }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    }
+    const validationError = validateThemeFields({ keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age });
+    if (validationError) {
+        return new Response(JSON.stringify({ error: validationError }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        if (await getThemeByKey(env, key)) {
+            return new Response(JSON.stringify({ error: "Theme already exists" }), {
+                status: 409,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const result = await createTheme(env, {
+            key,
+            keywords: normalizeKeywords(keywords),
+            localized_keywords: normalizeLocalizedKeywords(localized_keywords),
+            story_prompt,
+            qna_prompt,
+            enabled,
+            min_age,
+            max_age,
+        });
+        if (!result.success) {
+            throw new Error('Failed to create theme');
+        }
+        invalidateThemeCatalog();
+
+        const theme = await getThemeByKey(env, key);
+        return new Response(JSON.stringify({ theme: formatTheme(theme) }), {
+            status: 201,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error("Error in theme creation:", error);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Handler for fetching (GET), updating (PUT) and disabling (DELETE) a single theme.
+ * Themes are never deleted, only disabled, so they can be re-enabled for the next season.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {string} key
+ * @returns {Response}
+ */
+export const handleThemeItem = withAdmin(async (request, env, key) => {
+    if (!['GET', 'PUT', 'DELETE'].includes(request.method)) {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, PUT, DELETE" }
+        });
+    }
+
+    let updateData = {};
+    if (request.method === 'PUT') {
+        let data;
+        try {
+            data = await request.json();
+        } catch (error) {
+            return new Response(JSON.stringify({ error: "Invalid JSON Body" }), {
+                status: 400,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const { keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age } = data;
+        const validationError = validateThemeFields({ keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age });
+        if (validationError) {
+            return new Response(JSON.stringify({ error: validationError }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        updateData = Object.fromEntries(
+            Object.entries({ keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age })
+                .filter(([, value]) => value !== undefined)
+        );
+        if (updateData.keywords) {
+            updateData.keywords = normalizeKeywords(updateData.keywords);
+        }
+        if (updateData.localized_keywords) {
+            updateData.localized_keywords = normalizeLocalizedKeywords(updateData.localized_keywords);
+        }
+        if (Object.keys(updateData).length === 0) {
+            return new Response(JSON.stringify({
+                error: "No valid fields to update. Please provide at least one of: keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age"
+            }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+    } else if (request.method === 'DELETE') {
+        updateData = { enabled: false };
+    }
+
+    try {
+        const theme = await getThemeByKey(env, key);
+        if (!theme) {
+            return new Response(JSON.stringify({ error: "Theme not found" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        if (request.method === 'GET') {
+            return new Response(JSON.stringify({ theme: formatTheme(theme) }), {
+                status: 200,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const minAge = updateData.min_age !== undefined ? updateData.min_age : theme.min_age;
+        const maxAge = updateData.max_age !== undefined ? updateData.max_age : theme.max_age;
+        if (minAge != null && maxAge != null && minAge > maxAge) {
+            return new Response(JSON.stringify({ error: "Minimum age cannot be greater than maximum age" }), {
+                status: 422,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const result = await updateThemeByKey(env, key, updateData);
+        if (!result.success) {
+            throw new Error('Failed to update theme');
+        }
+        invalidateThemeCatalog();
+
+        const updatedTheme = await getThemeByKey(env, key);
+        return new Response(JSON.stringify({
+            message: request.method === 'DELETE' ? "Theme disabled successfully" : "Theme updated successfully",
+            theme: formatTheme(updatedTheme),
+        }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error("Error in theme update:", error);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+});
+
+/**
+ * Validates the optional theme fields that are present.
+ * @returns {string|null} An error message, or null if every present field is valid.
+ */
+function validateThemeFields({ keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age }) {
+    if (keywords !== undefined) {
+        const keywordsError = validateKeywords(keywords);
+        if (keywordsError) {
+            return keywordsError;
+        }
+    }
+    if (localized_keywords !== undefined) {
+        if (!localized_keywords || typeof localized_keywords !== 'object' || Array.isArray(localized_keywords)) {
+            return "Localized keywords must be an object of language code to a list of keywords";
+        }
+        for (const [language, languageKeywords] of Object.entries(localized_keywords)) {
+            if (!isSupportedLanguage(language)) {
+                return `Localized keywords language "${language}" is not supported`;
+            }
+            const keywordsError = validateKeywords(languageKeywords);
+            if (keywordsError) {
+                return `${keywordsError} (localized keywords for ${language})`;
+            }
+        }
+    }
+    for (const [field, prompt] of [['Story prompt', story_prompt], ['Q&A prompt', qna_prompt]]) {
+        if (prompt !== undefined && (typeof prompt !== 'string' || !prompt.trim() || prompt.length > PROMPT_MAX_LENGTH)) {
+            return `${field} must be a non-empty text string of at most ${PROMPT_MAX_LENGTH} characters`;
+        }
+    }
+    if (enabled !== undefined && typeof enabled !== 'boolean') {
+        return "Enabled must be a boolean";
+    }
+    for (const [field, age] of [['Minimum age', min_age], ['Maximum age', max_age]]) {
+        if (age !== undefined && age !== null && (!Number.isInteger(age) || age < 0 || age > MAX_AGE)) {
+            return `${field} must be a whole number between 0 and ${MAX_AGE}`;
+        }
+    }
+    if (Number.isInteger(min_age) && Number.isInteger(max_age) && min_age > max_age) {
+        return "Minimum age cannot be greater than maximum age";
+    }
+    return null;
+}
+
+function validateKeywords(keywords) {
+    if (!Array.isArray(keywords) || keywords.length === 0 || keywords.length > MAX_KEYWORDS) {
+        return `Keywords must be a list of 1 to ${MAX_KEYWORDS} words`;
+    }
+    if (keywords.some(keyword => typeof keyword !== 'string' || !keyword.trim() || keyword.length > KEYWORD_MAX_LENGTH)) {
+        return `Each keyword must be a non-empty text string of at most ${KEYWORD_MAX_LENGTH} characters`;
+    }
+    return null;
+}
+
+function normalizeKeywords(keywords) {
+    return [...new Set(keywords.map(keyword => keyword.trim().toLowerCase()))];
+}
+
+function normalizeLocalizedKeywords(localizedKeywords = {}) {
+    return Object.fromEntries(
+        Object.entries(localizedKeywords).map(([language, keywords]) => [language, normalizeKeywords(keywords)])
+    );
+}
+
+function formatTheme(theme) {
+    return {
+        key: theme.key,
+        keywords: theme.keywords,
+        localized_keywords: theme.localized_keywords,
+        story_prompt: theme.story_prompt,
+        qna_prompt: theme.qna_prompt,
+        enabled: theme.enabled,
+        min_age: theme.min_age,
+        max_age: theme.max_age,
+        created_at: theme.created_at,
+        updated_at: theme.updated_at,
+    };
+}
@@ -5,7 +5,12 @@
 import { hashPassword, verifyPassword, generateJWT, validatePasswordStrength } from "../common/auth";
 import { createUser, getUserByEmail, updateUserByEmail } from "../models/userModel";
 import { withAuth } from "../middleware/authMiddleware";
-import { VOICE_MAPPING, VOICE_INVERTED_MAPPING } from "../common/chatVoiceConfig";
+import { VOICE_MAPPING, VOICE_INVERTED_MAPPING, getCatalogVoice, toStoredVoice } from "../common/chatVoiceConfig";
+import { listModerationEventsByUser } from "../models/moderationModel";
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage } from "../common/i18n";
+import { MIN_READING_LEVEL, MAX_READING_LEVEL } from "../common/readability";
+import { isValidTimeZone } from "../common/bedtimeProfile";
+import { TTS_PROVIDERS } from "../common/ttsProvider";
 
 // Validation constants
 const USERNAME_MIN_LENGTH = 2;
@@ -14,6 +19,8 @@ const MIN_YOB = 1900;
 const MAX_STORY_COUNT = 1000;
 const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
 const VALID_VOICES = ['male', 'female'];
+const DEFAULT_PAGE_SIZE = 20;
+const MAX_PAGE_SIZE = 100;
 
 /**
  * Handler for user registration.
@@ -40,7 +47,7 @@ export async function handleUserRegistration(request, env) {
     }
 
     // Parse the request body
-    const { email, verification_code, username, plain_pw, yob, voice, story_count } = data;
+    const { email, verification_code, username, plain_pw, yob, voice, language, story_count } = data;
 
     // Verification code validation
     if (!verification_code) {
@@ -147,6 +154,16 @@ export async function handleUserRegistration(request, env) {
         });
     }
 
+    // Language validation
+    if (language !== undefined && !isSupportedLanguage(language)) {
+        return new Response(JSON.stringify({ 
+            error: `Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}` 
+        }), { 
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
     // Story count validation
     if (story_count !== undefined) {
         if (typeof story_count !== 'number') {
@@ -185,6 +202,7 @@ export async function handleUserRegistration(request, env) {
             hashed_password,
             yob,
             preferred_voice: VOICE_MAPPING[voice],
+            preferred_language: language || DEFAULT_LANGUAGE,
             cached_story_count: story_count !== undefined ? story_count : 3
         };
 
@@ -479,6 +497,10 @@ export const handleUserInfoRetrieval = withAuth(async (request, env, email) => {
             email: user.email,
             yob: user.yob,
             voice: VOICE_INVERTED_MAPPING[user.preferred_voice] || user.preferred_voice,
+            language: user.preferred_language,
+            reading_level: user.reading_level,
+            timezone: user.timezone,
+            tts_provider: user.tts_provider,
             story_count: user.cached_story_count
         };
 
@@ -520,7 +542,7 @@ export const handleUserInfoUpdate = withAuth(async (request, env, email) => {
         });
     }
 
-    const { yob, preferred_voice: voice, cached_story_count } = data;
+    const { yob, preferred_voice: voice, preferred_language: language, reading_level, timezone, tts_provider, cached_story_count } = data;
 
     // Build updateData object as we validate each field
     const updateData = {};
@@ -559,15 +581,72 @@ export const handleUserInfoUpdate = withAuth(async (request, env, email) => {
                 headers: { "Content-Type": "application/json" }
             });
         }
-        if (!VALID_VOICES.includes(voice)) {
+        const storedVoice = toStoredVoice(voice);
+        if (!storedVoice) {
+            return new Response(JSON.stringify({ 
+                error: `Voice must be one of: ${VALID_VOICES.join(', ')}, or the id of a voice listed by /voices` 
+            }), { 
+                status: 422, 
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        updateData.preferred_voice = storedVoice;
+        // A catalog voice is chosen with its provider, unless the request chooses the provider too
+        if (!VALID_VOICES.includes(voice) && tts_provider === undefined) {
+            updateData.tts_provider = getCatalogVoice(storedVoice).provider;
+        }
+    }
+
+    // Language preference validation
+    if (language !== undefined) {
+        if (!isSupportedLanguage(language)) {
+            return new Response(JSON.stringify({ 
+                error: `Language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}` 
+            }), { 
+                status: 422, 
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        updateData.preferred_language = language;
+    }
+
+    // Reading level validation; null goes back to following the year of birth
+    if (reading_level !== undefined) {
+        if (reading_level !== null && (!Number.isInteger(reading_level) || reading_level < MIN_READING_LEVEL || reading_level > MAX_READING_LEVEL)) {
+            return new Response(JSON.stringify({ 
+                error: `Reading level must be a whole number between ${MIN_READING_LEVEL} and ${MAX_READING_LEVEL}, or null` 
+            }), { 
+                status: 422, 
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        updateData.reading_level = reading_level;
+    }
+
+    // Timezone validation; the bedtime profile follows the child's own clock
+    if (timezone !== undefined) {
+        if (timezone !== null && !isValidTimeZone(timezone)) {
+            return new Response(JSON.stringify({ 
+                error: "Timezone must be an IANA timezone name such as Asia/Shanghai, or null" 
+            }), { 
+                status: 422, 
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        updateData.timezone = timezone;
+    }
+
+    // TTS provider validation; null goes back to the service default
+    if (tts_provider !== undefined) {
+        if (tts_provider !== null && !TTS_PROVIDERS.includes(tts_provider)) {
             return new Response(JSON.stringify({ 
-                error: `Voice must be one of: ${VALID_VOICES.join(', ')}` 
+                error: `TTS provider must be one of: ${TTS_PROVIDERS.join(', ')}, or null` 
             }), { 
                 status: 422, 
                 headers: { "Content-Type": "application/json" }
             });
         }
-        updateData.preferred_voice = VOICE_MAPPING[voice];
+        updateData.tts_provider = tts_provider;
     }
 
     // Story count validation
@@ -598,7 +677,7 @@ export const handleUserInfoUpdate = withAuth(async (request, env, email) => {
     // Check if there are any fields to update
     if (Object.keys(updateData).length === 0) {
         return new Response(JSON.stringify({ 
-            error: "No valid fields to update. Please provide at least one of: year of birth, voice preference, or story count" 
+            error: "No valid fields to update. Please provide at least one of: year of birth, voice preference, language preference, reading level, timezone, TTS provider, or story count" 
         }), { 
             status: 422, 
             headers: { "Content-Type": "application/json" }
@@ -618,6 +697,10 @@ export const handleUserInfoUpdate = withAuth(async (request, env, email) => {
                 username: updatedUser.username,
                 yob: updatedUser.yob,
                 voice: VOICE_INVERTED_MAPPING[updatedUser.preferred_voice] || updatedUser.preferred_voice,
+                language: updatedUser.preferred_language,
+                reading_level: updatedUser.reading_level,
+                timezone: updatedUser.timezone,
+                tts_provider: updatedUser.tts_provider,
                 story_count: updatedUser.cached_story_count
             };
             return new Response(JSON.stringify({
@@ -638,3 +721,56 @@ export const handleUserInfoUpdate = withAuth(async (request, env, email) => {
         });
     }
 });
+
+/**
+ * Handler for parents reviewing the chat content that was flagged by moderation.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export const handleModerationEventsRetrieval = withAuth(async (request, env, email) => {
+    if (request.method !== 'GET') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    const url = new URL(request.url);
+    const page = Number(url.searchParams.get('page') ?? 1);
+    const pageSize = Number(url.searchParams.get('page_size') ?? DEFAULT_PAGE_SIZE);
+    if (!Number.isInteger(page) || page < 1) {
+        return new Response(JSON.stringify({ error: "Page must be a positive whole number" }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+    if (!Number.isInteger(pageSize) || pageSize < 1 || pageSize > MAX_PAGE_SIZE) {
+        return new Response(JSON.stringify({ error: `Page size must be between 1 and ${MAX_PAGE_SIZE}` }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const user = await getUserByEmail(env, email);
+        if (!user) {
+            return new Response(JSON.stringify({ error: "User email is not registered" }), {
+                status: 404,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+
+        const { events, total } = await listModerationEventsByUser(env, user.id, pageSize, (page - 1) * pageSize);
+        return new Response(JSON.stringify({ events, page, page_size: pageSize, total }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" },
+        });
+    } catch (error) {
+        console.error("Error in moderation events retrieval:", error);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" },
+        });
+    }
+});
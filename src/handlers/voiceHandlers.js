@@ -0,0 +1,168 @@
+/**
+ * Voice Handlers: the catalog of narration voices, and the preview clips the app plays before a child picks one
+ */
+
+import { VOICE_CATALOG, getVoiceAgeGroup } from "../common/chatVoiceConfig";
+import { TTS_PROVIDERS, createTTSProvider, isTTSProviderAvailable } from "../common/ttsProvider";
+import { getCachedSpeech, getCachedSpeechObject } from "../common/ttsCache";
+import { createSignedUrl, verifySignedUrl, getSigningSecret } from "../common/signedUrl";
+import { SUPPORTED_LANGUAGES, DEFAULT_LANGUAGE, isSupportedLanguage, translate } from "../common/i18n";
+
+const GENDERS = ['female', 'male', 'neutral'];
+// Previews are spoken the way the chat narrates in the daytime
+const PREVIEW_TTS_MODEL = 'tts-1';
+const PREVIEW_TTS_SPEED = 0.88;
+// Lifetime of the signed preview links in a listing
+const PREVIEW_URL_TTL_SECONDS = 60 * 60;
+
+/**
+ * Handler for listing the voice catalog, each voice with a link to its preview in the requested language.
+ * Query parameters: `language` (default English), and the filters `gender`, `provider` and `age`.
+ * @param {Request} request
+ * @param {Object} env
+ * @returns {Response}
+ */
+export async function handleVoices(request, env) {
+    if (request.method !== 'GET') {
+        return new Response(JSON.stringify({ error: 'Method Not Allowed' }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET" }
+        });
+    }
+
+    const url = new URL(request.url);
+    const language = url.searchParams.get('language') ?? DEFAULT_LANGUAGE;
+    const gender = url.searchParams.get('gender');
+    const provider = url.searchParams.get('provider');
+    const ageParam = url.searchParams.get('age');
+    const age = ageParam === null ? null : Number(ageParam);
+    let validationError = null;
+    if (!isSupportedLanguage(language)) {
+        validationError = `language must be one of: ${Object.keys(SUPPORTED_LANGUAGES).join(', ')}`;
+    } else if (gender !== null && !GENDERS.includes(gender)) {
+        validationError = `gender must be one of: ${GENDERS.join(', ')}`;
+    } else if (provider !== null && !TTS_PROVIDERS.includes(provider)) {
+        validationError = `provider must be one of: ${TTS_PROVIDERS.join(', ')}`;
+    } else if (ageParam !== null && (!ageParam || !Number.isInteger(age) || age < 0)) {
+        validationError = "age must be a whole number of at least 0";
+    }
+    if (validationError) {
+        return new Response(JSON.stringify({ error: validationError }), {
+            status: 422,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const ageGroup = age === null ? null : getVoiceAgeGroup(age);
+        const voices = VOICE_CATALOG.filter(voice =>
+            (gender === null || voice.gender === gender)
+            && (provider === null || voice.provider === provider)
+            && (ageGroup === null || voice.ageGroups.includes(ageGroup))
+        );
+        return new Response(JSON.stringify({
+            voices: await Promise.all(voices.map(voice => formatVoice(voice, language, url.origin, env))),
+        }), {
+            status: 200,
+            headers: { "Content-Type": "application/json" }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleVoices: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+}
+
+/**
+ * Handler for a voice's preview clip, synthesized on the first request and served from the TTS cache after.
+ * Authorized by the URL signature, not the API key, so media players can fetch it.
+ * @param {Request} request
+ * @param {Object} env
+ * @param {OpenAI} openai
+ * @param {string} voiceId
+ * @param {string} language
+ * @returns {Response}
+ */
+export async function handleVoicePreview(request, env, openai, voiceId, language) {
+    if (request.method !== 'GET' && request.method !== 'HEAD') {
+        return new Response(JSON.stringify({ error: `Method ${request.method} is Not Allowed` }), {
+            status: 405,
+            headers: { "Content-Type": "application/json", "Allow": "GET, HEAD" }
+        });
+    }
+
+    const url = new URL(request.url);
+    if (!await verifySignedUrl(url, getSigningSecret(env))) {
+        console.warn(`[${new Date().toISOString()}] handleVoicePreview: Invalid or expired signature for ${voiceId}`);
+        return new Response(JSON.stringify({ error: "Invalid or expired preview link" }), {
+            status: 403,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    const voice = VOICE_CATALOG.find(entry => entry.id === voiceId);
+    if (!voice || !isSupportedLanguage(language)) {
+        return new Response(JSON.stringify({ error: "Voice preview not found" }), {
+            status: 404,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+    // A preview is never voiced by the fallback provider, as it would not be the voice the child picks
+    if (!isTTSProviderAvailable(env, voice.provider)) {
+        return new Response(JSON.stringify({ error: "Voice is not available" }), {
+            status: 503,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+
+    try {
+        const provider = createTTSProvider(voice.provider, env, openai);
+        const settings = provider.prepare({
+            text: translate('voicePreview', language),
+            voice: voice.id,
+            model: PREVIEW_TTS_MODEL,
+            speed: PREVIEW_TTS_SPEED,
+        });
+        const { audioId } = await getCachedSpeech(env, settings, () => provider.synthesize(settings));
+        const object = await getCachedSpeechObject(env, audioId);
+        if (!object) {
+            throw new Error(`Preview ${audioId} missing from the cache`);
+        }
+
+        return new Response(request.method === 'HEAD' ? null : object.body, {
+            status: 200,
+            headers: {
+                "Content-Type": object.httpMetadata?.contentType || 'audio/mpeg',
+                "Content-Length": object.size.toString(),
+                "Cache-Control": "private, max-age=86400",
+                "ETag": object.httpEtag,
+            }
+        });
+    } catch (error) {
+        console.error(`[${new Date().toISOString()}] handleVoicePreview: Error - ${error.message}`);
+        return new Response(JSON.stringify({ error: "Internal Server Error" }), {
+            status: 500,
+            headers: { "Content-Type": "application/json" }
+        });
+    }
+}
+
+async function formatVoice(voice, language, origin, env) {
+    const available = isTTSProviderAvailable(env, voice.provider);
+    return {
+        id: voice.id,
+        name: voice.name,
+        provider: voice.provider,
+        gender: voice.gender,
+        style: voice.style,
+        accent: voice.accent,
+        languages: voice.languages,
+        age_groups: voice.ageGroups,
+        available,
+        preview_url: available
+            ? await createSignedUrl(`${origin}/voices/${voice.id}/preview/${language}`, getSigningSecret(env), PREVIEW_URL_TTL_SECONDS)
+            : null,
+    };
+}
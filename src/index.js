@@ -23,6 +23,7 @@ import {
   handlePasswordReset,
   handleUserInfoRetrieval,
   handleUserInfoUpdate,
+  handleModerationEventsRetrieval,
 } from './handlers/userHandlers.js';
 
 import {
@@ -33,26 +34,87 @@ import {
   handleMobileAppGetLatestAPK,
 } from './handlers/mobileHandlers.js'
 
+import {
+  handleThemes,
+  handleThemeItem,
+} from './handlers/themeHandlers.js'
+
+import {
+  handleAudioRetrieval,
+} from './handlers/audioHandlers.js'
+
+import {
+  handleConversations,
+  handleConversationItem,
+} from './handlers/conversationHandlers.js'
+
+import {
+  handleStoryMemories,
+  handleStoryMemoryItem,
+} from './handlers/storyMemoryHandlers.js'
+
+import {
+  handleChildProfiles,
+  handleChildProfileItem,
+} from './handlers/childProfileHandlers.js'
+
+import { handleParentalControls } from './handlers/parentalControlHandlers.js'
+
+import {
+  handleImageUpload,
+  handleImageRetrieval,
+} from './handlers/imageHandlers.js'
+
+import {
+  handleDiscoveryCards,
+  handleDiscoveryCardItem,
+} from './handlers/discoveryCardHandlers.js'
+
+import {
+  handleActivitySummary,
+  handleActivityQuestions,
+} from './handlers/activityHandlers.js'
+
+import {
+  handleVoices,
+  handleVoicePreview,
+} from './handlers/voiceHandlers.js'
+
 export default {
   async fetch(request, env, ctx) {
-    const apiKey = request.headers.get('X-API-Key');
-    if (!apiKey || apiKey !== env.CF_MFW_API_KEY) {
-      return new Response("Unauthorized", { status: 401 });
-    }
+    const url = new URL(request.url);
+    const path = url.pathname;
 
     const openai = new OpenAI({
       apiKey: env.OPENAI_API_KEY,
       baseURL: env.OPENAI_BASE_URL,
     });
 
+    // Signed links are fetched by media players, which cannot send the API key
+    const signedUrlHandlers = [
+      [/^\/audio\/([^/]+)$/, (req, id) => handleAudioRetrieval(req, env, id)],
+      [/^\/images\/([^/]+)$/, (req, id) => handleImageRetrieval(req, env, id)],
+      [/^\/voices\/([^/]+)\/preview\/([^/]+)$/, (req, id, language) => handleVoicePreview(req, env, openai, id, language)],
+    ];
+    const signedUrlHandler = signedUrlHandlers.find(([pattern]) => pattern.test(path));
+    if (signedUrlHandler) {
+      const [pattern, handle] = signedUrlHandler;
+      const params = decodePathParams(path, pattern);
+      return params ? handle(request, ...params) : new Response("Bad Request", { status: 400 });
+    }
+
+    const apiKey = request.headers.get('X-API-Key');
+    if (!apiKey || apiKey !== env.CF_MFW_API_KEY) {
+      return new Response("Unauthorized", { status: 401 });
+    }
+
     const elevenlabs_sk = env.ELEVEN_API_KEY;
-    const url = new URL(request.url);
-    const path = url.pathname;
 
     const handlers = {
-      "/transcribe": (req) => handleTranscriptionVer0910(req, openai),
+      "/transcribe": (req) => handleTranscriptionVer0910(req, env, openai),
       "/textual-chat/v0910": (req) => handleTextualChatVer0910(req, env, openai),
       "/visual-chat/v0910": (req) => handleVisualChatVer0910(req, env, openai),
+      "/images": (req) => handleImageUpload(req, env),
 
       "/auth/email-verify": (req) => handleEmailVerification(req, env),
       "/auth/register": (req) => handleUserRegistration(req, env),
@@ -60,17 +122,62 @@ export default {
       "/auth/reset-password": (req) => handlePasswordReset(req, env),
       "/users/me": (req) => handleUserInfoRetrieval(req, env),
       "/users/me/updated": (req) => handleUserInfoUpdate(req, env),
+      "/users/me/moderation-events": (req) => handleModerationEventsRetrieval(req, env),
+      "/users/me/story-memory": (req) => handleStoryMemories(req, env),
+      "/users/me/children": (req) => handleChildProfiles(req, env),
+      "/users/me/parental-controls": (req) => handleParentalControls(req, env),
+      "/users/me/activity": (req) => handleActivitySummary(req, env),
+      "/users/me/activity/questions": (req) => handleActivityQuestions(req, env),
+      "/users/me/discoveries": (req) => handleDiscoveryCards(req, env),
 
       "/apks/latest": (req) => handleMobileAppGetLatestAPK(req, env),
-      "/chat/title": (req) => handleConcludeTitleViaDialogHistory(req, openai),
+      "/voices": (req) => handleVoices(req, env),
+      "/chat/title": (req) => handleConcludeTitleViaDialogHistory(req, env, openai),
+
+      "/conversations": (req) => handleConversations(req, env),
+
+      "/admin/themes": (req) => handleThemes(req, env),
     };
 
+    // Routes carrying a path parameter, e.g. /conversations/{id}
+    const patternHandlers = [
+      [/^\/conversations\/([^/]+)$/, (req, id) => handleConversationItem(req, env, id)],
+      [/^\/users\/me\/story-memory\/([^/]+)$/, (req, id) => handleStoryMemoryItem(req, env, id)],
+      [/^\/users\/me\/children\/([^/]+)$/, (req, id) => handleChildProfileItem(req, env, id)],
+      [/^\/users\/me\/discoveries\/([^/]+)$/, (req, id) => handleDiscoveryCardItem(req, env, id)],
+      [/^\/admin\/themes\/([^/]+)$/, (req, key) => handleThemeItem(req, env, key)],
+    ];
+
     const handler = handlers[path]
     if (handler) {
       return handler(request);
+    }
+
+    const patternHandler = patternHandlers.find(([pattern]) => pattern.test(path));
+    if (patternHandler) {
+      const [pattern, handle] = patternHandler;
+      const params = decodePathParams(path, pattern);
+      return params ? handle(request, ...params) : new Response("Bad Request", { status: 400 });
     } else {
       console.warn(`No handler found for path: ${path}`);
       return new Response("Not Found", { status: 404 });    
     }
   },
 };
+
+/**
+ * Returns the decoded path parameters captured by a route pattern.
+ * @param {string} path
+ * @param {RegExp} pattern
+ * @returns {string[]|null} The parameters, or null if one is not valid percent-encoding.
+ */
+function decodePathParams(path, pattern) {
+  try {
+    return path.match(pattern).slice(1).map(decodeURIComponent);
+  } catch (error) {
+    if (error instanceof URIError) {
+      return null;
+    }
+    throw error;
+  }
+}
@@ -1,4 +1,5 @@
 import { verifyJWT } from "../common/auth";
+import { getUserByEmail } from "../models/userModel";
 
 export class AuthError extends Error {
     constructor(message, status) {
@@ -50,4 +51,21 @@ export function withAuth(handler) {
             });
         }
     };
-}
\ No newline at end of file
+}
+
+/**
+ * Like withAuth, but only lets users with the admin role through.
+ */
+export function withAdmin(handler) {
+    return withAuth(async (request, env, ...args) => {
+        const email = args[args.length - 1];
+        const user = await getUserByEmail(env, email);
+        if (!user || user.role !== 'admin') {
+            return new Response(JSON.stringify({ error: "Admin privileges required" }), {
+                status: 403,
+                headers: { "Content-Type": "application/json" }
+            });
+        }
+        return handler(request, env, ...args);
+    });
+}
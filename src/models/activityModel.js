@@ -0,0 +1,100 @@
+/**
+ * Chat activity: one row per chat request, so parents can see what their children have been doing.
+ */
+
+/**
+ * Records a finished chat request.
+ * @param {Object} env - The environment variables.
+ * @param {Object} activity - The activity data to insert.
+ * @returns {Promise<Object>} - Result of the database insertion.
+ */
+export async function recordChatActivity(env, activity) {
+    try {
+        const { user_id, child_id, day, query_type, new_story, visual_task, themes, message, listening_seconds } = activity;
+
+        const query = `
+            INSERT INTO chat_activity (user_id, child_id, day, query_type, new_story, visual_task, themes, message, listening_seconds)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(user_id, child_id ?? null, day, query_type, new_story ? 1 : 0, visual_task || null, JSON.stringify(themes || []), message, listening_seconds || 0)
+            .run();
+
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Adds up a user's chat activity between two local dates, both included.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {{from: string, to: string, childId: number|null}} filter - Dates as YYYY-MM-DD; a null childId covers every child and the account.
+ * @param {number} topThemeCount - How many of the most frequent themes to return.
+ * @returns {Promise<Object>} - Totals, stories per day, top themes and visual task counts.
+ */
+export async function getActivitySummary(env, userId, { from, to, childId }, topThemeCount) {
+    const where = `user_id = ?1 AND day BETWEEN ?2 AND ?3 AND (?4 IS NULL OR child_id = ?4)`;
+    const bind = (statement) => statement.bind(userId, from, to, childId ?? null);
+
+    const [totals, storiesPerDay, topThemes, visualTasks] = await env.DB.batch([
+        bind(env.DB.prepare(`
+            SELECT
+                COUNT(*) AS chats,
+                SUM(new_story) AS stories,
+                SUM(CASE WHEN query_type = 'qna' THEN 1 ELSE 0 END) AS questions,
+                SUM(listening_seconds) AS listening_seconds
+            FROM chat_activity WHERE ${where}
+        `)),
+        bind(env.DB.prepare(`
+            SELECT day, COUNT(*) AS stories FROM chat_activity
+            WHERE ${where} AND new_story = 1
+            GROUP BY day ORDER BY day ASC
+        `)),
+        env.DB.prepare(`
+            SELECT theme.value AS theme, COUNT(*) AS count
+            FROM chat_activity, json_each(chat_activity.themes) AS theme
+            WHERE ${where}
+            GROUP BY theme.value ORDER BY count DESC, theme ASC LIMIT ?5
+        `).bind(userId, from, to, childId ?? null, topThemeCount),
+        bind(env.DB.prepare(`
+            SELECT visual_task, COUNT(*) AS count FROM chat_activity
+            WHERE ${where} AND visual_task IS NOT NULL
+            GROUP BY visual_task ORDER BY count DESC, visual_task ASC
+        `)),
+    ]);
+
+    const total = totals.results[0] || {};
+    return {
+        chats: total.chats || 0,
+        stories: total.stories || 0,
+        questions: total.questions || 0,
+        listening_seconds: total.listening_seconds || 0,
+        stories_per_day: storiesPerDay.results,
+        top_themes: topThemes.results,
+        visual_tasks: visualTasks.results,
+    };
+}
+
+/**
+ * Lists the questions a child asked between two local dates, newest first.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {{from: string, to: string, childId: number|null}} filter - As for getActivitySummary.
+ * @param {number} limit - The number of questions to return.
+ * @returns {Promise<Object[]>} - Question rows.
+ */
+export async function listAskedQuestions(env, userId, { from, to, childId }, limit) {
+    const { results } = await env.DB.prepare(`
+            SELECT child_id, day, message, visual_task, created_at FROM chat_activity
+            WHERE user_id = ?1 AND day BETWEEN ?2 AND ?3 AND (?4 IS NULL OR child_id = ?4) AND query_type = 'qna'
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?5
+        `)
+        .bind(userId, from, to, childId ?? null, limit)
+        .all();
+    return results;
+}
@@ -0,0 +1,111 @@
+/**
+ * Child profiles: the children of a parent account, each with their own age, voice, interests and reading level.
+ */
+
+/**
+ * Lists the child profiles of the given user, oldest profile first.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @returns {Promise<Object[]>} - Child profile rows with `interests` parsed.
+ */
+export async function listChildProfilesByUser(env, userId) {
+    const { results } = await env.DB.prepare("SELECT * FROM child_profile WHERE user_id = ? ORDER BY id ASC")
+        .bind(userId)
+        .all();
+    return results.map(parseChildProfile);
+}
+
+/**
+ * Retrieves a child profile by id, only if it belongs to the given user.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number} childId - The child profile id.
+ * @returns {Promise<Object|null>} - The child profile row with `interests` parsed, otherwise null.
+ */
+export async function getChildProfileById(env, userId, childId) {
+    const row = await env.DB.prepare("SELECT * FROM child_profile WHERE id = ? AND user_id = ?")
+        .bind(childId, userId)
+        .first();
+    return row ? parseChildProfile(row) : null;
+}
+
+/**
+ * Inserts a new child profile.
+ * @param {Object} env - The environment variables.
+ * @param {Object} profile - The child profile data to insert.
+ * @returns {Promise<Object>} - Result of the database insertion, with the new id.
+ */
+export async function createChildProfile(env, profile) {
+    try {
+        const { user_id, name, yob, preferred_voice, interests, reading_level } = profile;
+
+        const query = `
+            INSERT INTO child_profile (user_id, name, yob, preferred_voice, interests, reading_level)
+            VALUES (?, ?, ?, ?, ?, ?);
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(user_id, name, yob, preferred_voice, JSON.stringify(interests || []), reading_level ?? null)
+            .run();
+
+        return { success: true, id: result.meta.last_row_id, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Updates the given fields of a child profile.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number} childId - The child profile id.
+ * @param {Object} updateData - Column values to set.
+ * @returns {Promise<Object>} - Result of the database update.
+ */
+export async function updateChildProfile(env, userId, childId, updateData) {
+    try {
+        const columns = { ...updateData };
+        if (columns.interests !== undefined) {
+            columns.interests = JSON.stringify(columns.interests);
+        }
+
+        const updateFields = Object.keys(columns).map(column => `${column} = ?`).join(", ");
+        const updateValues = Object.values(columns);
+
+        const query = `UPDATE child_profile SET ${updateFields}, updated_at = CURRENT_TIMESTAMP WHERE id = ? AND user_id = ?`;
+        updateValues.push(childId, userId);
+
+        const result = await env.DB.prepare(query).bind(...updateValues).run();
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database update error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Deletes a child profile, only if it belongs to the given user.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number} childId - The child profile id.
+ * @returns {Promise<Object>} - Result of the deletion; `deleted` is false if nothing matched.
+ */
+export async function deleteChildProfile(env, userId, childId) {
+    try {
+        const result = await env.DB.prepare("DELETE FROM child_profile WHERE id = ? AND user_id = ?")
+            .bind(childId, userId)
+            .run();
+        return { success: true, deleted: result.meta.changes > 0 };
+    } catch (error) {
+        console.error("Database deletion error:", error);
+        return { success: false, error };
+    }
+}
+
+function parseChildProfile(row) {
+    return {
+        ...row,
+        interests: JSON.parse(row.interests),
+    };
+}
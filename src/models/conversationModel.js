@@ -0,0 +1,140 @@
+/**
+ * Conversation persistence: conversations and their messages, owned by a user account.
+ */
+
+/**
+ * Inserts a new conversation for the given user.
+ * @param {Object} env - The environment variables.
+ * @param {Object} conversation - The conversation data to insert.
+ * @returns {Promise<Object>} - Result of the database insertion, with the new conversation id.
+ */
+export async function createConversation(env, conversation) {
+    try {
+        const { user_id, title, query_type, is_visual } = conversation;
+        const id = crypto.randomUUID();
+
+        const query = `
+            INSERT INTO conversation (id, user_id, title, query_type, is_visual)
+            VALUES (?, ?, ?, ?, ?);
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(id, user_id, title ?? null, query_type, is_visual ? 1 : 0)
+            .run();
+
+        return { success: true, id, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Retrieves a conversation by id, only if it belongs to the given user.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<Object|null>} - The conversation row if found, otherwise null.
+ */
+export async function getConversationById(env, userId, conversationId) {
+    return await env.DB.prepare("SELECT * FROM conversation WHERE id = ? AND user_id = ?")
+        .bind(conversationId, userId)
+        .first();
+}
+
+/**
+ * Lists a page of conversations of the given user, most recently updated first.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {number} limit - Maximum number of conversations to return.
+ * @param {number} offset - Number of conversations to skip.
+ * @returns {Promise<{conversations: Object[], total: number}>}
+ */
+export async function listConversationsByUser(env, userId, limit, offset) {
+    const [page, count] = await env.DB.batch([
+        env.DB.prepare(`
+            SELECT id, title, query_type, is_visual, created_at, updated_at
+            FROM conversation
+            WHERE user_id = ?
+            ORDER BY updated_at DESC, created_at DESC
+            LIMIT ? OFFSET ?
+        `).bind(userId, limit, offset),
+        env.DB.prepare("SELECT COUNT(*) AS total FROM conversation WHERE user_id = ?").bind(userId),
+    ]);
+
+    return {
+        conversations: page.results,
+        total: count.results[0].total,
+    };
+}
+
+/**
+ * Deletes a conversation with its messages and interactive story state, only if it belongs to the given user.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<Object>} - Result of the deletion; `deleted` is false if nothing matched.
+ */
+export async function deleteConversation(env, userId, conversationId) {
+    try {
+        const [, , result] = await env.DB.batch([
+            env.DB.prepare(`
+                DELETE FROM conversation_message
+                WHERE conversation_id IN (SELECT id FROM conversation WHERE id = ? AND user_id = ?)
+            `).bind(conversationId, userId),
+            env.DB.prepare(`
+                DELETE FROM interactive_story
+                WHERE conversation_id IN (SELECT id FROM conversation WHERE id = ? AND user_id = ?)
+            `).bind(conversationId, userId),
+            env.DB.prepare("DELETE FROM conversation WHERE id = ? AND user_id = ?")
+                .bind(conversationId, userId),
+        ]);
+
+        return { success: true, deleted: result.meta.changes > 0 };
+    } catch (error) {
+        console.error("Database deletion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Retrieves all messages of a conversation in chronological order, in the dialogHistory shape.
+ * @param {Object} env - The environment variables.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<Array<{role: string, content: string|Object[]}>>}
+ */
+export async function getConversationMessages(env, conversationId) {
+    const { results } = await env.DB.prepare(`
+        SELECT role, content FROM conversation_message
+        WHERE conversation_id = ?
+        ORDER BY id ASC
+    `).bind(conversationId).all();
+
+    return results.map(row => ({ role: row.role, content: JSON.parse(row.content) }));
+}
+
+/**
+ * Appends messages to a conversation and bumps its updated_at.
+ * @param {Object} env - The environment variables.
+ * @param {string} conversationId - The conversation id.
+ * @param {Array<{role: string, content: string|Object[]}>} messages - Messages to append, in order.
+ * @returns {Promise<Object>} - Result of the database insertion.
+ */
+export async function appendConversationMessages(env, conversationId, messages) {
+    try {
+        const statements = messages.map(message =>
+            env.DB.prepare("INSERT INTO conversation_message (conversation_id, role, content) VALUES (?, ?, ?)")
+                .bind(conversationId, message.role, JSON.stringify(message.content))
+        );
+        statements.push(
+            env.DB.prepare("UPDATE conversation SET updated_at = CURRENT_TIMESTAMP WHERE id = ?")
+                .bind(conversationId)
+        );
+
+        const result = await env.DB.batch(statements);
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
@@ -0,0 +1,77 @@
+/**
+ * Discovery cards: the plants, animals and insects a child has identified, their collection book.
+ */
+
+/**
+ * Adds a card to a child's collection.
+ * @param {Object} env - The environment variables.
+ * @param {Object} card - The card data to insert.
+ * @returns {Promise<Object>} - Result of the database insertion, with the new id.
+ */
+export async function createDiscoveryCard(env, card) {
+    try {
+        const { user_id, child_id, visual_task, common_name, scientific_name, confidence, fun_facts, safety_warnings, image_id } = card;
+
+        const query = `
+            INSERT INTO discovery_card (user_id, child_id, visual_task, common_name, scientific_name, confidence, fun_facts, safety_warnings, image_id)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?);
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(user_id, child_id ?? null, visual_task, common_name, scientific_name ?? null, confidence, JSON.stringify(fun_facts), JSON.stringify(safety_warnings), image_id ?? null)
+            .run();
+
+        return { success: true, id: result.meta.last_row_id, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Lists a user's cards, newest first.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {{childId: number|null, visualTask: string|null}} filter - Null values do not filter.
+ * @param {number} limit - The number of cards to return.
+ * @param {number} offset - The number of cards to skip.
+ * @returns {Promise<Object[]>} - Card rows with their JSON columns parsed.
+ */
+export async function listDiscoveryCards(env, userId, { childId, visualTask }, limit, offset) {
+    const { results } = await env.DB.prepare(`
+            SELECT * FROM discovery_card
+            WHERE user_id = ?1 AND (?2 IS NULL OR child_id = ?2) AND (?3 IS NULL OR visual_task = ?3)
+            ORDER BY created_at DESC, id DESC
+            LIMIT ?4 OFFSET ?5
+        `)
+        .bind(userId, childId ?? null, visualTask ?? null, limit, offset)
+        .all();
+    return results.map(parseDiscoveryCard);
+}
+
+/**
+ * Removes a card from a collection, only if it belongs to the given user.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number} cardId - The card id.
+ * @returns {Promise<Object>} - Result of the deletion; `deleted` is false if nothing matched.
+ */
+export async function deleteDiscoveryCard(env, userId, cardId) {
+    try {
+        const result = await env.DB.prepare("DELETE FROM discovery_card WHERE id = ? AND user_id = ?")
+            .bind(cardId, userId)
+            .run();
+        return { success: true, deleted: result.meta.changes > 0 };
+    } catch (error) {
+        console.error("Database deletion error:", error);
+        return { success: false, error };
+    }
+}
+
+function parseDiscoveryCard(row) {
+    return {
+        ...row,
+        fun_facts: JSON.parse(row.fun_facts),
+        safety_warnings: JSON.parse(row.safety_warnings),
+    };
+}
@@ -0,0 +1,51 @@
+/**
+ * Interactive story state: where a choose-your-own-adventure conversation stands on its branch.
+ */
+
+/**
+ * Retrieves the branch state of a conversation.
+ * @param {Object} env - The environment variables.
+ * @param {string} conversationId - The conversation id.
+ * @returns {Promise<{step: number, choices: string[], path: Array<{step: number, choice: string}>}|null>}
+ *          The state with `choices` and `path` parsed, or null before the first segment.
+ */
+export async function getInteractiveStoryState(env, conversationId) {
+    const row = await env.DB.prepare("SELECT * FROM interactive_story WHERE conversation_id = ?")
+        .bind(conversationId)
+        .first();
+    return row
+        ? { ...row, choices: JSON.parse(row.choices), path: JSON.parse(row.path) }
+        : null;
+}
+
+/**
+ * Stores the branch state of a conversation after a segment has been told.
+ * @param {Object} env - The environment variables.
+ * @param {string} conversationId - The conversation id.
+ * @param {{step: number, choices: string[], path: Array<{step: number, choice: string}>}} state
+ * @returns {Promise<Object>} - Result of the database upsert.
+ */
+export async function saveInteractiveStoryState(env, conversationId, state) {
+    try {
+        const { step, choices, path } = state;
+
+        const query = `
+            INSERT INTO interactive_story (conversation_id, step, choices, path)
+            VALUES (?, ?, ?, ?)
+            ON CONFLICT (conversation_id) DO UPDATE SET
+                step = excluded.step,
+                choices = excluded.choices,
+                path = excluded.path,
+                updated_at = CURRENT_TIMESTAMP
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(conversationId, step, JSON.stringify(choices), JSON.stringify(path))
+            .run();
+
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database upsert error:", error);
+        return { success: false, error };
+    }
+}
@@ -0,0 +1,65 @@
+/**
+ * Moderation events: flagged chat input or output, kept for parental review.
+ */
+
+// Only an excerpt of flagged text is stored
+const CONTENT_EXCERPT_MAX_LENGTH = 500;
+
+/**
+ * Records a moderation event.
+ * @param {Object} env - The environment variables.
+ * @param {Object} event - The event data to insert.
+ * @returns {Promise<Object>} - Result of the database insertion.
+ */
+export async function recordModerationEvent(env, event) {
+    try {
+        const { user_id, conversation_id, direction, categories, content, provider } = event;
+
+        const query = `
+            INSERT INTO moderation_event (user_id, conversation_id, direction, categories, content, provider)
+            VALUES (?, ?, ?, ?, ?, ?);
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(
+                user_id,
+                conversation_id ?? null,
+                direction,
+                JSON.stringify(categories),
+                content.substring(0, CONTENT_EXCERPT_MAX_LENGTH),
+                provider
+            )
+            .run();
+
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Lists a page of moderation events of the given user, newest first.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the user account.
+ * @param {number} limit - Maximum number of events to return.
+ * @param {number} offset - Number of events to skip.
+ * @returns {Promise<{events: Object[], total: number}>}
+ */
+export async function listModerationEventsByUser(env, userId, limit, offset) {
+    const [page, count] = await env.DB.batch([
+        env.DB.prepare(`
+            SELECT id, conversation_id, direction, categories, content, provider, created_at
+            FROM moderation_event
+            WHERE user_id = ?
+            ORDER BY created_at DESC, id DESC
+            LIMIT ? OFFSET ?
+        `).bind(userId, limit, offset),
+        env.DB.prepare("SELECT COUNT(*) AS total FROM moderation_event WHERE user_id = ?").bind(userId),
+    ]);
+
+    return {
+        events: page.results.map(row => ({ ...row, categories: JSON.parse(row.categories) })),
+        total: count.results[0].total,
+    };
+}
@@ -0,0 +1,144 @@
+/**
+ * Parental controls: the rules a parent sets for the whole account or for one child, and the
+ * per-day story counts the daily limit is checked against.
+ */
+
+/**
+ * Retrieves the parental controls stored for exactly one scope.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number|null} childId - The child profile id, or null for the account-wide controls.
+ * @returns {Promise<Object|null>} - The controls with their JSON columns parsed, otherwise null.
+ */
+export async function getParentalControls(env, userId, childId = null) {
+    const row = await env.DB.prepare("SELECT * FROM parental_control WHERE user_id = ? AND IFNULL(child_id, 0) = ?")
+        .bind(userId, childId ?? 0)
+        .first();
+    return row ? parseParentalControls(row) : null;
+}
+
+/**
+ * Retrieves the parental controls that apply to a chat: the child's own, else the account-wide ones.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number|null} childId - The child profile id, or null when the account itself is chatting.
+ * @returns {Promise<Object|null>} - The controls with their JSON columns parsed, or null if none are set.
+ */
+export async function getEffectiveParentalControls(env, userId, childId = null) {
+    const row = await env.DB.prepare(`
+            SELECT * FROM parental_control
+            WHERE user_id = ? AND (child_id IS NULL OR child_id = ?)
+            ORDER BY child_id IS NULL
+            LIMIT 1
+        `)
+        .bind(userId, childId ?? 0)
+        .first();
+    return row ? parseParentalControls(row) : null;
+}
+
+/**
+ * Creates or updates the parental controls of one scope. Columns left out keep their stored value,
+ * or their default when the scope has no controls yet.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number|null} childId - The child profile id, or null for the account-wide controls.
+ * @param {Object} settings - Column values to set.
+ * @returns {Promise<Object>} - Result of the database write.
+ */
+export async function saveParentalControls(env, userId, childId, settings) {
+    try {
+        const columns = { ...settings };
+        for (const column of ['blocked_topics', 'allowed_visual_tasks']) {
+            if (columns[column] !== undefined && columns[column] !== null) {
+                columns[column] = JSON.stringify(columns[column]);
+            }
+        }
+
+        const existing = await getParentalControls(env, userId, childId);
+        let result;
+        if (existing) {
+            const updateFields = Object.keys(columns).map(column => `${column} = ?`).join(", ");
+            result = await env.DB.prepare(`UPDATE parental_control SET ${updateFields}, updated_at = CURRENT_TIMESTAMP WHERE id = ?`)
+                .bind(...Object.values(columns), existing.id)
+                .run();
+        } else {
+            const insertColumns = ['user_id', 'child_id', ...Object.keys(columns)];
+            result = await env.DB.prepare(`INSERT INTO parental_control (${insertColumns.join(", ")}) VALUES (${insertColumns.map(() => '?').join(", ")})`)
+                .bind(userId, childId, ...Object.values(columns))
+                .run();
+        }
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database write error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Removes the parental controls of one scope; a child then follows the account-wide controls again.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number|null} childId - The child profile id, or null for the account-wide controls.
+ * @returns {Promise<Object>} - Result of the deletion; `deleted` is false if nothing was stored.
+ */
+export async function deleteParentalControls(env, userId, childId) {
+    try {
+        const result = await env.DB.prepare("DELETE FROM parental_control WHERE user_id = ? AND IFNULL(child_id, 0) = ?")
+            .bind(userId, childId ?? 0)
+            .run();
+        return { success: true, deleted: result.meta.changes > 0 };
+    } catch (error) {
+        console.error("Database deletion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Returns how many stories were started on a day.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number|null} childId - The child profile id, or null for the account itself.
+ * @param {string} day - Local date, YYYY-MM-DD.
+ * @returns {Promise<number>}
+ */
+export async function getDailyStoryCount(env, userId, childId, day) {
+    const row = await env.DB.prepare("SELECT count FROM daily_story_count WHERE user_id = ? AND child_id = ? AND day = ?")
+        .bind(userId, childId ?? 0, day)
+        .first();
+    return row ? row.count : 0;
+}
+
+/**
+ * Counts one more story started on a day.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the parent user account.
+ * @param {number|null} childId - The child profile id, or null for the account itself.
+ * @param {string} day - Local date, YYYY-MM-DD.
+ * @returns {Promise<Object>} - Result of the database upsert.
+ */
+export async function incrementDailyStoryCount(env, userId, childId, day) {
+    try {
+        const query = `
+            INSERT INTO daily_story_count (user_id, child_id, day, count)
+            VALUES (?, ?, ?, 1)
+            ON CONFLICT (user_id, child_id, day) DO UPDATE SET count = count + 1
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(userId, childId ?? 0, day)
+            .run();
+
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database upsert error:", error);
+        return { success: false, error };
+    }
+}
+
+function parseParentalControls(row) {
+    return {
+        ...row,
+        blocked_topics: JSON.parse(row.blocked_topics),
+        allowed_visual_tasks: row.allowed_visual_tasks === null ? null : JSON.parse(row.allowed_visual_tasks),
+    };
+}
@@ -0,0 +1,153 @@
+/**
+ * Story memory: the recurring characters, pets, places and favourite heroes of a child's stories.
+ */
+
+/**
+ * Lists the story memory of the given user, or of one of their children, most recently mentioned first.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {number|null} [childId] - The child profile id, or null for the memory of the account itself.
+ * @returns {Promise<Object[]>}
+ */
+export async function listStoryMemoriesByUser(env, userId, childId = null) {
+    const { results } = await env.DB.prepare(`
+        SELECT * FROM story_memory
+        WHERE user_id = ? AND IFNULL(child_id, 0) = ?
+        ORDER BY last_mentioned_at DESC, id DESC
+    `).bind(userId, childId ?? 0).all();
+    return results;
+}
+
+/**
+ * Retrieves a story memory entry by id, only if it belongs to the given user.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {number} id - The story memory id.
+ * @returns {Promise<Object|null>} - The story memory row if found, otherwise null.
+ */
+export async function getStoryMemoryById(env, userId, id) {
+    return await env.DB.prepare("SELECT * FROM story_memory WHERE id = ? AND user_id = ?")
+        .bind(id, userId)
+        .first();
+}
+
+/**
+ * Retrieves a story memory entry of the account or of one child by its kind and name, compared case-insensitively.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {number|null} childId - The child profile id, or null for the account itself.
+ * @param {string} kind - character, pet, place or hero.
+ * @param {string} name - The name of the character, pet, place or hero.
+ * @returns {Promise<Object|null>} - The story memory row if found, otherwise null.
+ */
+export async function getStoryMemoryByName(env, userId, childId, kind, name) {
+    return await env.DB.prepare("SELECT * FROM story_memory WHERE user_id = ? AND IFNULL(child_id, 0) = ? AND kind = ? AND name = ?")
+        .bind(userId, childId ?? 0, kind, name)
+        .first();
+}
+
+/**
+ * Inserts a story memory entry written by a parent.
+ * @param {Object} env - The environment variables.
+ * @param {Object} memory - The story memory data to insert.
+ * @returns {Promise<Object>} - Result of the database insertion, with the new id.
+ */
+export async function createStoryMemory(env, memory) {
+    try {
+        const { user_id, child_id, kind, name, description } = memory;
+
+        const query = `
+            INSERT INTO story_memory (user_id, child_id, kind, name, description, source)
+            VALUES (?, ?, ?, ?, ?, 'parent');
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(user_id, child_id ?? null, kind, name, description ?? '')
+            .run();
+
+        return { success: true, id: result.meta.last_row_id, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Updates the given fields of a story memory entry. Edited entries become parent-owned.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {number} id - The story memory id.
+ * @param {Object} updateData - Column values to set.
+ * @returns {Promise<Object>} - Result of the database update.
+ */
+export async function updateStoryMemory(env, userId, id, updateData) {
+    try {
+        const updateFields = Object.keys(updateData).map(column => `${column} = ?`).join(", ");
+        const updateValues = Object.values(updateData);
+
+        const query = `
+            UPDATE story_memory SET ${updateFields}, source = 'parent', updated_at = CURRENT_TIMESTAMP
+            WHERE id = ? AND user_id = ?
+        `;
+        updateValues.push(id, userId);
+
+        const result = await env.DB.prepare(query).bind(...updateValues).run();
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database update error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Deletes a story memory entry, only if it belongs to the given user.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {number} id - The story memory id.
+ * @returns {Promise<Object>} - Result of the deletion; `deleted` is false if nothing matched.
+ */
+export async function deleteStoryMemory(env, userId, id) {
+    try {
+        const result = await env.DB.prepare("DELETE FROM story_memory WHERE id = ? AND user_id = ?")
+            .bind(id, userId)
+            .run();
+        return { success: true, deleted: result.meta.changes > 0 };
+    } catch (error) {
+        console.error("Database deletion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Records entries extracted from a conversation. Known entries get their mention count bumped;
+ * their description is refreshed unless a parent wrote it.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The id of the owning user account.
+ * @param {number|null} childId - The child profile that chatted, or null for the account itself.
+ * @param {Array<{kind: string, name: string, description: string}>} memories - The extracted entries.
+ * @returns {Promise<Object>} - Result of the database upsert.
+ */
+export async function recordExtractedStoryMemories(env, userId, childId, memories) {
+    try {
+        const statements = memories.map(({ kind, name, description }) =>
+            env.DB.prepare(`
+                INSERT INTO story_memory (user_id, child_id, kind, name, description, source)
+                VALUES (?, ?, ?, ?, ?, 'conversation')
+                ON CONFLICT (user_id, IFNULL(child_id, 0), kind, name) DO UPDATE SET
+                    description = CASE WHEN source = 'parent' OR excluded.description = '' THEN description ELSE excluded.description END,
+                    mention_count = mention_count + 1,
+                    last_mentioned_at = CURRENT_TIMESTAMP,
+                    updated_at = CURRENT_TIMESTAMP
+            `).bind(userId, childId ?? null, kind, name, description ?? '')
+        );
+        if (statements.length === 0) {
+            return { success: true, result: [] };
+        }
+
+        const result = await env.DB.batch(statements);
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database upsert error:", error);
+        return { success: false, error };
+    }
+}
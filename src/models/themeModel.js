@@ -0,0 +1,96 @@
+/**
+ * Theme catalog: story and Q&A themes with their detection keywords and prompts.
+ */
+
+/**
+ * Lists every theme, enabled or not.
+ * @param {Object} env - The environment variables.
+ * @returns {Promise<Object[]>} - Theme rows with `keywords` and `localized_keywords` parsed.
+ */
+export async function listThemes(env) {
+    const { results } = await env.DB.prepare("SELECT * FROM theme ORDER BY key ASC").all();
+    return results.map(parseTheme);
+}
+
+/**
+ * Retrieves a theme by its key.
+ * @param {Object} env - The environment variables.
+ * @param {string} key - The theme key, e.g. ADVENTURE.
+ * @returns {Promise<Object|null>} - The theme row with `keywords` and `localized_keywords` parsed, otherwise null.
+ */
+export async function getThemeByKey(env, key) {
+    const row = await env.DB.prepare("SELECT * FROM theme WHERE key = ?")
+        .bind(key)
+        .first();
+    return row ? parseTheme(row) : null;
+}
+
+/**
+ * Inserts a new theme.
+ * @param {Object} env - The environment variables.
+ * @param {Object} theme - The theme data to insert.
+ * @returns {Promise<Object>} - Result of the database insertion.
+ */
+export async function createTheme(env, theme) {
+    try {
+        const { key, keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age } = theme;
+
+        const query = `
+            INSERT INTO theme (key, keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age)
+            VALUES (?, ?, ?, ?, ?, ?, ?, ?);
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(key, JSON.stringify(keywords), JSON.stringify(localized_keywords || {}), story_prompt, qna_prompt,
+                enabled === false ? 0 : 1, min_age ?? null, max_age ?? null)
+            .run();
+
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Updates the given fields of a theme.
+ * @param {Object} env - The environment variables.
+ * @param {string} key - The theme key.
+ * @param {Object} updateData - Column values to set.
+ * @returns {Promise<Object>} - Result of the database update.
+ */
+export async function updateThemeByKey(env, key, updateData) {
+    try {
+        const columns = { ...updateData };
+        if (columns.keywords !== undefined) {
+            columns.keywords = JSON.stringify(columns.keywords);
+        }
+        if (columns.localized_keywords !== undefined) {
+            columns.localized_keywords = JSON.stringify(columns.localized_keywords);
+        }
+        if (columns.enabled !== undefined) {
+            columns.enabled = columns.enabled ? 1 : 0;
+        }
+
+        const updateFields = Object.keys(columns).map(column => `${column} = ?`).join(", ");
+        const updateValues = Object.values(columns);
+
+        const query = `UPDATE theme SET ${updateFields}, updated_at = CURRENT_TIMESTAMP WHERE key = ?`;
+        updateValues.push(key);
+
+        const result = await env.DB.prepare(query).bind(...updateValues).run();
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database update error:", error);
+        return { success: false, error };
+    }
+}
+
+function parseTheme(row) {
+    return {
+        ...row,
+        keywords: JSON.parse(row.keywords),
+        localized_keywords: JSON.parse(row.localized_keywords || '{}'),
+        enabled: Boolean(row.enabled),
+    };
+}
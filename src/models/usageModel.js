@@ -0,0 +1,66 @@
+/**
+ * Usage records: what each chat and transcription request cost, for quotas and reporting.
+ */
+
+/**
+ * Records the usage of one request.
+ * @param {Object} env - The environment variables.
+ * @param {Object} record - user_id, child_id, endpoint and the usage counts.
+ * @returns {Promise<Object>} - Result of the database insertion.
+ */
+export async function recordUsage(env, record) {
+    try {
+        const { user_id, child_id, endpoint, prompt_tokens, completion_tokens, tts_characters, transcription_seconds } = record;
+
+        const query = `
+            INSERT INTO usage_record (user_id, child_id, endpoint, prompt_tokens, completion_tokens, tts_characters, transcription_seconds)
+            VALUES (?, ?, ?, ?, ?, ?, ?);
+        `;
+
+        const result = await env.DB.prepare(query)
+            .bind(user_id, child_id ?? null, endpoint, prompt_tokens || 0, completion_tokens || 0, tts_characters || 0, transcription_seconds || 0)
+            .run();
+
+        return { success: true, result };
+    } catch (error) {
+        console.error("Database insertion error:", error);
+        return { success: false, error };
+    }
+}
+
+/**
+ * Adds up a user's usage since the start of the day and of the month.
+ * @param {Object} env - The environment variables.
+ * @param {number} userId - The user id.
+ * @param {string} dayStart - Start of the day, as `YYYY-MM-DD HH:MM:SS` UTC.
+ * @param {string} monthStart - Start of the month, as `YYYY-MM-DD HH:MM:SS` UTC.
+ * @returns {Promise<{daily: Object, monthly: Object}>} - Each with tokens, tts_characters and transcription_seconds.
+ */
+export async function getUsageTotals(env, userId, dayStart, monthStart) {
+    const row = await env.DB.prepare(`
+            SELECT
+                SUM(CASE WHEN created_at >= ?1 THEN prompt_tokens + completion_tokens ELSE 0 END) AS daily_tokens,
+                SUM(CASE WHEN created_at >= ?1 THEN tts_characters ELSE 0 END) AS daily_tts_characters,
+                SUM(CASE WHEN created_at >= ?1 THEN transcription_seconds ELSE 0 END) AS daily_transcription_seconds,
+                SUM(prompt_tokens + completion_tokens) AS monthly_tokens,
+                SUM(tts_characters) AS monthly_tts_characters,
+                SUM(transcription_seconds) AS monthly_transcription_seconds
+            FROM usage_record
+            WHERE user_id = ?2 AND created_at >= ?3
+        `)
+        .bind(dayStart, userId, monthStart)
+        .first();
+
+    return {
+        daily: {
+            tokens: row?.daily_tokens || 0,
+            tts_characters: row?.daily_tts_characters || 0,
+            transcription_seconds: row?.daily_transcription_seconds || 0,
+        },
+        monthly: {
+            tokens: row?.monthly_tokens || 0,
+            tts_characters: row?.monthly_tts_characters || 0,
+            transcription_seconds: row?.monthly_transcription_seconds || 0,
+        },
+    };
+}
@@ -8,15 +8,15 @@
  */
 export async function createUser(env, user) {
     try {
-        const { email, username, hashed_password, yob, preferred_voice, cached_story_count } = user;
+        const { email, username, hashed_password, yob, preferred_voice, preferred_language, cached_story_count } = user;
 
         const query = `
-            INSERT INTO user_account (email, username, hashed_password, preferred_voice, cached_story_count, yob)
-            VALUES (?, ?, ?, ?, ?, ?);
+            INSERT INTO user_account (email, username, hashed_password, preferred_voice, preferred_language, cached_story_count, yob)
+            VALUES (?, ?, ?, ?, ?, ?, ?);
         `;
 
         const result = await env.DB.prepare(query)
-            .bind(email, username, hashed_password, preferred_voice, cached_story_count, yob)
+            .bind(email, username, hashed_password, preferred_voice, preferred_language, cached_story_count, yob)
             .run();
 
         return { success: true, result };
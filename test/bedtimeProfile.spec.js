@@ -0,0 +1,23 @@
+import { describe, it, expect } from 'vitest';
+import { getLocalHour, isBedtime, getNarrationSettings } from '../src/common/bedtimeProfile';
+
+const daytime = { model: 'tts-1', speed: 0.88 };
+
+describe('bedtime profile', () => {
+  it('should read the hour in the child\'s timezone, not the worker\'s', () => {
+    expect(getLocalHour('2024-03-01T12:30:00Z', 'Asia/Shanghai')).toBe(20);
+    expect(getLocalHour('2024-03-01T20:30:00+08:00', null)).toBe(20);
+    expect(getLocalHour(null, null)).toBeNull();
+    expect(isBedtime(20)).toBe(true);
+    expect(isBedtime(null)).toBe(false);
+  });
+
+  it('should wind down from paragraph to paragraph at bedtime only', () => {
+    expect(getNarrationSettings({}, 3, false, daytime)).toBe(daytime);
+    const first = getNarrationSettings({}, 0, true, daytime);
+    const later = getNarrationSettings({}, 5, true, daytime);
+    expect(later.speed).toBeLessThan(first.speed);
+    expect(later.instructions).not.toBe(first.instructions);
+    expect(getNarrationSettings({ BEDTIME_TTS_MODEL: 'tts-1' }, 0, true, daytime).instructions).toBeUndefined();
+  });
+});
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest';
+import { createChatStream, getStreamFormat, STREAM_FORMATS } from '../src/common/chatStream';
+
+describe('getStreamFormat', () => {
+  it('should default to NDJSON and honour the Accept header and query parameter', () => {
+    expect(getStreamFormat(new Request('http://example.com/chat'))).toBe(STREAM_FORMATS.NDJSON);
+    expect(getStreamFormat(new Request('http://example.com/chat', { headers: { Accept: 'text/event-stream' } }))).toBe(STREAM_FORMATS.SSE);
+    expect(getStreamFormat(new Request('http://example.com/chat?stream=sse'))).toBe(STREAM_FORMATS.SSE);
+    expect(getStreamFormat(new Request('http://example.com/chat?stream=ndjson', { headers: { Accept: 'text/event-stream' } }))).toBe(STREAM_FORMATS.NDJSON);
+  });
+});
+
+describe('createChatStream', () => {
+  it('should write typed SSE events with increasing ids', async () => {
+    const stream = createChatStream(STREAM_FORMATS.SSE);
+    const response = stream.response();
+    stream.emit('text', { delta: 'Hi' });
+    stream.emit('done', { dialogHistory: [] });
+    stream.close();
+
+    expect(response.headers.get('Content-Type')).toContain('text/event-stream');
+    expect(await response.text()).toBe(
+      'id: 1\nevent: text\ndata: {"delta":"Hi"}\n\n' +
+      'id: 2\nevent: done\ndata: {"dialogHistory":[]}\n\n'
+    );
+  });
+
+  it('should keep the NDJSON chunk shapes and skip SSE-only events', async () => {
+    const stream = createChatStream(STREAM_FORMATS.NDJSON);
+    const response = stream.response();
+    stream.emit('text', { delta: 'Hi' });
+    stream.emit('audio', { index: 0, text: 'Hi', audioUrl: 'https://example.com/audio/x' });
+    stream.emit('paragraph_done', { index: 0, segmentCount: 1 });
+    stream.emit('error', { index: 1, text: 'Oops', message: 'TTS failed', fatal: false });
+    stream.close();
+
+    const chunks = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+    expect(chunks).toEqual([
+      { textDelta: 'Hi' },
+      { currentParagraph: { index: 0, text: 'Hi', audioUrl: 'https://example.com/audio/x' } },
+      { currentParagraph: { index: 1, text: 'Oops', audioUrl: null, error: 'TTS failed' } },
+    ]);
+  });
+});
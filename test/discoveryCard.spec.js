@@ -0,0 +1,40 @@
+import { describe, it, expect } from 'vitest';
+import { validateDiscoveryCard, getDiscoveryCardText } from '../src/common/discoveryCard';
+
+const card = {
+  identified: true,
+  common_name: ' Stinging nettle ',
+  scientific_name: 'Urtica dioica',
+  confidence: 1.4,
+  fun_facts: ['Butterflies lay their eggs on it.', '', 42],
+  safety_warnings: [
+    { type: 'stinging', message: 'Its tiny hairs sting. Do not touch it!' },
+    { type: 'scary', message: 'Not a real warning type' },
+  ],
+};
+
+describe('discovery cards', () => {
+  it('should keep the well-formed parts of a card, trimmed and clamped', () => {
+    expect(validateDiscoveryCard(card)).toEqual({
+      common_name: 'Stinging nettle',
+      scientific_name: 'Urtica dioica',
+      confidence: 1,
+      fun_facts: ['Butterflies lay their eggs on it.'],
+      safety_warnings: [{ type: 'stinging', message: 'Its tiny hairs sting. Do not touch it!' }],
+    });
+  });
+
+  it('should reject cards that identify nothing or break the schema', () => {
+    expect(validateDiscoveryCard({ ...card, identified: false })).toBeNull();
+    expect(validateDiscoveryCard({ ...card, common_name: '' })).toBeNull();
+    expect(validateDiscoveryCard({ ...card, confidence: 'high' })).toBeNull();
+    expect(validateDiscoveryCard({ ...card, fun_facts: 'none' })).toBeNull();
+    expect(validateDiscoveryCard(null)).toBeNull();
+  });
+
+  it('should moderate every child-facing line of a card', () => {
+    const text = getDiscoveryCardText(validateDiscoveryCard(card));
+    expect(text).toContain('Stinging nettle');
+    expect(text).toContain('Do not touch it!');
+  });
+});
@@ -0,0 +1,64 @@
+import { describe, it, expect } from 'vitest';
+import { detectImageType, stripImageLocation } from '../src/common/imageMetadata';
+
+const ascii = (text) => Array.from(text, c => c.charCodeAt(0));
+const u16 = (value) => [value & 0xff, value >> 8];
+const u32 = (value) => [value & 0xff, (value >> 8) & 0xff, (value >> 16) & 0xff, value >>> 24];
+const segment = (marker, data) => [0xff, marker, (data.length + 2) >> 8, (data.length + 2) & 0xff, ...data];
+
+// Little-endian TIFF: IFD0 holds the orientation and the GPS pointer, the GPS IFD holds a latitude
+function createExifTiff() {
+  const latitude = [...u32(31), ...u32(1), ...u32(14), ...u32(1), ...u32(2), ...u32(1)];
+  return [
+    ...ascii('II'), ...u16(42), ...u32(8),
+    ...u16(2),
+    ...u16(0x0112), ...u16(3), ...u32(1), ...u16(6), 0, 0,
+    ...u16(0x8825), ...u16(4), ...u32(1), ...u32(38),
+    ...u32(0),
+    ...u16(1),
+    ...u16(0x0002), ...u16(5), ...u32(3), ...u32(56),
+    ...u32(0),
+    ...latitude,
+  ];
+}
+
+describe('image metadata', () => {
+  it('should detect image types from their signature', () => {
+    expect(detectImageType(new Uint8Array([0xff, 0xd8, 0xff, 0xe0]))).toBe('image/jpeg');
+    expect(detectImageType(new Uint8Array([0x89, ...ascii('PNG\r\n'), 0x1a, 0x0a]))).toBe('image/png');
+    expect(detectImageType(new Uint8Array([...ascii('RIFF'), 0, 0, 0, 0, ...ascii('WEBP')]))).toBe('image/webp');
+    expect(detectImageType(new Uint8Array(ascii('%PDF-1.7')))).toBeNull();
+  });
+
+  it('should blank the GPS fields of a JPEG but keep its orientation and image data', () => {
+    const tiff = createExifTiff();
+    const jpeg = new Uint8Array([
+      0xff, 0xd8,
+      ...segment(0xe1, [...ascii('Exif\0\0'), ...tiff]),
+      ...segment(0xe1, ascii('http://ns.adobe.com/xap/1.0/\0<x:xmpmeta/>')),
+      ...segment(0xda, [1, 2, 3]), 0x12, 0x34, 0xff, 0xd9,
+    ]);
+    const stripped = stripImageLocation(jpeg, 'image/jpeg');
+    const strippedTiff = Array.from(stripped.subarray(2 + 4 + 6, 2 + 4 + 6 + tiff.length));
+    expect(strippedTiff.slice(0, 38)).toEqual(tiff.slice(0, 38));
+    expect(strippedTiff.slice(38).every(byte => byte === 0)).toBe(true);
+    expect(new TextDecoder().decode(stripped)).not.toContain('xap');
+    expect(Array.from(stripped.slice(-4))).toEqual([0x12, 0x34, 0xff, 0xd9]);
+  });
+
+  it('should drop Exif and text chunks from a PNG', () => {
+    const chunk = (type, data) => [0, 0, 0, data.length, ...ascii(type), ...data, 0, 0, 0, 0];
+    const png = new Uint8Array([
+      0x89, ...ascii('PNG\r\n'), 0x1a, 0x0a,
+      ...chunk('IHDR', [1, 2, 3]),
+      ...chunk('eXIf', createExifTiff().slice(0, 8)),
+      ...chunk('tEXt', ascii('Location\0Home')),
+      ...chunk('IEND', []),
+    ]);
+    const text = new TextDecoder().decode(stripImageLocation(png, 'image/png'));
+    expect(text).toContain('IHDR');
+    expect(text).toContain('IEND');
+    expect(text).not.toContain('eXIf');
+    expect(text).not.toContain('Home');
+  });
+});
@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { validateTranslation } from '../src/common/imageTranslation';
+
+describe('image translation', () => {
+  it('should keep well-formed sentences and normalize the source language', () => {
+    expect(validateTranslation({
+      found_text: true,
+      source_language: 'fr-FR',
+      sentences: [
+        { original: ' Attention au chien ', translation: 'Watch out for the dog' },
+        { original: 'Boulangerie', translation: '' },
+        { original: '', translation: 'nothing' },
+        null,
+      ],
+    })).toEqual({
+      sourceLanguage: 'fr',
+      sentences: [
+        { original: 'Attention au chien', translation: 'Watch out for the dog' },
+        { original: 'Boulangerie', translation: 'Boulangerie' },
+      ],
+    });
+  });
+
+  it('should report languages POPO does not speak as named', () => {
+    const result = validateTranslation({ found_text: true, source_language: 'IT', sentences: [{ original: 'Ciao', translation: 'Hello' }] });
+    expect(result.sourceLanguage).toBe('it');
+  });
+
+  it('should return nothing without readable text', () => {
+    expect(validateTranslation({ found_text: false, source_language: 'en', sentences: [] })).toBeNull();
+    expect(validateTranslation({ found_text: true, source_language: 'en', sentences: [] })).toBeNull();
+    expect(validateTranslation('text')).toBeNull();
+  });
+});
@@ -1,6 +1,8 @@
 import { env, createExecutionContext, waitOnExecutionContext, SELF } from 'cloudflare:test';
 import { describe, it, expect, vi } from 'vitest';
 import worker from '../src';
+import { generateJWT } from '../src/common/auth';
+import { getThemeCatalog, invalidateThemeCatalog } from '../src/common/themeCatalog';
 
 // Mock OpenAI
 vi.mock('openai', () => ({
@@ -9,6 +11,9 @@ vi.mock('openai', () => ({
 	  audio = {
 		transcriptions: {
 		  create: vi.fn().mockResolvedValue({ text: 'Mocked transcription' })
+		},
+		speech: {
+		  create: vi.fn(async () => new Response(new Uint8Array(16)))
 		}
 	  };
 	  chat = {
@@ -29,6 +34,32 @@ describe('OpenAI API Cloudflare Worker', () => {
     OPENAI_API_KEY: 'mock-openai-key',
     OPENAI_BASE_URL: 'https://api.openai.com/v1',
   };
+  const user = { id: 1, email: 'parent@example.com', hashed_password: 'hash', role: 'customer', yob: 2018, preferred_voice: 'nova', preferred_language: 'en' };
+  // A database that only knows the signed-in user, and records what is written
+  const runs = [];
+  const signedInEnv = {
+    ...mockEnv,
+    JWT_SECRET: 'test-jwt-secret',
+    DB: {
+      prepare: (sql) => {
+        const statement = {
+          bind: () => statement,
+          first: async () => (sql.includes('FROM user_account') ? user : null),
+          all: async () => ({ results: [] }),
+          run: async () => {
+            runs.push(sql);
+            return { success: true, meta: { last_row_id: 1, changes: 1 } };
+          },
+        };
+        return statement;
+      },
+      batch: async (statements) => statements.map(() => ({ success: true })),
+    },
+  };
+  const authHeaders = async () => ({
+    'X-API-Key': mockApiKey,
+    Authorization: `Bearer ${await generateJWT(user, signedInEnv.JWT_SECRET)}`,
+  });
 
   describe('Authentication', () => {
     it('should return 401 if API key is missing', async () => {
@@ -52,15 +83,29 @@ describe('OpenAI API Cloudflare Worker', () => {
   });
 
   describe('Transcription endpoint', () => {
+    it('should return 401 without a signed-in user', async () => {
+      const formData = new FormData();
+      formData.append('audio', new File([new ArrayBuffer(1000)], 'test.mp3', { type: 'audio/mpeg' }));
+      const request = new Request('http://example.com/transcribe', {
+        method: 'POST',
+        headers: { 'X-API-Key': mockApiKey },
+        body: formData,
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, signedInEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      expect(response.status).toBe(401);
+    });
+
     it('should return 400 if no audio file is provided', async () => {
 	  const formData = new FormData();
       const request = new Request('http://example.com/transcribe', {
         method: 'POST',
-        headers: { 'X-API-Key': mockApiKey, },
+        headers: await authHeaders(),
 		body: formData,
       });
       const ctx = createExecutionContext();
-      const response = await worker.fetch(request, mockEnv, ctx);
+      const response = await worker.fetch(request, signedInEnv, ctx);
       await waitOnExecutionContext(ctx);
       expect(response.status).toBe(400);
     });
@@ -71,11 +116,11 @@ describe('OpenAI API Cloudflare Worker', () => {
       formData.append('audio', largeFile);
       const request = new Request('http://example.com/transcribe', {
         method: 'POST',
-        headers: { 'X-API-Key': mockApiKey },
+        headers: await authHeaders(),
         body: formData,
       });
       const ctx = createExecutionContext();
-      const response = await worker.fetch(request, mockEnv, ctx);
+      const response = await worker.fetch(request, signedInEnv, ctx);
       await waitOnExecutionContext(ctx);
       expect(response.status).toBe(400);
       expect(await response.text()).toContain('File size exceeds the limit');
@@ -88,15 +133,76 @@ describe('OpenAI API Cloudflare Worker', () => {
       formData.append('audio', audioFile);
       const request = new Request('http://example.com/transcribe', {
         method: 'POST',
-        headers: { 'X-API-Key': mockApiKey },
+        headers: await authHeaders(),
         body: formData,
       });
       const ctx = createExecutionContext();
-      const response = await worker.fetch(request, mockEnv, ctx);
+      const response = await worker.fetch(request, signedInEnv, ctx);
       await waitOnExecutionContext(ctx);
       expect(response.status).toBe(200);
       const responseBody = await response.json();
       expect(responseBody).toEqual({ text: 'Mocked transcription' });
+      expect(runs.some(sql => sql.includes('INSERT INTO usage_record'))).toBe(true);
+    });
+  });
+
+  describe('Chat endpoint', () => {
+    it('should only show the text of the reply that passed moderation', async () => {
+      const paragraphs = [
+        'Once upon a time a kind dragon lived on a quiet hill by the sea, and she loved to sing.',
+        'One night the dragon found a gun in the tall grass and picked it up.',
+      ];
+      // Workers AI streams the reply as server-sent events
+      const events = paragraphs.map(paragraph => `data: ${JSON.stringify({ response: `${paragraph}\n\n` })}\n\n`).join('');
+      const env = {
+        ...signedInEnv,
+        LLM_PROVIDER: 'workers-ai',
+        MODERATION_PROVIDER: 'local',
+        SIGNED_URL_SECRET: 'test-secret',
+        AI: { run: vi.fn().mockResolvedValue(new Response(`${events}data: [DONE]\n\n`).body) },
+        R2_BUCKET: { head: vi.fn().mockResolvedValue(null), put: vi.fn() },
+      };
+      const request = new Request('http://example.com/textual-chat/v0910', {
+        method: 'POST',
+        headers: { ...(await authHeaders()), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dialogHistory: [{ role: 'user', content: 'Tell me about dragons' }] }),
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, env, ctx);
+      const chunks = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+      await waitOnExecutionContext(ctx);
+
+      const shownText = chunks.filter(chunk => chunk.textDelta !== undefined).map(chunk => chunk.textDelta).join('');
+      expect(shownText).toBe(paragraphs[0]);
+      expect(chunks.find(chunk => chunk.moderation)?.moderation.direction).toBe('output');
+    });
+
+    it('should answer with the safe redirect and voice nothing when moderation is unavailable', async () => {
+      // The mocked OpenAI client has no moderation endpoint, so every check fails
+      const env = {
+        ...signedInEnv,
+        LLM_PROVIDER: 'workers-ai',
+        SIGNED_URL_SECRET: 'test-secret',
+        AI: { run: vi.fn() },
+        R2_BUCKET: { head: vi.fn().mockResolvedValue(null), put: vi.fn() },
+      };
+      runs.length = 0;
+      const request = new Request('http://example.com/textual-chat/v0910', {
+        method: 'POST',
+        headers: { ...(await authHeaders()), 'Content-Type': 'application/json' },
+        body: JSON.stringify({ dialogHistory: [{ role: 'user', content: 'Tell me about dragons' }] }),
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, env, ctx);
+      const chunks = (await response.text()).trim().split('\n').map(line => JSON.parse(line));
+      await waitOnExecutionContext(ctx);
+
+      const { moderation } = chunks.find(chunk => chunk.moderation);
+      expect(moderation.direction).toBe('input');
+      expect(env.AI.run).not.toHaveBeenCalled();
+      // Only the redirect is voiced
+      expect(chunks.filter(chunk => chunk.currentParagraph).map(chunk => chunk.currentParagraph.text)).toEqual([moderation.replacementText]);
+      expect(runs.some(sql => sql.includes('INSERT INTO moderation_event'))).toBe(true);
     });
   });
 
@@ -160,4 +266,195 @@ describe('OpenAI API Cloudflare Worker', () => {
       expect(responseBody.dialogHistory[1].content).toBe('Mocked story response');
     });
   });
+
+  describe('Conversations endpoint', () => {
+    it('should return 401 if Authorization header is missing', async () => {
+      const request = new Request('http://example.com/conversations', {
+        method: 'GET',
+        headers: { 'X-API-Key': mockApiKey },
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, mockEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      expect(response.status).toBe(401);
+    });
+
+    it('should route conversation ids to the item handler', async () => {
+      const request = new Request('http://example.com/conversations/some-id', {
+        method: 'DELETE',
+        headers: { 'X-API-Key': mockApiKey },
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, mockEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      expect(response.status).toBe(401);
+    });
+
+    it('should reject path parameters that are not valid percent-encoding', async () => {
+      for (const path of ['/conversations/%E0%A4%A', '/voices/%E0/preview/en']) {
+        const request = new Request(`http://example.com${path}`, {
+          method: 'GET',
+          headers: { 'X-API-Key': mockApiKey },
+        });
+        const ctx = createExecutionContext();
+        const response = await worker.fetch(request, mockEnv, ctx);
+        await waitOnExecutionContext(ctx);
+        expect(response.status).toBe(400);
+      }
+    });
+  });
+
+  describe('Voices endpoint', () => {
+    it('should list every catalog voice, with previews only where the provider is configured', async () => {
+      const request = new Request('http://example.com/voices?language=zh', {
+        method: 'GET',
+        headers: { 'X-API-Key': mockApiKey },
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, { ...mockEnv, SIGNED_URL_SECRET: 'test-secret' }, ctx);
+      await waitOnExecutionContext(ctx);
+      expect(response.status).toBe(200);
+      const { voices } = await response.json();
+      const george = voices.find(voice => voice.id === 'george');
+      expect(george).toMatchObject({ provider: 'elevenlabs', available: false, preview_url: null });
+      expect(voices.find(voice => voice.id === 'nova').preview_url).toMatch(/^http:\/\/example\.com\/voices\/nova\/preview\/zh\?exp=/);
+    });
+
+    it('should reject unknown filters', async () => {
+      const request = new Request('http://example.com/voices?gender=robot', {
+        method: 'GET',
+        headers: { 'X-API-Key': mockApiKey },
+      });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, mockEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      expect(response.status).toBe(422);
+    });
+  });
+
+  describe('Child profiles endpoint', () => {
+    it('should require authorization for the list and the items', async () => {
+      for (const path of ['/users/me/children', '/users/me/children/1']) {
+        const request = new Request(`http://example.com${path}`, {
+          method: 'GET',
+          headers: { 'X-API-Key': mockApiKey },
+        });
+        const ctx = createExecutionContext();
+        const response = await worker.fetch(request, mockEnv, ctx);
+        await waitOnExecutionContext(ctx);
+        expect(response.status).toBe(401);
+      }
+    });
+  });
+
+  describe('Activity endpoint', () => {
+    it('should require authorization for the summary and the questions', async () => {
+      for (const path of ['/users/me/activity', '/users/me/activity/questions']) {
+        const request = new Request(`http://example.com${path}?from=2024-01-01&to=2024-01-31`, {
+          method: 'GET',
+          headers: { 'X-API-Key': mockApiKey },
+        });
+        const ctx = createExecutionContext();
+        const response = await worker.fetch(request, mockEnv, ctx);
+        await waitOnExecutionContext(ctx);
+        expect(response.status).toBe(401);
+      }
+    });
+  });
+
+  describe('Admin themes endpoint', () => {
+    const admin = { ...user, id: 2, email: 'admin@example.com', role: 'admin' };
+    // A database holding the signed-in users and a theme table
+    const createThemesEnv = () => {
+      const themes = new Map();
+      return {
+        ...signedInEnv,
+        DB: {
+          prepare: (sql) => {
+            let args = [];
+            const statement = {
+              bind: (...values) => {
+                args = values;
+                return statement;
+              },
+              first: async () => {
+                if (sql.includes('FROM user_account')) {
+                  return [user, admin].find(account => account.email === args[0]) ?? null;
+                }
+                return themes.get(args[0]) ?? null;
+              },
+              all: async () => ({ results: [...themes.values()] }),
+              run: async () => {
+                if (sql.includes('INSERT INTO theme')) {
+                  const [key, keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age] = args;
+                  themes.set(key, { key, keywords, localized_keywords, story_prompt, qna_prompt, enabled, min_age, max_age });
+                } else if (sql.includes('UPDATE theme SET enabled = ?')) {
+                  themes.get(args[1]).enabled = args[0];
+                }
+                return { success: true, meta: { changes: 1 } };
+              },
+            };
+            return statement;
+          },
+        },
+      };
+    };
+    const request = async (env, path, method, account, body) => {
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(new Request(`http://example.com${path}`, {
+        method,
+        headers: {
+          'X-API-Key': mockApiKey,
+          Authorization: `Bearer ${await generateJWT(account, env.JWT_SECRET)}`,
+          'Content-Type': 'application/json',
+        },
+        body: body && JSON.stringify(body),
+      }), env, ctx);
+      await waitOnExecutionContext(ctx);
+      return response;
+    };
+    const dinosaurs = { key: 'DINOSAURS', keywords: ['Dinosaur', 'T-Rex'], story_prompt: 'Tell a dinosaur story.', qna_prompt: 'Answer about dinosaurs.', min_age: 4 };
+
+    it('should only let admins manage themes', async () => {
+      const env = createThemesEnv();
+      expect((await request(env, '/admin/themes', 'GET', user)).status).toBe(403);
+      expect((await request(env, '/admin/themes', 'POST', user, dinosaurs)).status).toBe(403);
+      expect((await request(env, '/admin/themes/DINOSAURS', 'DELETE', user)).status).toBe(403);
+    });
+
+    it('should validate new themes and reject duplicates', async () => {
+      const env = createThemesEnv();
+      expect((await request(env, '/admin/themes', 'POST', admin, { ...dinosaurs, key: 'dinosaurs' })).status).toBe(422);
+      expect((await request(env, '/admin/themes', 'POST', admin, { ...dinosaurs, min_age: 9, max_age: 5 })).status).toBe(422);
+
+      const created = await request(env, '/admin/themes', 'POST', admin, dinosaurs);
+      expect(created.status).toBe(201);
+      expect((await created.json()).theme).toMatchObject({ key: 'DINOSAURS', keywords: ['dinosaur', 't-rex'], enabled: true, min_age: 4 });
+      expect((await request(env, '/admin/themes', 'POST', admin, dinosaurs)).status).toBe(409);
+      expect((await request(env, '/admin/themes/PIRATES', 'DELETE', admin)).status).toBe(404);
+    });
+
+    it('should update the chat catalog at once, age range and disabling included', async () => {
+      const env = createThemesEnv();
+      invalidateThemeCatalog();
+      await request(env, '/admin/themes', 'POST', admin, dinosaurs);
+      expect(Object.keys(await getThemeCatalog(env, 6))).toEqual(['DINOSAURS']);
+      expect(await getThemeCatalog(env, 3)).toEqual({});
+
+      const disabled = await request(env, '/admin/themes/DINOSAURS', 'DELETE', admin);
+      expect((await disabled.json()).theme.enabled).toBe(false);
+      expect(await getThemeCatalog(env, 6)).toEqual({});
+      invalidateThemeCatalog();
+    });
+  });
+
+  describe('Audio endpoint', () => {
+    it('should not require the API key but reject unsigned links', async () => {
+      const request = new Request('http://example.com/audio/' + 'a'.repeat(64), { method: 'GET' });
+      const ctx = createExecutionContext();
+      const response = await worker.fetch(request, mockEnv, ctx);
+      await waitOnExecutionContext(ctx);
+      expect(response.status).toBe(403);
+    });
+  });
 });
\ No newline at end of file
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { createChoiceSplitter, parseChoices, getInteractiveStoryPrompt } from '../src/common/interactiveStory';
+
+describe('interactive story', () => {
+  it('should keep a marker split across deltas out of the story text', () => {
+    const splitter = createChoiceSplitter();
+    const told = ['The door creaked open. Should Pip go in, or run home?\n[[CHO', 'ICES]] ["Go in", ', '"Run home"]']
+      .map(delta => splitter.push(delta))
+      .join('');
+    const { text, choices } = splitter.end();
+    expect(told + text).toBe('The door creaked open. Should Pip go in, or run home?\n');
+    expect(choices).toEqual(['Go in', 'Run home']);
+  });
+
+  it('should read numbered choices and reject a single choice', () => {
+    expect(parseChoices('\n1. Follow the owl\n2. Climb the tree\n3. Call for help')).toEqual([
+      'Follow the owl', 'Climb the tree', 'Call for help',
+    ]);
+    expect(parseChoices('["Only one"]')).toEqual([]);
+  });
+
+  it('should remind the model of the branch so far', () => {
+    const prompt = getInteractiveStoryPrompt(
+      { step: 2, choices: ['Go in', 'Run home'], path: [{ step: 1, choice: 'Take the map' }] },
+      'Go in'
+    );
+    expect(prompt).toContain('segment 3');
+    expect(prompt).toContain('After segment 1: Take the map');
+    expect(prompt).toContain('The child chose: Go in');
+  });
+});
@@ -0,0 +1,112 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createLLMRouter, getRouteTargets, parseTarget } from '../src/common/llmProvider';
+
+const messages = [
+  { role: 'system', content: 'You are POPO.' },
+  { role: 'user', content: 'Tell me about owls' },
+];
+
+async function collect(stream) {
+  const deltas = [];
+  for await (const delta of stream) {
+    deltas.push(delta);
+  }
+  return deltas.join('');
+}
+
+describe('mock LLM provider', () => {
+  const llm = createLLMRouter({ LLM_PROVIDER: 'mock' });
+
+  it('should answer deterministically and count usage', async () => {
+    const first = await llm.complete('qna', messages);
+    expect(first).toMatchObject({ role: 'assistant', content: 'Mock reply from mock to: Tell me about owls', provider: 'mock' });
+    expect(first.usage.completion_tokens).toBeGreaterThan(0);
+    expect(await llm.complete('qna', messages)).toEqual(first);
+  });
+
+  it('should stream the same text', async () => {
+    expect(await collect(llm.stream('story', messages))).toBe('Mock reply from mock to: Tell me about owls');
+  });
+
+  it('should add the usage of every call to the request usage', async () => {
+    const usage = { prompt_tokens: 0, completion_tokens: 0 };
+    const metered = createLLMRouter({ LLM_PROVIDER: 'mock' }, undefined, usage);
+    const completion = await metered.complete('qna', messages);
+    await collect(metered.stream('story', messages));
+    const embedding = await metered.embed('embedding', ['owls']);
+    expect(usage).toEqual({
+      prompt_tokens: 2 * completion.usage.prompt_tokens + embedding.usage.prompt_tokens,
+      completion_tokens: 2 * completion.usage.completion_tokens,
+    });
+  });
+
+  it('should embed deterministically, with the same words giving the same vector', async () => {
+    const result = await llm.embed('embedding', ['robot in space', 'space robot in', 'owls at night']);
+    expect(result).toMatchObject({ provider: 'mock', model: 'mock' });
+    expect(result.embeddings[0]).toEqual(result.embeddings[1]);
+    expect(result.embeddings[0]).not.toEqual(result.embeddings[2]);
+    expect(result.usage.prompt_tokens).toBeGreaterThan(0);
+  });
+});
+
+describe('LLM routing', () => {
+  it('should default to OpenAI, then the fallback provider', async () => {
+    expect(await getRouteTargets({ LLM_FALLBACK_PROVIDER: 'workers-ai' }, 'story')).toEqual([
+      { provider: 'openai', model: 'gpt-4o-2024-08-06' },
+      { provider: 'workers-ai', model: '@cf/meta/llama-3.1-8b-instruct' },
+    ]);
+  });
+
+  it('should route per query type, with KV overriding the environment', async () => {
+    const env = {
+      LLM_ROUTES: JSON.stringify({ qna: 'openai:gpt-4o-mini', title: ['mock', 'nowhere:model'] }),
+      LLM_CONFIG: { get: vi.fn().mockResolvedValue(JSON.stringify({ qna: ['mock:kv'] })) },
+    };
+    expect(await getRouteTargets(env, 'qna')).toEqual([{ provider: 'mock', model: 'kv' }]);
+    expect(await getRouteTargets(env, 'title')).toEqual([{ provider: 'mock', model: 'mock' }]);
+    expect(await getRouteTargets(env, 'story')).toEqual([{ provider: 'openai', model: 'gpt-4o-2024-08-06' }]);
+  });
+
+  it('should route structured output like the default route, on OpenAI models that follow JSON schemas', async () => {
+    const env = { LLM_FALLBACK_PROVIDER: 'mock', LLM_ROUTES: JSON.stringify({ translation: 'compatible:vision' }) };
+    expect(await getRouteTargets(env, 'memory')).toEqual([{ provider: 'openai', model: 'gpt-4o-mini' }, { provider: 'mock', model: 'mock' }]);
+    expect(await getRouteTargets(env, 'discovery')).toEqual([{ provider: 'openai', model: 'gpt-4o-2024-08-06' }, { provider: 'mock', model: 'mock' }]);
+    expect(await getRouteTargets(env, 'translation')).toEqual([{ provider: 'compatible', model: 'vision' }]);
+    expect(await getRouteTargets({ LLM_PROVIDER: 'mock' }, 'discovery')).toEqual([{ provider: 'mock', model: 'mock' }]);
+  });
+
+  it('should keep the colons of model names', () => {
+    expect(parseTarget('compatible:org/model:free')).toEqual({ provider: 'compatible', model: 'org/model:free' });
+    expect(() => parseTarget('compatible')).toThrow();
+  });
+});
+
+describe('LLM failover', () => {
+  const failingOpenAI = { chat: { completions: { create: vi.fn().mockRejectedValue(new Error('down')) } } };
+
+  it('should fail over to the secondary provider', async () => {
+    const llm = createLLMRouter({ LLM_FALLBACK_PROVIDER: 'mock' }, failingOpenAI);
+    expect(await llm.complete('title', messages)).toMatchObject({ provider: 'mock' });
+    expect(await collect(llm.stream('story', messages))).toBe('Mock reply from mock to: Tell me about owls');
+  });
+
+  it('should not fail over once text has been streamed', async () => {
+    const brokenStream = {
+      chat: {
+        completions: {
+          create: vi.fn().mockResolvedValue((async function* () {
+            yield { choices: [{ delta: { content: 'Once upon' } }] };
+            throw new Error('connection lost');
+          })()),
+        },
+      },
+    };
+    const llm = createLLMRouter({ LLM_FALLBACK_PROVIDER: 'mock' }, brokenStream);
+    await expect(collect(llm.stream('story', messages))).rejects.toThrow('connection lost');
+  });
+
+  it('should fail when every provider fails', async () => {
+    const llm = createLLMRouter({ LLM_FALLBACK_PROVIDER: 'workers-ai' }, failingOpenAI);
+    await expect(llm.complete('qna', messages)).rejects.toThrow('Workers AI binding');
+  });
+});
@@ -0,0 +1,21 @@
+import { describe, it, expect, vi } from 'vitest';
+import { createModerationProvider, moderateText, MODERATION_UNAVAILABLE_CATEGORY } from '../src/common/moderation';
+
+describe('local moderation provider', () => {
+  const provider = createModerationProvider({ MODERATION_PROVIDER: 'local' });
+
+  it('should flag blocklisted words by category', async () => {
+    expect(await moderateText(provider, 'How do I get a gun?')).toEqual({ flagged: true, categories: ['violence'] });
+  });
+
+  it('should only match whole words', async () => {
+    expect(await moderateText(provider, 'Tell me about the Sussex countryside and gunnar the skilled elf')).toEqual({ flagged: false, categories: [] });
+  });
+});
+
+describe('moderateText', () => {
+  it('should hold text back when the provider fails', async () => {
+    const provider = { name: 'broken', check: vi.fn().mockRejectedValue(new Error('down')) };
+    expect(await moderateText(provider, 'Hello')).toEqual({ flagged: true, categories: [MODERATION_UNAVAILABLE_CATEGORY] });
+  });
+});
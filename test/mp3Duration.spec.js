@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { getMp3Duration, createSilentMp3 } from '../src/common/mp3Duration';
+
+// MPEG-1 Layer III, 128 kbit/s, 44.1 kHz, no padding: 417 bytes and 1152 samples per frame
+function mp3Frames(count) {
+  const bytes = new Uint8Array(417 * count);
+  for (let i = 0; i < count; i++) {
+    bytes.set([0xff, 0xfb, 0x90, 0x00], i * 417);
+  }
+  return bytes;
+}
+
+describe('getMp3Duration', () => {
+  it('should add up the samples of every frame', () => {
+    expect(getMp3Duration(mp3Frames(100).buffer)).toBeCloseTo(100 * 1152 / 44100, 3);
+  });
+
+  it('should skip an ID3v2 tag and return 0 without frames', () => {
+    const tag = new Uint8Array([0x49, 0x44, 0x33, 4, 0, 0, 0, 0, 0, 20, ...new Array(20).fill(0xff)]);
+    const audio = new Uint8Array([...tag, ...mp3Frames(10)]);
+    expect(getMp3Duration(audio)).toBeCloseTo(10 * 1152 / 44100, 3);
+    expect(getMp3Duration(new Uint8Array(64))).toBe(0);
+  });
+
+  it('should create silence of the requested length', () => {
+    expect(getMp3Duration(createSilentMp3(2))).toBeCloseTo(2, 1);
+  });
+});
@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest';
+import { createOrderedTaskQueue } from '../src/common/orderedTaskQueue';
+
+const delay = (ms, value) => new Promise(resolve => setTimeout(() => resolve(value), ms));
+
+describe('createOrderedTaskQueue', () => {
+  it('should deliver outcomes in submission order and never exceed the concurrency limit', async () => {
+    const queue = createOrderedTaskQueue(2);
+    const delivered = [];
+    let running = 0;
+    let maxRunning = 0;
+    const task = (ms, value) => async () => {
+      running++;
+      maxRunning = Math.max(maxRunning, running);
+      await delay(ms);
+      running--;
+      return value;
+    };
+
+    queue.add(task(30, 'a'), ({ value }) => delivered.push(value));
+    queue.add(task(5, 'b'), ({ value }) => delivered.push(value));
+    queue.add(task(5, 'c'), ({ value }) => delivered.push(value));
+    await queue.drain();
+
+    expect(delivered).toEqual(['a', 'b', 'c']);
+    expect(maxRunning).toBe(2);
+  });
+
+  it('should report a failed task without affecting the others', async () => {
+    const queue = createOrderedTaskQueue(3);
+    const delivered = [];
+    queue.add(async () => { throw new Error('boom'); }, ({ error }) => delivered.push(error.message));
+    queue.add(async () => 'ok', ({ value }) => delivered.push(value));
+    await queue.drain();
+
+    expect(delivered).toEqual(['boom', 'ok']);
+  });
+});
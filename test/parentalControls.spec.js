@@ -0,0 +1,30 @@
+import { describe, it, expect } from 'vitest';
+import { isQuietHour, findBlockedTopic, getParentalRefusal } from '../src/common/parentalControls';
+import { getLocalDate } from '../src/common/bedtimeProfile';
+
+describe('parental controls', () => {
+  it('should apply quiet hours that wrap around midnight', () => {
+    const controls = { quiet_hours_start: 20, quiet_hours_end: 7 };
+    expect(isQuietHour(21, controls)).toBe(true);
+    expect(isQuietHour(6, controls)).toBe(true);
+    expect(isQuietHour(7, controls)).toBe(false);
+    expect(isQuietHour(13, { quiet_hours_start: 12, quiet_hours_end: 14 })).toBe(true);
+    expect(isQuietHour(null, controls)).toBe(false);
+    expect(isQuietHour(21, null)).toBe(false);
+  });
+
+  it('should find blocked topics as words, plurals, CJK text and theme types', () => {
+    expect(findBlockedTopic('Tell me about Dinosaurs!', ['dinosaur'])).toBe('dinosaur');
+    expect(findBlockedTopic('A story about a scarecrow', ['scare'])).toBeNull();
+    expect(findBlockedTopic('讲一个恐龙的故事', ['恐龙'])).toBe('恐龙');
+    expect(findBlockedTopic('a spooky night', ['mystery'], [{ type: 'MYSTERY' }])).toBe('mystery');
+    expect(findBlockedTopic('anything', undefined)).toBeNull();
+  });
+
+  it('should refuse in the child\'s language and date days where the child is', () => {
+    expect(getParentalRefusal('daily_story_limit', 'zh')).toContain('故事');
+    expect(getParentalRefusal('quiet_hours', 'xx')).toBe(getParentalRefusal('quiet_hours', 'en'));
+    expect(getLocalDate('2024-03-01T20:30:00Z', 'Asia/Shanghai')).toBe('2024-03-02');
+    expect(getLocalDate('2024-03-01T23:30:00-05:00', null)).toBe('2024-03-01');
+  });
+});
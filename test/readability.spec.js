@@ -0,0 +1,27 @@
+import { describe, it, expect } from 'vitest';
+import { scoreReadability, exceedsReadingLevel, getDefaultReadingLevel } from '../src/common/readability';
+
+const simple = 'The cat sat on the mat. The dog ran to the cat. They played in the sun all day long.';
+const complex = 'Photosynthesis constitutes an extraordinarily sophisticated biochemical mechanism whereby chlorophyll-containing organisms transform electromagnetic radiation into chemical energy, subsequently facilitating carbohydrate synthesis.';
+
+describe('readability', () => {
+  it('should score plain sentences low and dense prose high', () => {
+    expect(scoreReadability(simple).gradeLevel).toBeLessThan(2);
+    const score = scoreReadability(complex);
+    expect(score.gradeLevel).toBeGreaterThan(12);
+    expect(score.rareWordRatio).toBeGreaterThan(0.3);
+  });
+
+  it('should only flag text that is long enough and too hard for the target', () => {
+    expect(exceedsReadingLevel(scoreReadability(simple), 1)).toBe(false);
+    expect(exceedsReadingLevel(scoreReadability(complex), 3)).toBe(true);
+    expect(exceedsReadingLevel(scoreReadability('Extraordinarily sophisticated.'), 0)).toBe(false);
+  });
+
+  it('should not score CJK text and should derive a level from the age', () => {
+    expect(scoreReadability('小猫坐在垫子上。', 'zh')).toBeNull();
+    expect(getDefaultReadingLevel(4)).toBe(0);
+    expect(getDefaultReadingLevel(8)).toBe(3);
+    expect(getDefaultReadingLevel(30)).toBe(12);
+  });
+});
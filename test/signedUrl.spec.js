@@ -0,0 +1,21 @@
+import { describe, it, expect } from 'vitest';
+import { createSignedUrl, verifySignedUrl } from '../src/common/signedUrl';
+
+describe('signed URLs', () => {
+  it('should verify a URL it signed', async () => {
+    const signed = await createSignedUrl('https://example.com/audio/abc', 'secret', 60);
+    expect(await verifySignedUrl(new URL(signed), 'secret')).toBe(true);
+  });
+
+  it('should reject a URL signed with another secret or for another path', async () => {
+    const signed = new URL(await createSignedUrl('https://example.com/audio/abc', 'secret', 60));
+    expect(await verifySignedUrl(signed, 'other-secret')).toBe(false);
+    signed.pathname = '/audio/def';
+    expect(await verifySignedUrl(signed, 'secret')).toBe(false);
+  });
+
+  it('should reject an expired URL', async () => {
+    const signed = await createSignedUrl('https://example.com/audio/abc', 'secret', -1);
+    expect(await verifySignedUrl(new URL(signed), 'secret')).toBe(false);
+  });
+});
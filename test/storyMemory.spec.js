@@ -0,0 +1,34 @@
+import { describe, it, expect } from 'vitest';
+import { normalizeStoryMemories, selectRelevantStoryMemories, formatStoryMemoryPrompt } from '../src/common/storyMemory';
+
+describe('story memory', () => {
+  it('should keep only well-formed, distinct entries', () => {
+    expect(normalizeStoryMemories([
+      { kind: 'pet', name: ' Biscuit ', description: 'A sleepy beagle' },
+      { kind: 'pet', name: 'biscuit', description: 'Duplicate' },
+      { kind: 'villain', name: 'Nobody' },
+      { kind: 'place', name: '' },
+      { kind: 'hero', name: 'Moana' },
+    ])).toEqual([
+      { kind: 'pet', name: 'Biscuit', description: 'A sleepy beagle' },
+      { kind: 'hero', name: 'Moana', description: '' },
+    ]);
+    expect(normalizeStoryMemories(undefined)).toEqual([]);
+  });
+
+  it('should put entries named in the message first, then the most mentioned', () => {
+    const memories = [
+      { name: 'Pip', kind: 'character', mention_count: 5, last_mentioned_at: '2024-01-01' },
+      { name: 'Biscuit', kind: 'pet', mention_count: 1, last_mentioned_at: '2024-01-02' },
+      { name: 'Cloud Castle', kind: 'place', mention_count: 3, last_mentioned_at: '2024-01-03' },
+    ];
+    const selected = selectRelevantStoryMemories(memories, 'A story about biscuit please', 2);
+    expect(selected.map(memory => memory.name)).toEqual(['Biscuit', 'Pip']);
+  });
+
+  it('should leave the prompt alone when there is nothing to remember', () => {
+    expect(formatStoryMemoryPrompt([])).toBe('');
+    expect(formatStoryMemoryPrompt([{ name: 'Pip', kind: 'character', description: 'A brave mouse' }]))
+      .toContain('- Pip (character): A brave mouse');
+  });
+});
@@ -0,0 +1,51 @@
+import { describe, it, expect } from 'vitest';
+import { createStreamingSegmenter, splitTextForTTS } from '../src/common/textSegmenter';
+
+describe('createStreamingSegmenter', () => {
+  it('should cut a segment as soon as a paragraph ends', () => {
+    const segmenter = createStreamingSegmenter();
+    expect(segmenter.push('A short ')).toEqual([]);
+    expect(segmenter.push('line.\nNext')).toEqual(['A short line.']);
+    expect(segmenter.flush()).toEqual(['Next']);
+  });
+
+  it('should cut at sentence ends only once enough text is pending', () => {
+    const segmenter = createStreamingSegmenter({ minLength: 20 });
+    expect(segmenter.push('Hi! The fox jumped over the log. ')).toEqual(['Hi! The fox jumped over the log.']);
+    expect(segmenter.push('It cost 3.5 coins')).toEqual([]);
+    expect(segmenter.flush()).toEqual(['It cost 3.5 coins']);
+  });
+
+  it('should wait for whitespace before treating punctuation as a sentence end', () => {
+    const segmenter = createStreamingSegmenter({ minLength: 1 });
+    expect(segmenter.push('Done.')).toEqual([]);
+    expect(segmenter.push(' More')).toEqual(['Done.']);
+  });
+});
+
+describe('splitTextForTTS', () => {
+  it('should keep text that already fits as a single piece', () => {
+    expect(splitTextForTTS('  A short paragraph.  ', 100)).toEqual(['A short paragraph.']);
+  });
+
+  it('should split at sentence ends before clause boundaries', () => {
+    const text = 'The dragon slept, snoring softly. The knight tiptoed past, holding his breath.';
+    expect(splitTextForTTS(text, 50)).toEqual(['The dragon slept, snoring softly.', 'The knight tiptoed past, holding his breath.']);
+    expect(splitTextForTTS(text, 30)).toEqual(['The dragon slept,', 'snoring softly.', 'The knight tiptoed past,', 'holding his breath.']);
+  });
+
+  it('should split CJK text at its own punctuation', () => {
+    expect(splitTextForTTS('小猫在花园里玩耍。它找到了一只蝴蝶，开心极了！', 12)).toEqual(['小猫在花园里玩耍。', '它找到了一只蝴蝶，', '开心极了！']);
+  });
+
+  it('should never return a piece longer than the limit', () => {
+    const pieces = splitTextForTTS('a'.repeat(25), 10);
+    expect(pieces).toEqual(['a'.repeat(10), 'a'.repeat(10), 'a'.repeat(5)]);
+  });
+
+  it('should measure emoji in UTF-16 units without cutting them in two', () => {
+    const pieces = splitTextForTTS('🐉'.repeat(7), 5);
+    expect(pieces).toEqual(['🐉🐉', '🐉🐉', '🐉🐉', '🐉']);
+    expect(pieces.every(piece => piece.length <= 5)).toBe(true);
+  });
+});
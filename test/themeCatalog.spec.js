@@ -0,0 +1,53 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DEFAULT_THEMES, getThemeCatalog, invalidateThemeCatalog } from '../src/common/themeCatalog';
+
+function themeRow(key, { enabled = 1, min_age = null, max_age = null } = {}) {
+  return {
+    key,
+    keywords: JSON.stringify([key.toLowerCase()]),
+    localized_keywords: '{}',
+    story_prompt: `Tell a ${key.toLowerCase()} story.`,
+    qna_prompt: `Answer about ${key.toLowerCase()}.`,
+    enabled,
+    min_age,
+    max_age,
+  };
+}
+
+// A database whose theme table holds the given rows
+function envWithThemes(rows) {
+  return { DB: { prepare: () => ({ all: async () => ({ results: rows }) }) } };
+}
+
+describe('theme catalog', () => {
+  beforeEach(() => {
+    invalidateThemeCatalog();
+  });
+
+  it('should use the default themes when the table is empty or cannot be read', async () => {
+    expect(await getThemeCatalog(envWithThemes([]))).toBe(DEFAULT_THEMES);
+    invalidateThemeCatalog();
+    expect(await getThemeCatalog({ DB: { prepare: () => { throw new Error('no such table: theme'); } } })).toBe(DEFAULT_THEMES);
+  });
+
+  it('should leave out disabled themes, down to an empty catalog', async () => {
+    const env = envWithThemes([themeRow('DINOSAURS'), themeRow('PIRATES', { enabled: 0 })]);
+    expect(Object.keys(await getThemeCatalog(env))).toEqual(['DINOSAURS']);
+    invalidateThemeCatalog();
+    expect(await getThemeCatalog(envWithThemes([themeRow('PIRATES', { enabled: 0 })]))).toEqual({});
+  });
+
+  it('should only return the themes suitable for the age, even when none are', async () => {
+    const env = envWithThemes([
+      themeRow('BABIES', { max_age: 3 }),
+      themeRow('DINOSAURS'),
+      themeRow('MYSTERY', { min_age: 8, max_age: 12 }),
+    ]);
+    expect(Object.keys(await getThemeCatalog(env, 2))).toEqual(['BABIES', 'DINOSAURS']);
+    expect(Object.keys(await getThemeCatalog(env, 8))).toEqual(['DINOSAURS', 'MYSTERY']);
+    expect(Object.keys(await getThemeCatalog(env))).toEqual(['BABIES', 'DINOSAURS', 'MYSTERY']);
+
+    invalidateThemeCatalog();
+    expect(await getThemeCatalog(envWithThemes([themeRow('MYSTERY', { min_age: 8 })]), 5)).toEqual({});
+  });
+});
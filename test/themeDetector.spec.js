@@ -0,0 +1,57 @@
+import { describe, it, expect, vi } from 'vitest';
+import { detectThemes } from '../src/common/themeDetector';
+import { DEFAULT_THEMES } from '../src/common/themeCatalog';
+import { createLLMRouter } from '../src/common/llmProvider';
+
+const withEmbeddings = { THEME_DETECTOR: 'embeddings' };
+
+describe('detectThemes', () => {
+  it('should match keywords as whole words only', async () => {
+    expect(await detectThemes({}, null, 'A story about a grown-up', DEFAULT_THEMES, 'seed'))
+      .toEqual([expect.objectContaining({ method: 'seeded' })]);
+    const [theme] = await detectThemes({}, null, 'I want to grow tall', DEFAULT_THEMES);
+    expect(theme).toMatchObject({ type: 'GROWTH', method: 'keywords', confidence: 1 });
+  });
+
+  it('should match the localized keywords of the conversation language', async () => {
+    const [chinese] = await detectThemes({}, null, '给我讲一个太空机器人的故事', DEFAULT_THEMES, 'seed', 'zh');
+    expect(chinese).toMatchObject({ type: 'SCIFI', method: 'keywords' });
+    const [spanish] = await detectThemes({}, null, 'Un cuento de magia, por favor', DEFAULT_THEMES, 'seed', 'es');
+    expect(spanish).toMatchObject({ type: 'MAGIC', method: 'keywords' });
+  });
+
+  it('should pick the same fallback theme for the same seed', async () => {
+    const first = await detectThemes({}, null, 'Hello', DEFAULT_THEMES, 'user-1:Hello');
+    const second = await detectThemes({}, null, 'Hello', DEFAULT_THEMES, 'user-1:Hello');
+    expect(first[0].type).toBe(second[0].type);
+  });
+
+  it('should rank themes by embedding similarity', async () => {
+    const keys = Object.keys(DEFAULT_THEMES).sort();
+    const basis = (i) => keys.map((_, j) => (i === j ? 1 : 0));
+    const openai = {
+      embeddings: {
+        create: vi.fn(async ({ input }) => ({
+          data: input.map((_, i) => ({ embedding: i === 0 ? basis(keys.indexOf('SCIFI')) : basis(i - 1) })),
+        })),
+      },
+    };
+    const [theme] = await detectThemes(withEmbeddings, createLLMRouter(withEmbeddings, openai), 'Tell me about rockets', DEFAULT_THEMES);
+    expect(theme).toMatchObject({ type: 'SCIFI', method: 'embeddings' });
+    expect(theme.confidence).toBeGreaterThan(0.9);
+
+    openai.embeddings.create.mockClear();
+    const [keywordTheme] = await detectThemes({}, createLLMRouter({}, openai), 'Tell me about rockets in space', DEFAULT_THEMES);
+    expect(keywordTheme).toMatchObject({ type: 'SCIFI', method: 'keywords' });
+    expect(openai.embeddings.create).not.toHaveBeenCalled();
+  });
+
+  it('should rank themes offline with the mock embeddings, counting their tokens', async () => {
+    const env = { ...withEmbeddings, LLM_PROVIDER: 'mock' };
+    const usage = { prompt_tokens: 0, completion_tokens: 0 };
+    const themes = await detectThemes(env, createLLMRouter(env, undefined, usage), 'A story about a robot in space', DEFAULT_THEMES);
+    expect(themes[0]).toMatchObject({ type: 'SCIFI', method: 'embeddings' });
+    expect(usage.prompt_tokens).toBeGreaterThan(0);
+    expect(await detectThemes(env, createLLMRouter(env), 'A story about a robot in space', DEFAULT_THEMES)).toEqual(themes);
+  });
+});
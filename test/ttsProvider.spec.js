@@ -0,0 +1,82 @@
+import { describe, it, expect, vi, afterEach } from 'vitest';
+import { getTTSProviderOrder, getPreferredTTSProvider, getProviderSpeech, createTTSProvider, resolveProviderVoice } from '../src/common/ttsProvider';
+
+// An R2 bucket that never has the clip, and keeps what is put
+function createBucket() {
+  const objects = new Map();
+  return {
+    objects,
+    head: vi.fn(async (key) => (objects.has(key) ? { customMetadata: objects.get(key).customMetadata } : null)),
+    put: vi.fn(async (key, value, options) => objects.set(key, { value, ...options })),
+  };
+}
+
+const speech = { text: 'Once upon a time', voice: 'nova', model: 'tts-1', speed: 0.88 };
+
+afterEach(() => {
+  vi.restoreAllMocks();
+});
+
+describe('TTS provider order', () => {
+  it('should put the preferred provider first, and skip ElevenLabs without a key', () => {
+    expect(getTTSProviderOrder({ ELEVEN_API_KEY: 'key' }, 'elevenlabs')).toEqual(['elevenlabs', 'openai']);
+    expect(getTTSProviderOrder({ ELEVEN_API_KEY: 'key', TTS_PROVIDER: 'elevenlabs' })).toEqual(['elevenlabs', 'openai']);
+    expect(getTTSProviderOrder({}, 'elevenlabs')).toEqual(['openai']);
+  });
+});
+
+describe('Preferred TTS provider', () => {
+  it("should speak a child's catalog voice with its own provider, and follow the account otherwise", () => {
+    const user = { tts_provider: 'openai' };
+    expect(getPreferredTTSProvider(user, { preferred_voice: 'rachel' })).toBe('elevenlabs');
+    expect(getPreferredTTSProvider({ tts_provider: 'elevenlabs' }, { preferred_voice: 'coral' })).toBe('openai');
+    expect(getPreferredTTSProvider({ tts_provider: 'elevenlabs' }, { preferred_voice: 'nova' })).toBe('elevenlabs');
+    expect(getPreferredTTSProvider({ tts_provider: null }, null)).toBeNull();
+  });
+
+  it("should synthesize a child's ElevenLabs voice under an OpenAI account with ElevenLabs", async () => {
+    const openai = { audio: { speech: { create: vi.fn() } } };
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(new Uint8Array(16)));
+    const env = { R2_BUCKET: createBucket(), ELEVEN_API_KEY: 'key' };
+    const preferred = getPreferredTTSProvider({ tts_provider: 'openai' }, { preferred_voice: 'rachel' });
+
+    const result = await getProviderSpeech(env, openai, preferred, { ...speech, voice: 'rachel' });
+    expect(result.provider).toBe('elevenlabs');
+    expect(fetchMock.mock.calls[0][0]).toContain('/21m00Tcm4TlvDq8ikWAM');
+    expect(openai.audio.speech.create).not.toHaveBeenCalled();
+  });
+});
+
+describe('TTS provider voices', () => {
+  it('should map voices between providers by kind', () => {
+    expect(resolveProviderVoice('elevenlabs', 'nova')).toBe('XB0fDUnXU5powFXDhCwa');
+    expect(resolveProviderVoice('openai', 'TX3LPaxmHKxFdv7VOQHJ')).toBe('echo');
+    expect(resolveProviderVoice('openai', 'alloy')).toBe('alloy');
+  });
+
+  it('should fit ElevenLabs settings to what it accepts', () => {
+    const settings = createTTSProvider('elevenlabs', {}).prepare({ ...speech, speed: 0.5, instructions: 'Whisper' });
+    expect(settings).toEqual({ provider: 'elevenlabs', text: speech.text, voice: 'XB0fDUnXU5powFXDhCwa', model: 'eleven_turbo_v2_5', speed: 0.7 });
+  });
+});
+
+describe('getProviderSpeech', () => {
+  it('should fall back to ElevenLabs when OpenAI is rate limited, and record the provider', async () => {
+    const rateLimited = Object.assign(new Error('Too Many Requests'), { status: 429 });
+    const openai = { audio: { speech: { create: vi.fn().mockRejectedValue(rateLimited) } } };
+    const fetchMock = vi.spyOn(globalThis, 'fetch').mockResolvedValue(new Response(new Uint8Array(16)));
+    const env = { R2_BUCKET: createBucket(), ELEVEN_API_KEY: 'key' };
+    const synthesized = [];
+
+    const result = await getProviderSpeech(env, openai, null, speech, (text) => synthesized.push(text));
+    expect(result).toMatchObject({ provider: 'elevenlabs', cached: false });
+    expect(fetchMock.mock.calls[0][0]).toContain('/XB0fDUnXU5powFXDhCwa');
+    expect(synthesized).toEqual([speech.text]);
+    expect([...env.R2_BUCKET.objects.values()][0].customMetadata.provider).toBe('elevenlabs');
+  });
+
+  it('should throw when every provider fails', async () => {
+    const openai = { audio: { speech: { create: vi.fn().mockRejectedValue(new Error('down')) } } };
+    await expect(getProviderSpeech({ R2_BUCKET: createBucket() }, openai, 'elevenlabs', speech)).rejects.toThrow('OpenAI TTS: down');
+  });
+});
@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { USAGE_QUOTAS, getUsageTier, getQuotaPeriods, findExceededQuota } from '../src/common/usageQuota';
+
+const empty = { tokens: 0, tts_characters: 0, transcription_seconds: 0 };
+
+describe('usage quotas', () => {
+  it('should pick the tier from is_vip and role', () => {
+    expect(getUsageTier({ is_vip: 1, role: 'customer' })).toBe('vip');
+    expect(getUsageTier({ is_vip: 0, role: 'customer' })).toBe('standard');
+    expect(getUsageTier({ is_vip: 0, role: 'admin' })).toBe('admin');
+  });
+
+  it('should reset at the next UTC midnight and the first of the next month', () => {
+    const periods = getQuotaPeriods(new Date('2024-12-31T18:00:00Z'));
+    expect(periods.daily.start.toISOString()).toBe('2024-12-31T00:00:00.000Z');
+    expect(periods.daily.resetsAt.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+    expect(periods.monthly.resetsAt.toISOString()).toBe('2025-01-01T00:00:00.000Z');
+  });
+
+  it('should report the first quota used up, with more room for VIP accounts', () => {
+    const used = USAGE_QUOTAS.standard.daily.tokens;
+    const totals = { daily: { ...empty, tokens: used }, monthly: { ...empty, tokens: used } };
+    expect(findExceededQuota(totals, 'standard')).toEqual({ period: 'daily', metric: 'tokens', limit: used, used });
+    expect(findExceededQuota(totals, 'vip')).toBeNull();
+    expect(findExceededQuota({ daily: empty, monthly: empty }, 'standard')).toBeNull();
+    expect(findExceededQuota(totals, 'admin')).toBeNull();
+  });
+});
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest';
+import { VOICE_CATALOG, TTS_PROVIDER_VOICES, getCatalogVoice, toStoredVoice, getVoiceAgeGroup } from '../src/common/chatVoiceConfig';
+import { TTS_PROVIDERS, resolveProviderVoice } from '../src/common/ttsProvider';
+
+describe('voice catalog', () => {
+  it('should have unique ids and only known providers', () => {
+    expect(new Set(VOICE_CATALOG.map(voice => voice.id)).size).toBe(VOICE_CATALOG.length);
+    expect(VOICE_CATALOG.every(voice => TTS_PROVIDERS.includes(voice.provider))).toBe(true);
+  });
+
+  it('should list the stand-in voices of every provider', () => {
+    for (const [provider, voices] of Object.entries(TTS_PROVIDER_VOICES)) {
+      for (const voice of Object.values(voices)) {
+        expect(getCatalogVoice(voice)?.provider).toBe(provider);
+      }
+    }
+  });
+
+  it('should store male, female and catalog ids, and nothing else', () => {
+    expect(toStoredVoice('female')).toBe('nova');
+    expect(toStoredVoice('george')).toBe('george');
+    expect(toStoredVoice('JBFqnCBsd6RMkjVDRZzb')).toBeNull();
+    expect(toStoredVoice('toString')).toBeNull();
+  });
+
+  it('should map ages onto age groups', () => {
+    expect([2, 4, 7, 12, 30].map(getVoiceAgeGroup)).toEqual(['preschool', 'preschool', 'child', 'teen', 'teen']);
+  });
+
+  it('should voice a catalog voice with its own provider, and a stand-in of the same gender elsewhere', () => {
+    expect(resolveProviderVoice('elevenlabs', 'george')).toBe('JBFqnCBsd6RMkjVDRZzb');
+    expect(resolveProviderVoice('openai', 'george')).toBe('echo');
+    expect(resolveProviderVoice('elevenlabs', 'shimmer')).toBe('XB0fDUnXU5powFXDhCwa');
+  });
+});